@@ -0,0 +1,314 @@
+/*
+ * Habit Health Check cohorts
+ *
+ * Team mode without a server.  Each member exports an anonymised
+ * result file, and a facilitator loads everyone's files into the team
+ * dashboard, which lives only in the facilitator's browser.  A cohort
+ * file holds one result:
+ *
+ *   { format, version, id, month, region, ageBand, gender, score,
+ *     groupScore, overallScore, markers: [{ id, value, band,
+ *     groupAverage, overallAverage }] }
+ *
+ * and deliberately nothing else.  The id is random, so the dashboard
+ * can tell a file loaded twice from two members who answered alike
+ * without it saying anything about the member.  There is no free text
+ * and no labels, and the date is cut down to the month.  The age
+ * range (widened to one of COHORT_AGE_BANDS) and gender are only
+ * included when the member agrees to share them, and are null
+ * otherwise.  The group score and group averages come from the
+ * baseline for the member's exact age range and gender, so they would
+ * give both away; they are only included when the member shares both,
+ * and are null otherwise.  Values are stored in the marker's own unit,
+ * and a skipped question has a null value and band.
+ *
+ * summarizeCohort() turns the parsed files into the figures the
+ * dashboard shows, with a privacy guard for whoever sees the
+ * dashboard: nothing is shown until there are at least minGroupSize
+ * results, any count or breakdown covering fewer people than that is
+ * hidden (along with the next smallest one when it could otherwise be
+ * worked out from the total), and counts can have random noise added.
+ * The noise is seeded from the files in a fixed order, whatever order
+ * they were loaded in, so reopening the dashboard or loading the files
+ * again cannot average it away.  DOM‑free and requireable under Node.
+ */
+
+const COHORT_FORMAT = 'habit-health-check-cohort';
+const COHORT_VERSION = 2;
+
+// Coarse age bands, each covering the ages below `below`
+const COHORT_AGE_BANDS = [
+  { id: 'under-35', below: 35 },
+  { id: '35-54', below: 55 },
+  { id: '55+', below: Infinity }
+];
+
+// Smallest number of people any figure on the dashboard may describe,
+// unless the config's privacy settings say otherwise
+const COHORT_MIN_GROUP_SIZE = 5;
+
+// Bands from best to worst, as scoring.js names them
+const COHORT_BANDS = ['excellent', 'good', 'mild', 'moderate', 'high', 'very bad'];
+
+// Width of each bar in the score distribution
+const COHORT_SCORE_BUCKET = 10;
+
+// Coarse band for an age range such as '25-34' or '55+', from its first
+// number, or null when it has none
+function coarseAgeBand(ageRange) {
+  const match = /\d+/.exec(ageRange || '');
+  if (!match) return null;
+  const age = Number(match[0]);
+  return COHORT_AGE_BANDS.find(band => age < band.below).id;
+}
+
+function roundTenth(value) {
+  return value == null ? null : Math.round(value * 10) / 10;
+}
+
+// Random id for a cohort file
+function randomCohortId() {
+  const bytes = new Uint8Array(8);
+  crypto.getRandomValues(bytes);
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Anonymised cohort result for a check described by describeCheck().
+// The age band and gender are left out unless `share` allows them, and
+// the group figures unless it allows both.
+function cohortResult(check, share = {}) {
+  const shareGroup = Boolean(share.ageBand && share.gender);
+  return {
+    format: COHORT_FORMAT,
+    version: COHORT_VERSION,
+    id: randomCohortId(),
+    month: check.checkedAt.slice(0, 7),
+    region: check.region,
+    ageBand: share.ageBand ? coarseAgeBand(check.ageRange) : null,
+    gender: share.gender ? check.gender : null,
+    score: Math.round(check.score),
+    groupScore: shareGroup ? Math.round(check.groupScore) : null,
+    overallScore: Math.round(check.overallScore),
+    markers: check.markers.map((m) => ({
+      id: m.id,
+      value: roundTenth(m.value),
+      band: m.band,
+      groupAverage: shareGroup ? roundTenth(m.groupAverage) : null,
+      overallAverage: roundTenth(m.overallAverage)
+    }))
+  };
+}
+
+function isScore(value) {
+  return Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+function isAmount(value) {
+  return value === null || (Number.isFinite(value) && value >= 0);
+}
+
+// Parse a cohort file into a result holding only the known fields, so
+// nothing else a file might carry reaches the dashboard.  Throws an
+// Error with a readable message when the file cannot be used.
+function parseCohortFile(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON: ${err.message}`);
+  }
+  if (!doc || doc.format !== COHORT_FORMAT) {
+    throw new Error('The file is not a team result export');
+  }
+  if (doc.version > COHORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the app');
+  }
+  if (typeof doc.id !== 'string' || !/^[0-9a-f]{16}$/.test(doc.id)) {
+    throw new Error('The file has no valid id');
+  }
+  if (![doc.score, doc.overallScore].every(isScore) || !(doc.groupScore === null || isScore(doc.groupScore))) {
+    throw new Error('The file has no valid scores');
+  }
+  if (!Array.isArray(doc.markers)) {
+    throw new Error('The file has no list of markers');
+  }
+  const markers = doc.markers
+    .filter(m => m && typeof m.id === 'string' && isAmount(m.value))
+    .map((m) => ({
+      id: m.id,
+      value: m.value,
+      band: m.value === null || !COHORT_BANDS.includes(m.band) ? null : m.band,
+      groupAverage: isAmount(m.groupAverage) ? m.groupAverage : null,
+      overallAverage: isAmount(m.overallAverage) ? m.overallAverage : null
+    }));
+  return {
+    id: doc.id,
+    month: /^\d{4}-\d{2}$/.test(doc.month) ? doc.month : null,
+    region: typeof doc.region === 'string' ? doc.region : null,
+    ageBand: COHORT_AGE_BANDS.some(band => band.id === doc.ageBand) ? doc.ageBand : null,
+    gender: typeof doc.gender === 'string' && /^[a-z][a-z0-9_-]*$/.test(doc.gender) ? doc.gender : null,
+    score: doc.score,
+    groupScore: doc.groupScore,
+    overallScore: doc.overallScore,
+    markers
+  };
+}
+
+function cohortMean(values) {
+  if (values.length === 0) return null;
+  return roundTenth(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+// Indexes of the counts to hide so no figure describes fewer than
+// minGroupSize people: every count under the minimum (zero is fine),
+// plus the next smallest count when only one would be hidden, since it
+// could otherwise be worked out from the total
+function suppressedCells(counts, minGroupSize) {
+  const hidden = new Set();
+  counts.forEach((count, idx) => {
+    if (count > 0 && count < minGroupSize) hidden.add(idx);
+  });
+  if (hidden.size === 1) {
+    const next = counts
+      .map((count, idx) => ({ count, idx }))
+      .filter(cell => cell.count > 0 && !hidden.has(cell.idx))
+      .sort((a, b) => a.count - b.count)[0];
+    if (next) hidden.add(next.idx);
+  }
+  return hidden;
+}
+
+// 32-bit FNV-1a hash of a string, used to seed the noise
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Random numbers in [0, 1) from a 32-bit seed (mulberry32)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let x = state;
+    x = Math.imul(x ^ (x >>> 15), x | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A count with Laplace noise of scale 1 added and rounded.  Zero stays
+// zero and the result never drops below the smallest count shown, so
+// noise cannot make a group look smaller than the guard allows.
+function noisyCount(count, random, minGroupSize) {
+  if (count === 0) return 0;
+  const u = random() - 0.5;
+  const noise = -Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+  return Math.max(minGroupSize, Math.round(count + noise));
+}
+
+// Figures for the dashboard from a list of parsed results.  Options
+// are the config's privacy settings: minGroupSize and noise (true to
+// add noise to counts).  Always returns the number of results, the
+// settings used and `enough`; the rest only when there are at least
+// minGroupSize results:
+//
+//   - scores: mean score, and the mean group and overall scores the
+//     members were compared with (the group one null when fewer than
+//     minGroupSize members shared their group).  There is no median,
+//     since in a small group it is one member's exact score.
+//   - distribution: how many scores fall in each 10-point bucket
+//     (0-9, 10-19, ... 90-100), as { from, to, count }
+//   - markers: per marker id, the count in each band and how many
+//     skipped, and the mean value, group average and overall average
+//     of the members who answered (each null when fewer than
+//     minGroupSize members gave one)
+//   - breakdowns: for ageBand and gender, { groups, hidden } where
+//     groups maps each value ('' for not shared) to { count, score }
+//     and hidden is how many groups were left out
+//
+// Hidden counts are null.
+function summarizeCohort(results, markerIds, { minGroupSize = COHORT_MIN_GROUP_SIZE, noise = false } = {}) {
+  const summary = { count: results.length, minGroupSize, noise, enough: results.length >= minGroupSize };
+  if (!summary.enough) return summary;
+  const random = noise ? seededRandom(hashText(JSON.stringify(results.map(r => JSON.stringify(r)).sort()))) : null;
+  const shownCounts = (counts) => {
+    const hidden = suppressedCells(counts, minGroupSize);
+    return counts.map((count, idx) => {
+      if (hidden.has(idx)) return null;
+      return random ? noisyCount(count, random, minGroupSize) : count;
+    });
+  };
+
+  // Mean of the values given, or null when fewer than minGroupSize gave one
+  const guardedMean = (values) => {
+    const given = values.filter(v => v !== null);
+    return given.length >= minGroupSize ? cohortMean(given) : null;
+  };
+
+  const scores = results.map(r => r.score);
+  const bucketCount = Math.ceil(100 / COHORT_SCORE_BUCKET);
+  const bucketCounts = new Array(bucketCount).fill(0);
+  scores.forEach((score) => {
+    bucketCounts[Math.min(Math.floor(score / COHORT_SCORE_BUCKET), bucketCount - 1)]++;
+  });
+  summary.distribution = shownCounts(bucketCounts).map((count, idx) => ({
+    from: idx * COHORT_SCORE_BUCKET,
+    to: idx === bucketCount - 1 ? 100 : (idx + 1) * COHORT_SCORE_BUCKET - 1,
+    count
+  }));
+  summary.scores = {
+    mean: cohortMean(scores),
+    group: guardedMean(results.map(r => r.groupScore)),
+    overall: cohortMean(results.map(r => r.overallScore))
+  };
+
+  summary.markers = {};
+  markerIds.forEach((id) => {
+    const entries = results.map(r => r.markers.find(m => m.id === id)).filter(Boolean);
+    const answered = entries.filter(m => m.value !== null);
+    const counts = shownCounts([...COHORT_BANDS.map(band => answered.filter(m => m.band === band).length), entries.length - answered.length]);
+    const bands = {};
+    COHORT_BANDS.forEach((band, idx) => {
+      bands[band] = counts[idx];
+    });
+    const enoughAnswered = answered.length >= minGroupSize;
+    summary.markers[id] = {
+      bands,
+      skipped: counts[COHORT_BANDS.length],
+      value: enoughAnswered ? cohortMean(answered.map(m => m.value)) : null,
+      groupAverage: enoughAnswered ? guardedMean(answered.map(m => m.groupAverage)) : null,
+      overallAverage: enoughAnswered ? guardedMean(answered.map(m => m.overallAverage)) : null
+    };
+  });
+
+  summary.breakdowns = {};
+  ['ageBand', 'gender'].forEach((key) => {
+    const byValue = new Map();
+    results.forEach((r) => {
+      const value = r[key] || '';
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(r.score);
+    });
+    // Sorted so the noise goes to the same groups whatever the load order
+    const values = [...byValue.keys()].sort();
+    const counts = shownCounts(values.map(value => byValue.get(value).length));
+    const groups = {};
+    values.forEach((value, idx) => {
+      if (counts[idx] === null) return;
+      groups[value] = { count: counts[idx], score: cohortMean(byValue.get(value)) };
+    });
+    summary.breakdowns[key] = { groups, hidden: values.length - Object.keys(groups).length };
+  });
+  return summary;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COHORT_FORMAT, COHORT_MIN_GROUP_SIZE, COHORT_AGE_BANDS, COHORT_BANDS, coarseAgeBand, cohortResult, parseCohortFile,
+    suppressedCells, summarizeCohort
+  };
+}
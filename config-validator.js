@@ -0,0 +1,566 @@
+/*
+ * Habit Health Check config validator
+ *
+ * Checks a parsed configuration against the rules published in
+ * config.schema.json plus the cross‑references JSON Schema cannot
+ * express: bands ordered in the right direction for `invert`, marker
+ * citations that exist in the citations list, region baselines, local
+ * units and categories that refer to real marker ids, local choice
+ * labels that line up with the marker's choices, follow-up questions
+ * with unique ids and conditions on real bands, answer choices inside
+ * the marker's plausible range, age and gender tables that use the
+ * age ranges and genders the config declares and a team minimum group
+ * size that never lets a figure describe a single person.
+ * validateConfig never throws; it returns every problem it finds as a
+ * readable message so the app can show them all at once.  DOM‑free
+ * and requireable under Node.
+ */
+
+const LEVELS = ['mild', 'moderate', 'high'];
+const SCORING_MODEL_NAMES = ['step', 'graded'];
+
+const TOP_LEVEL_KEYS = ['$schema', 'demographics', 'markers', 'categories', 'regions', 'citations', 'privacy'];
+const DEMOGRAPHICS_KEYS = ['ageRanges', 'genders'];
+const MARKER_KEYS = [
+  'id', 'label', 'icon', 'unit', 'baseline', 'bands', 'penalties', 'scoring', 'bonus', 'invert',
+  'citation', 'description', 'example', 'range', 'choices', 'converter', 'log', 'notes', 'followUps', 'genderAdjustments'
+];
+const RANGE_KEYS = ['min', 'max'];
+const CONVERTER_KEYS = { items: ['type', 'items'], bedtime: ['type', 'bedtime', 'wake'] };
+const CONVERTER_ITEM_KEYS = ['label', 'amount', 'strength'];
+const STRENGTH_KEYS = ['label', 'value'];
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+const NOTE_KEYS = ['mild', 'high'];
+const FOLLOW_UP_KEYS = ['id', 'when', 'question', 'choices'];
+const FOLLOW_UP_WHEN_KEYS = ['bands', 'above'];
+const FOLLOW_UP_CHOICE_KEYS = ['value', 'label', 'note', 'recommendation', 'citation'];
+const FOLLOW_UP_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const BAND_NAMES = ['excellent', 'good', 'mild', 'moderate', 'high', 'very bad'];
+const LOG_KEYS = ['period', 'step', 'blankIsZero'];
+const LOG_PERIODS = ['day', 'week'];
+const GENDER_KEYS = ['id', 'label'];
+const REGION_KEYS = ['label', 'description', 'baselines', 'ageBaselines', 'genderAdjustments', 'units'];
+const REGION_UNIT_KEYS = ['unit', 'factor', 'example', 'choices', 'converter'];
+const CITATION_KEYS = ['id', 'title', 'publisher', 'year', 'url', 'claim'];
+const URL_PATTERN = /^https?:\/\/\S+$/;
+const CATEGORY_KEYS = ['id', 'label', 'icon', 'markers'];
+const PRIVACY_KEYS = ['minGroupSize', 'noise', 'autoLockMinutes'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Report keys that are not part of the format, which usually means a typo
+function checkUnknownKeys(obj, allowed, where, errors) {
+  Object.keys(obj).forEach((key) => {
+    if (!allowed.includes(key)) errors.push(`${where}: unknown property "${key}"`);
+  });
+}
+
+// Check a { mild, moderate, high } object holds a number for every level
+function checkLevels(levels, where, errors) {
+  if (!isObject(levels)) {
+    errors.push(`${where} must be an object with mild, moderate and high values`);
+    return false;
+  }
+  let ok = true;
+  LEVELS.forEach((level) => {
+    if (!isNumber(levels[level])) {
+      errors.push(`${where}.${level} must be a number`);
+      ok = false;
+    }
+  });
+  checkUnknownKeys(levels, LEVELS, where, errors);
+  return ok;
+}
+
+function validateCitations(citations, errors) {
+  const ids = new Set();
+  if (!Array.isArray(citations)) {
+    errors.push('citations must be a list');
+    return ids;
+  }
+  citations.forEach((citation, idx) => {
+    const where = `citations[${idx}]`;
+    if (!isObject(citation)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!Number.isInteger(citation.id) || citation.id < 1) {
+      errors.push(`${where}.id must be a positive whole number`);
+    } else if (ids.has(citation.id)) {
+      errors.push(`${where}: citation id ${citation.id} is used more than once`);
+    } else {
+      ids.add(citation.id);
+    }
+    ['title', 'publisher', 'claim'].forEach((key) => {
+      if (!isNonEmptyString(citation[key])) errors.push(`${where}.${key} must be a non-empty string`);
+    });
+    if (!Number.isInteger(citation.year) || citation.year < 1900) {
+      errors.push(`${where}.year must be a four-digit year`);
+    }
+    if (typeof citation.url !== 'string' || !URL_PATTERN.test(citation.url)) {
+      errors.push(`${where}.url must be an http or https address`);
+    }
+    checkUnknownKeys(citation, CITATION_KEYS, where, errors);
+  });
+  return ids;
+}
+
+// Check the age ranges and genders offered on the launch screen.
+// Returns the declared ids so marker tables can be checked against them.
+function validateDemographics(demographics, errors) {
+  const ageRanges = new Set();
+  const genderIds = new Set();
+  if (!isObject(demographics)) {
+    errors.push('demographics must be an object with ageRanges and genders');
+    return { ageRanges, genderIds };
+  }
+  if (!Array.isArray(demographics.ageRanges) || demographics.ageRanges.length === 0) {
+    errors.push('demographics.ageRanges must be a non-empty list');
+  } else {
+    demographics.ageRanges.forEach((range, idx) => {
+      if (!isNonEmptyString(range)) {
+        errors.push(`demographics.ageRanges[${idx}] must be a non-empty string`);
+      } else if (ageRanges.has(range)) {
+        errors.push(`demographics.ageRanges: "${range}" is listed more than once`);
+      } else {
+        ageRanges.add(range);
+      }
+    });
+  }
+  if (!Array.isArray(demographics.genders) || demographics.genders.length === 0) {
+    errors.push('demographics.genders must be a non-empty list');
+  } else {
+    demographics.genders.forEach((gender, idx) => {
+      const where = `demographics.genders[${idx}]`;
+      if (!isObject(gender)) {
+        errors.push(`${where} must be an object with id and label`);
+        return;
+      }
+      if (!isNonEmptyString(gender.id)) {
+        errors.push(`${where}.id must be a non-empty string`);
+      } else if (genderIds.has(gender.id)) {
+        errors.push(`${where}: gender id "${gender.id}" is used more than once`);
+      } else {
+        genderIds.add(gender.id);
+      }
+      if (!isNonEmptyString(gender.label)) errors.push(`${where}.label must be a non-empty string`);
+      checkUnknownKeys(gender, GENDER_KEYS, where, errors);
+    });
+  }
+  checkUnknownKeys(demographics, DEMOGRAPHICS_KEYS, 'demographics', errors);
+  return { ageRanges, genderIds };
+}
+
+// Check a table of numbers keyed by demographic group (age range or
+// gender id) only uses groups the config declares
+function checkGroupTable(table, known, kind, where, errors, minimum) {
+  if (!isObject(table)) {
+    errors.push(`${where} must be an object keyed by ${kind}`);
+    return;
+  }
+  Object.entries(table).forEach(([key, value]) => {
+    if (!known.has(key)) {
+      errors.push(`${where} refers to unknown ${kind} "${key}"`);
+    } else if (!isNumber(value) || (minimum != null && value < minimum)) {
+      errors.push(`${where}.${key} must be a number${minimum != null ? ` of ${minimum} or more` : ''}`);
+    }
+  });
+}
+
+// Check a converter from everyday quantities (see converters.js): a
+// list of items to count, or a bedtime and wake time
+function checkConverter(converter, where, errors) {
+  if (!isObject(converter) || !CONVERTER_KEYS[converter.type]) {
+    errors.push(`${where} must be an object with a type of "items" or "bedtime"`);
+    return;
+  }
+  if (converter.type === 'items') {
+    if (!Array.isArray(converter.items) || converter.items.length === 0) {
+      errors.push(`${where}.items must be a non-empty list of { label, amount } items`);
+    } else {
+      converter.items.forEach((item, idx) => {
+        const at = `${where}.items[${idx}]`;
+        if (!isObject(item) || !isNonEmptyString(item.label) || !isNumber(item.amount) || item.amount <= 0) {
+          errors.push(`${at} must have a label and an amount greater than zero`);
+          return;
+        }
+        if (item.strength != null) {
+          if (!isObject(item.strength) || !isNonEmptyString(item.strength.label) || !isNumber(item.strength.value) || item.strength.value <= 0) {
+            errors.push(`${at}.strength must have a label and a value greater than zero`);
+          } else {
+            checkUnknownKeys(item.strength, STRENGTH_KEYS, `${at}.strength`, errors);
+          }
+        }
+        checkUnknownKeys(item, CONVERTER_ITEM_KEYS, at, errors);
+      });
+    }
+  } else {
+    ['bedtime', 'wake'].forEach((key) => {
+      if (converter[key] != null && !(typeof converter[key] === 'string' && TIME_PATTERN.test(converter[key]))) {
+        errors.push(`${where}.${key} must be a time written HH:MM`);
+      }
+    });
+  }
+  checkUnknownKeys(converter, CONVERTER_KEYS[converter.type], where, errors);
+}
+
+// Check a marker's follow-up questions (see followups.js): an id, a
+// condition on the marker's answer, a question and at least two
+// choices with distinct values, citing only sources that exist
+function checkFollowUps(followUps, where, citationIds, errors) {
+  if (!Array.isArray(followUps)) {
+    errors.push(`${where}.followUps must be a list of follow-up questions`);
+    return;
+  }
+  followUps.forEach((followUp, idx) => {
+    const at = `${where}.followUps[${idx}]`;
+    if (!isObject(followUp)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!(typeof followUp.id === 'string' && FOLLOW_UP_ID_PATTERN.test(followUp.id))) {
+      errors.push(`${at}.id must be lower-case letters, digits and dashes`);
+    }
+    if (!isNonEmptyString(followUp.question)) errors.push(`${at}.question must be a non-empty string`);
+    const { when } = followUp;
+    if (!isObject(when) || (when.bands == null && when.above == null)) {
+      errors.push(`${at}.when must have bands, above or both`);
+    } else {
+      if (when.bands != null && !(Array.isArray(when.bands) && when.bands.length > 0 && when.bands.every(band => BAND_NAMES.includes(band)))) {
+        errors.push(`${at}.when.bands must be a non-empty list of ${BAND_NAMES.map(band => `"${band}"`).join(', ')}`);
+      }
+      if (when.above != null && !(isNumber(when.above) && when.above >= 0)) {
+        errors.push(`${at}.when.above must be a number of zero or more`);
+      }
+      checkUnknownKeys(when, FOLLOW_UP_WHEN_KEYS, `${at}.when`, errors);
+    }
+    if (!Array.isArray(followUp.choices) || followUp.choices.length < 2) {
+      errors.push(`${at}.choices must be a list of at least two { value, label } choices`);
+    } else {
+      const values = new Set();
+      followUp.choices.forEach((choice, choiceIdx) => {
+        const choiceAt = `${at}.choices[${choiceIdx}]`;
+        if (!isObject(choice) || !isNonEmptyString(choice.value) || !isNonEmptyString(choice.label)) {
+          errors.push(`${choiceAt} must have a value and a label`);
+          return;
+        }
+        if (values.has(choice.value)) errors.push(`${choiceAt}.value "${choice.value}" is used more than once`);
+        values.add(choice.value);
+        ['note', 'recommendation'].forEach((key) => {
+          if (choice[key] != null && typeof choice[key] !== 'string') errors.push(`${choiceAt}.${key} must be a string`);
+        });
+        if (choice.citation != null && !citationIds.has(choice.citation)) {
+          errors.push(`${choiceAt} cites [${choice.citation}], which is not in the citations list`);
+        }
+        checkUnknownKeys(choice, FOLLOW_UP_CHOICE_KEYS, choiceAt, errors);
+      });
+    }
+    checkUnknownKeys(followUp, FOLLOW_UP_KEYS, at, errors);
+  });
+}
+
+// Check the optional presentation fields that drive the question screen,
+// the daily log and the notes in the results table
+function validateMarkerContent(marker, where, errors) {
+  if (marker.icon != null && typeof marker.icon !== 'string') errors.push(`${where}.icon must be a string`);
+  if (marker.example != null && typeof marker.example !== 'string') errors.push(`${where}.example must be a string`);
+  if (marker.choices != null) {
+    if (!Array.isArray(marker.choices)) {
+      errors.push(`${where}.choices must be a list of { label, value } answers`);
+    } else {
+      marker.choices.forEach((choice, idx) => {
+        if (!isObject(choice) || !isNonEmptyString(choice.label) || !isNumber(choice.value) || choice.value < 0) {
+          errors.push(`${where}.choices[${idx}] must have a label and a value of zero or more`);
+        }
+      });
+    }
+  }
+  if (marker.range != null) {
+    const { min, max } = isObject(marker.range) ? marker.range : {};
+    if (!isNumber(min) || !isNumber(max) || min < 0 || min >= max) {
+      errors.push(`${where}.range must have a min of zero or more and a larger max`);
+    } else {
+      if (Array.isArray(marker.choices)) {
+        marker.choices.forEach((choice, idx) => {
+          if (isObject(choice) && isNumber(choice.value) && (choice.value < min || choice.value > max)) {
+            errors.push(`${where}.choices[${idx}] is outside the marker's range (${min} to ${max})`);
+          }
+        });
+      }
+      checkUnknownKeys(marker.range, RANGE_KEYS, `${where}.range`, errors);
+    }
+  }
+  if (marker.converter != null) checkConverter(marker.converter, `${where}.converter`, errors);
+  if (marker.log != null) {
+    if (!isObject(marker.log)) {
+      errors.push(`${where}.log must be an object with a period`);
+    } else {
+      if (!LOG_PERIODS.includes(marker.log.period)) errors.push(`${where}.log.period must be "day" or "week"`);
+      if (marker.log.step != null && !(isNumber(marker.log.step) && marker.log.step > 0)) {
+        errors.push(`${where}.log.step must be a number greater than zero`);
+      }
+      if (marker.log.blankIsZero != null && typeof marker.log.blankIsZero !== 'boolean') {
+        errors.push(`${where}.log.blankIsZero must be true or false`);
+      }
+      checkUnknownKeys(marker.log, LOG_KEYS, `${where}.log`, errors);
+    }
+  }
+  if (marker.notes != null) {
+    if (!isObject(marker.notes)) {
+      errors.push(`${where}.notes must be an object with mild and/or high text`);
+    } else {
+      NOTE_KEYS.forEach((level) => {
+        if (marker.notes[level] != null && typeof marker.notes[level] !== 'string') {
+          errors.push(`${where}.notes.${level} must be a string`);
+        }
+      });
+      checkUnknownKeys(marker.notes, NOTE_KEYS, `${where}.notes`, errors);
+    }
+  }
+}
+
+function validateMarker(marker, idx, citationIds, demographics, errors) {
+  if (!isObject(marker)) {
+    errors.push(`markers[${idx}] must be an object`);
+    return;
+  }
+  const where = isNonEmptyString(marker.id) ? `Marker "${marker.id}"` : `markers[${idx}]`;
+  if (!isNonEmptyString(marker.id)) errors.push(`${where}.id must be a non-empty string`);
+  if (!isNonEmptyString(marker.label)) errors.push(`${where}.label must be a non-empty string`);
+  if (!isNonEmptyString(marker.unit)) errors.push(`${where}.unit must be a non-empty string`);
+  if (!isNumber(marker.baseline) || marker.baseline < 0) errors.push(`${where}.baseline must be a number of zero or more`);
+  if (typeof marker.invert !== 'boolean') errors.push(`${where}.invert must be true or false`);
+  if (marker.description != null && typeof marker.description !== 'string') errors.push(`${where}.description must be a string`);
+
+  // Bands: thresholds grow more severe from mild to high, which means
+  // increasing values for consumption markers and decreasing values
+  // for inverted (higher is better) markers
+  if (checkLevels(marker.bands, `${where}.bands`, errors) && typeof marker.invert === 'boolean') {
+    const { mild, moderate, high } = marker.bands;
+    if (!marker.invert && !(mild < moderate && moderate < high)) {
+      errors.push(`${where}.bands must increase from mild to high (got ${mild}, ${moderate}, ${high}); set "invert": true if higher values are better`);
+    } else if (marker.invert && !(mild > moderate && moderate > high)) {
+      errors.push(`${where}.bands must decrease from mild to high for an inverted marker (got ${mild}, ${moderate}, ${high})`);
+    }
+  }
+
+  // Penalties: present, non-negative and never smaller for a worse band
+  if (checkLevels(marker.penalties, `${where}.penalties`, errors)) {
+    const { mild, moderate, high } = marker.penalties;
+    if (mild < 0 || moderate < 0 || high < 0) {
+      errors.push(`${where}.penalties must not be negative`);
+    } else if (!(mild <= moderate && moderate <= high)) {
+      errors.push(`${where}.penalties must not decrease from mild to high (got ${mild}, ${moderate}, ${high})`);
+    }
+  }
+
+  if (marker.bonus != null && !(isNumber(marker.bonus) && marker.bonus >= 0)) {
+    errors.push(`${where}.bonus must be a number of zero or more`);
+  }
+  if (marker.scoring != null && !SCORING_MODEL_NAMES.includes(marker.scoring)) {
+    errors.push(`${where}.scoring must be one of ${SCORING_MODEL_NAMES.map(name => `"${name}"`).join(', ')}`);
+  }
+
+  validateMarkerContent(marker, where, errors);
+  if (marker.followUps != null) checkFollowUps(marker.followUps, where, citationIds, errors);
+  if (marker.genderAdjustments != null) {
+    checkGroupTable(marker.genderAdjustments, demographics.genderIds, 'gender', `${where}.genderAdjustments`, errors);
+  }
+
+  if (!Number.isInteger(marker.citation)) {
+    errors.push(`${where}.citation must be a citation id`);
+  } else if (!citationIds.has(marker.citation)) {
+    errors.push(`${where} cites [${marker.citation}], which is not in the citations list`);
+  }
+  checkUnknownKeys(marker, MARKER_KEYS, where, errors);
+}
+
+// Check a region table keyed by marker id and then by demographic
+// group, e.g. ageBaselines.alcohol["25-34"]
+function checkRegionGroupTables(tables, markerIds, known, kind, where, errors, minimum) {
+  if (!isObject(tables)) {
+    errors.push(`${where} must be an object keyed by marker id`);
+    return;
+  }
+  Object.entries(tables).forEach(([markerId, table]) => {
+    if (!markerIds.has(markerId)) {
+      errors.push(`${where} refers to unknown marker "${markerId}"`);
+    } else {
+      checkGroupTable(table, known, kind, `${where}.${markerId}`, errors, minimum);
+    }
+  });
+}
+
+// Check a region's local units, keyed by marker id
+function checkRegionUnits(units, markerList, where, errors) {
+  if (!isObject(units)) {
+    errors.push(`${where} must be an object keyed by marker id`);
+    return;
+  }
+  Object.entries(units).forEach(([markerId, local]) => {
+    const marker = markerList.find((m) => isObject(m) && m.id === markerId);
+    const at = `${where}.${markerId}`;
+    if (!marker) {
+      errors.push(`${where} refers to unknown marker "${markerId}"`);
+      return;
+    }
+    if (!isObject(local)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(local.unit)) errors.push(`${at}.unit must be a non-empty string`);
+    if (!isNumber(local.factor) || local.factor <= 0) errors.push(`${at}.factor must be a number greater than zero`);
+    if (local.example != null && typeof local.example !== 'string') errors.push(`${at}.example must be a string`);
+    if (local.choices != null) {
+      if (!Array.isArray(local.choices) || !local.choices.every(isNonEmptyString)) {
+        errors.push(`${at}.choices must be a list of non-empty strings`);
+      } else if (local.choices.length !== (marker.choices || []).length) {
+        errors.push(`${at}.choices must have one label per choice of the marker (${(marker.choices || []).length})`);
+      }
+    }
+    if (local.converter != null) checkConverter(local.converter, `${at}.converter`, errors);
+    checkUnknownKeys(local, REGION_UNIT_KEYS, at, errors);
+  });
+}
+
+function validateRegions(regions, markerList, markerIds, demographics, errors) {
+  if (!isObject(regions) || Object.keys(regions).length === 0) {
+    errors.push('regions must be an object with at least one region');
+    return;
+  }
+  Object.entries(regions).forEach(([key, region]) => {
+    const where = `Region "${key}"`;
+    if (!isObject(region)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(region.label)) errors.push(`${where}.label must be a non-empty string`);
+    if (region.description != null && typeof region.description !== 'string') errors.push(`${where}.description must be a string`);
+    if (!isObject(region.baselines)) {
+      errors.push(`${where}.baselines must be an object keyed by marker id`);
+    } else {
+      Object.entries(region.baselines).forEach(([markerId, value]) => {
+        if (!markerIds.has(markerId)) {
+          errors.push(`${where}.baselines refers to unknown marker "${markerId}"`);
+        } else if (!isNumber(value) || value < 0) {
+          errors.push(`${where}.baselines.${markerId} must be a number of zero or more`);
+        }
+      });
+    }
+    if (region.ageBaselines != null) {
+      checkRegionGroupTables(region.ageBaselines, markerIds, demographics.ageRanges, 'age range', `${where}.ageBaselines`, errors, 0);
+    }
+    if (region.genderAdjustments != null) {
+      checkRegionGroupTables(region.genderAdjustments, markerIds, demographics.genderIds, 'gender', `${where}.genderAdjustments`, errors);
+    }
+    if (region.units != null) checkRegionUnits(region.units, markerList, `${where}.units`, errors);
+    checkUnknownKeys(region, REGION_KEYS, where, errors);
+  });
+}
+
+// Categories are optional; each must list known markers, and a marker
+// can only be in one category
+function validateCategories(categories, markerIds, errors) {
+  if (categories == null) return;
+  if (!Array.isArray(categories)) {
+    errors.push('categories must be a list of { id, label, markers }');
+    return;
+  }
+  const categoryIds = new Set();
+  const placed = new Map();
+  categories.forEach((category, idx) => {
+    if (!isObject(category)) {
+      errors.push(`categories[${idx}] must be an object`);
+      return;
+    }
+    const where = isNonEmptyString(category.id) ? `Category "${category.id}"` : `categories[${idx}]`;
+    if (!isNonEmptyString(category.id)) {
+      errors.push(`${where}.id must be a non-empty string`);
+    } else if (categoryIds.has(category.id)) {
+      errors.push(`Category id "${category.id}" is used more than once`);
+    } else {
+      categoryIds.add(category.id);
+    }
+    if (!isNonEmptyString(category.label)) errors.push(`${where}.label must be a non-empty string`);
+    if (category.icon != null && typeof category.icon !== 'string') errors.push(`${where}.icon must be a string`);
+    if (!Array.isArray(category.markers) || category.markers.length === 0) {
+      errors.push(`${where}.markers must be a non-empty list of marker ids`);
+    } else {
+      category.markers.forEach((markerId) => {
+        if (!markerIds.has(markerId)) {
+          errors.push(`${where}.markers refers to unknown marker "${markerId}"`);
+        } else if (placed.has(markerId)) {
+          errors.push(`${where}: marker "${markerId}" is already in ${placed.get(markerId)}`);
+        } else {
+          placed.set(markerId, where);
+        }
+      });
+    }
+    checkUnknownKeys(category, CATEGORY_KEYS, where, errors);
+  });
+}
+
+// Privacy settings are optional; a minimum group size below 2 would
+// let a team figure describe a single person
+function validatePrivacy(privacy, errors) {
+  if (privacy === undefined) return;
+  if (!isObject(privacy)) {
+    errors.push('privacy must be an object');
+    return;
+  }
+  if (privacy.minGroupSize != null && (!Number.isInteger(privacy.minGroupSize) || privacy.minGroupSize < 2)) {
+    errors.push('privacy.minGroupSize must be a whole number of 2 or more');
+  }
+  if (privacy.noise != null && typeof privacy.noise !== 'boolean') errors.push('privacy.noise must be true or false');
+  if (privacy.autoLockMinutes != null && (!Number.isInteger(privacy.autoLockMinutes) || privacy.autoLockMinutes < 1)) {
+    errors.push('privacy.autoLockMinutes must be a whole number of 1 or more');
+  }
+  checkUnknownKeys(privacy, PRIVACY_KEYS, 'privacy', errors);
+}
+
+// Validate a parsed configuration.  Returns a list of error messages;
+// an empty list means the config is safe to use.
+function validateConfig(cfg) {
+  const errors = [];
+  if (!isObject(cfg)) {
+    return ['The configuration must be a JSON object'];
+  }
+  checkUnknownKeys(cfg, TOP_LEVEL_KEYS, 'Config', errors);
+  const demographics = validateDemographics(cfg.demographics, errors);
+  const citationIds = validateCitations(cfg.citations, errors);
+  const markerIds = new Set();
+  const followUpIds = new Set();
+  if (!Array.isArray(cfg.markers) || cfg.markers.length === 0) {
+    errors.push('markers must be a non-empty list');
+  } else {
+    cfg.markers.forEach((marker, idx) => {
+      validateMarker(marker, idx, citationIds, demographics, errors);
+      if (!isObject(marker) || !isNonEmptyString(marker.id)) return;
+      if (markerIds.has(marker.id)) errors.push(`Marker id "${marker.id}" is used more than once`);
+      markerIds.add(marker.id);
+      (Array.isArray(marker.followUps) ? marker.followUps : []).forEach((followUp) => {
+        if (!isObject(followUp) || !isNonEmptyString(followUp.id)) return;
+        if (followUpIds.has(followUp.id)) errors.push(`Follow-up id "${followUp.id}" is used more than once`);
+        followUpIds.add(followUp.id);
+      });
+    });
+  }
+  validateCategories(cfg.categories, markerIds, errors);
+  validateRegions(cfg.regions, Array.isArray(cfg.markers) ? cfg.markers : [], markerIds, demographics, errors);
+  validatePrivacy(cfg.privacy, errors);
+  return errors;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateConfig };
+}
@@ -0,0 +1,61 @@
+/*
+ * Habit Health Check converters
+ *
+ * Work out a marker's value from quantities people actually know, for
+ * the "Work it out" helper on the question screen.  A marker opts in
+ * with a `converter` in config.json:
+ *
+ *   - items: things to count, each worth `amount` of the marker's unit.
+ *     An item with a `strength` is also multiplied by a strength the
+ *     user can change, e.g. the ABV of a drink (litres × ABV % gives UK
+ *     alcohol units, so a pint is 0.568) or the mg/ml of vape liquid.
+ *   - bedtime: the hours between a bedtime and a wake time, across
+ *     midnight when needed.
+ *
+ * A region can swap in its own serving sizes with a converter in
+ * regions.<key>.units.<marker>; the amounts stay in the marker's own
+ * unit, so the result is stored like any other answer.  DOM‑free and
+ * requireable under Node.
+ */
+
+const CONVERTER_TYPES = ['items', 'bedtime'];
+
+// Number typed into a field, or the fallback when it is blank, not a
+// number or negative
+function fieldNumber(raw, fallback) {
+  if (raw == null || String(raw).trim() === '') return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Total for counted items, rounded to one decimal place.  counts[i] is
+// how many of item i; strengths[i] overrides the item's default
+// strength.  Blank counts count as none.
+function itemsTotal(items, counts, strengths = []) {
+  const total = items.reduce((sum, item, idx) => {
+    const strength = item.strength ? fieldNumber(strengths[idx], item.strength.value) : 1;
+    return sum + fieldNumber(counts[idx], 0) * item.amount * strength;
+  }, 0);
+  return Math.round(total * 10) / 10;
+}
+
+// Minutes after midnight for a time written HH:MM, or null
+function minutesOfDay(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Hours from bedtime to wake time (both HH:MM), rounded to one decimal
+// place, or null when either time is missing
+function sleepHours(bedtime, wake) {
+  const from = minutesOfDay(bedtime);
+  const to = minutesOfDay(wake);
+  if (from == null || to == null) return null;
+  const minutes = (to - from + 24 * 60) % (24 * 60);
+  return Math.round((minutes / 60) * 10) / 10;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONVERTER_TYPES, itemsTotal, minutesOfDay, sleepHours };
+}
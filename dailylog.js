@@ -0,0 +1,103 @@
+/*
+ * Habit Health Check daily log
+ *
+ * Lets people record each marker for today instead of estimating a
+ * whole week from memory.  Entries are kept encrypted per local
+ * calendar day as { 'YYYY-MM-DD': { markerId: amount } }, where the
+ * amount is what happened on that day (units drunk, mg of caffeine,
+ * hours slept).  aggregateDailyLog turns the recent days into answers
+ * in each marker's own unit: markers whose log period is "day" take the
+ * average of the logged days, "week" markers add the days up and scale
+ * the total to seven days when fewer were logged.  A day counts as
+ * logged once anything was recorded on it, and a marker left blank
+ * that day counts as none, unless its log sets blankIsZero to false
+ * (hours slept, say), when only the days it was recorded on count.
+ * Only days with nothing recorded at all are scaled up.  DOM‑free and
+ * requireable under Node.
+ */
+
+const DAILY_LOG_STORAGE_KEY = 'habitHealthCheck.dailyLog';
+const DAILY_LOG_WINDOW_DAYS = 7;
+
+// Local calendar day for a date as 'YYYY-MM-DD'
+function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Read the whole log.  Missing, corrupt or blocked storage reads as an
+// empty log.
+function loadDailyLog() {
+  try {
+    if (typeof readStored !== 'function') return {};
+    const log = JSON.parse(readStored(DAILY_LOG_STORAGE_KEY) || '{}');
+    return log && typeof log === 'object' && !Array.isArray(log) ? log : {};
+  } catch (err) {
+    console.error('Could not read daily log', err);
+    return {};
+  }
+}
+
+// Replace the stored log
+function saveDailyLog(log) {
+  if (typeof writeStored !== 'function') return;
+  writeStored(DAILY_LOG_STORAGE_KEY, JSON.stringify(log));
+}
+
+// Record (or, with a null amount, clear) one marker for one day
+function logDailyValue(day, markerId, amount) {
+  const log = loadDailyLog();
+  const entry = { ...log[day] };
+  if (amount == null) {
+    delete entry[markerId];
+  } else {
+    entry[markerId] = amount;
+  }
+  if (Object.keys(entry).length > 0) {
+    log[day] = entry;
+  } else {
+    delete log[day];
+  }
+  saveDailyLog(log);
+  return log;
+}
+
+// The day keys of the window ending on endDate, oldest first
+function logWindow(endDate = new Date(), days = DAILY_LOG_WINDOW_DAYS) {
+  const keys = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - offset);
+    keys.push(dayKey(date));
+  }
+  return keys;
+}
+
+// Aggregate the log window into answers for the given markers.  Returns
+// { answers, daysLogged } where daysLogged counts the days each marker
+// has an entry for; markers never logged in the window are left out of
+// answers.
+function aggregateDailyLog(log, markerList, endDate = new Date()) {
+  const isAmount = (amount) => typeof amount === 'number' && Number.isFinite(amount);
+  const windowKeys = logWindow(endDate);
+  const loggedKeys = windowKeys.filter((key) => Object.values(log[key] || {}).some(isAmount));
+  const answers = {};
+  const daysLogged = {};
+  markerList.forEach((marker) => {
+    const recorded = windowKeys.map((key) => log[key]?.[marker.id]).filter(isAmount);
+    daysLogged[marker.id] = recorded.length;
+    if (recorded.length === 0) return;
+    const amounts = marker.log?.blankIsZero === false
+      ? recorded
+      : loggedKeys.map((key) => (isAmount(log[key][marker.id]) ? log[key][marker.id] : 0));
+    const perDay = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+    const value = marker.log?.period === 'week' ? perDay * 7 : perDay;
+    answers[marker.id] = Math.round(value * 10) / 10;
+  });
+  return { answers, daysLogged };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DAILY_LOG_STORAGE_KEY, dayKey, loadDailyLog, saveDailyLog, logDailyValue, logWindow, aggregateDailyLog
+  };
+}
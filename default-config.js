@@ -0,0 +1,1754 @@
+/*
+ * Habit Health Check default config
+ *
+ * Generated from config.json by tools/bundle-config.js; do not edit.
+ * Used when config.json cannot be fetched, as on a page opened
+ * straight from disk.
+ */
+
+const BUNDLED_CONFIG = {
+  "$schema": "./config.schema.json",
+  "demographics": {
+    "ageRanges": [
+      "18-24",
+      "25-34",
+      "35-44",
+      "45-54",
+      "55+"
+    ],
+    "genders": [
+      {
+        "id": "female",
+        "label": "Female"
+      },
+      {
+        "id": "male",
+        "label": "Male"
+      },
+      {
+        "id": "other",
+        "label": "Other"
+      }
+    ]
+  },
+  "markers": [
+    {
+      "id": "alcohol",
+      "label": "Alcohol units per week",
+      "icon": "🍺",
+      "unit": "units/week",
+      "baseline": 10,
+      "bands": {
+        "mild": 14,
+        "moderate": 21,
+        "high": 28
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "scoring": "graded",
+      "invert": false,
+      "citation": 1,
+      "description": "Drinking more than 14 units weekly increases health risks",
+      "example": "For reference, 10 units ≈ five pints of beer or five glasses of wine per week",
+      "range": {
+        "min": 0,
+        "max": 150
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "Low (1–7)",
+          "value": 5
+        },
+        {
+          "label": "Moderate (8–14)",
+          "value": 11
+        },
+        {
+          "label": "High (15–21)",
+          "value": 18
+        },
+        {
+          "label": "Very high (22+)",
+          "value": 25
+        }
+      ],
+      "converter": {
+        "type": "items",
+        "items": [
+          {
+            "label": "Pints of beer or cider",
+            "amount": 0.568,
+            "strength": {
+              "label": "ABV %",
+              "value": 4
+            }
+          },
+          {
+            "label": "Bottles or cans of beer (330 ml)",
+            "amount": 0.33,
+            "strength": {
+              "label": "ABV %",
+              "value": 5
+            }
+          },
+          {
+            "label": "Glasses of wine (175 ml)",
+            "amount": 0.175,
+            "strength": {
+              "label": "ABV %",
+              "value": 12
+            }
+          },
+          {
+            "label": "Bottles of wine (750 ml)",
+            "amount": 0.75,
+            "strength": {
+              "label": "ABV %",
+              "value": 12
+            }
+          },
+          {
+            "label": "Single shots of spirits (25 ml)",
+            "amount": 0.025,
+            "strength": {
+              "label": "ABV %",
+              "value": 40
+            }
+          }
+        ]
+      },
+      "log": {
+        "period": "week",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Regularly exceeding 14 units can raise your risk of health problems",
+        "high": "Consistently high alcohol intake has been linked to liver damage and other diseases"
+      },
+      "followUps": [
+        {
+          "id": "alcohol-binge",
+          "when": {
+            "bands": [
+              "high",
+              "very bad"
+            ]
+          },
+          "question": "On how many days in a typical week do you have 6 or more units in one session?",
+          "choices": [
+            {
+              "value": "none",
+              "label": "None"
+            },
+            {
+              "value": "one",
+              "label": "One day",
+              "note": "Drinking a lot in one session raises the risk of accidents and injuries, even when the weekly total stays the same",
+              "recommendation": "Spread your drinking over three or more days and keep each session under 6 units",
+              "citation": 1
+            },
+            {
+              "value": "several",
+              "label": "Two or more days",
+              "note": "Regular heavy sessions add the risks of binge drinking to those of a high weekly total",
+              "recommendation": "Plan several drink-free days each week and decide on a limit before you start drinking",
+              "citation": 1
+            }
+          ]
+        }
+      ],
+      "genderAdjustments": {
+        "male": 2,
+        "female": -2
+      }
+    },
+    {
+      "id": "nicotine",
+      "label": "Nicotine milligrams per day",
+      "icon": "🚬",
+      "unit": "mg/day",
+      "baseline": 0,
+      "bands": {
+        "mild": 1,
+        "moderate": 20,
+        "high": 40
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "invert": false,
+      "citation": 2,
+      "description": "No tobacco product is safe and nicotine is highly addictive",
+      "example": "One cigarette delivers about one mg of nicotine",
+      "range": {
+        "min": 0,
+        "max": 200
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "Occasional (1–10)",
+          "value": 5
+        },
+        {
+          "label": "Regular (11–20)",
+          "value": 15
+        },
+        {
+          "label": "High (21–40)",
+          "value": 30
+        },
+        {
+          "label": "Very high (40+)",
+          "value": 45
+        }
+      ],
+      "converter": {
+        "type": "items",
+        "items": [
+          {
+            "label": "Cigarettes",
+            "amount": 1
+          },
+          {
+            "label": "Vape liquid (ml)",
+            "amount": 1,
+            "strength": {
+              "label": "Nicotine strength (mg/ml)",
+              "value": 18
+            }
+          }
+        ]
+      },
+      "log": {
+        "period": "day",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Any use of tobacco or nicotine is harmful and highly addictive",
+        "high": "Heavy nicotine intake can cause significant cardiovascular and respiratory harm"
+      },
+      "followUps": [
+        {
+          "id": "nicotine-product",
+          "when": {
+            "above": 0
+          },
+          "question": "How do you mostly take nicotine?",
+          "choices": [
+            {
+              "value": "smoking",
+              "label": "Cigarettes, cigars or rolling tobacco",
+              "note": "Most of the harm from smoking comes from the tobacco smoke rather than the nicotine",
+              "recommendation": "Contact a stop smoking service: quitting with their support works far better than willpower alone",
+              "citation": 13
+            },
+            {
+              "value": "vaping",
+              "label": "Vapes (e-cigarettes)",
+              "note": "Vaping is far less harmful than smoking but not risk-free, and the nicotine is just as addictive",
+              "recommendation": "If you vape to stay off cigarettes, step the nicotine strength down gradually until you can stop",
+              "citation": 13
+            },
+            {
+              "value": "smokeless",
+              "label": "Pouches, gum or patches",
+              "note": "Nicotine without smoke avoids the worst of the harm but still keeps you dependent",
+              "recommendation": "Cut down the dose step by step rather than using nicotine without a plan to stop"
+            },
+            {
+              "value": "mixed",
+              "label": "Smoking and vaping",
+              "note": "Smoking alongside vaping keeps most of the harm of smoking",
+              "recommendation": "Aim to switch away from cigarettes completely rather than smoking a few alongside vaping",
+              "citation": 13
+            }
+          ]
+        }
+      ],
+      "genderAdjustments": {
+        "male": 2,
+        "female": -2
+      }
+    },
+    {
+      "id": "caffeine",
+      "label": "Caffeine milligrams per day",
+      "icon": "☕",
+      "unit": "mg/day",
+      "baseline": 200,
+      "bands": {
+        "mild": 400,
+        "moderate": 600,
+        "high": 800
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "invert": false,
+      "citation": 3,
+      "description": "Up to 400 mg caffeine daily is generally safe for most adults",
+      "example": "125 mg of caffeine is roughly one strong coffee or two cups of tea",
+      "range": {
+        "min": 0,
+        "max": 2000
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "Low (1–200)",
+          "value": 100
+        },
+        {
+          "label": "Moderate (201–400)",
+          "value": 300
+        },
+        {
+          "label": "High (401–600)",
+          "value": 500
+        },
+        {
+          "label": "Very high (600+)",
+          "value": 700
+        }
+      ],
+      "converter": {
+        "type": "items",
+        "items": [
+          {
+            "label": "Cups of brewed coffee",
+            "amount": 95
+          },
+          {
+            "label": "Espresso shots",
+            "amount": 63
+          },
+          {
+            "label": "Cups of instant coffee",
+            "amount": 60
+          },
+          {
+            "label": "Cups of tea",
+            "amount": 47
+          },
+          {
+            "label": "Cans of energy drink (250 ml)",
+            "amount": 80
+          },
+          {
+            "label": "Cans of cola",
+            "amount": 35
+          }
+        ]
+      },
+      "log": {
+        "period": "day",
+        "step": 25
+      },
+      "notes": {
+        "mild": "More than 400 mg per day may lead to restlessness and anxiety",
+        "high": "Extremely high caffeine intake can cause heart palpitations and sleep disturbance"
+      },
+      "genderAdjustments": {
+        "male": 10,
+        "female": -10
+      }
+    },
+    {
+      "id": "sleep",
+      "label": "Sleep hours per night",
+      "icon": "😴",
+      "unit": "hours/night",
+      "baseline": 7.5,
+      "bands": {
+        "mild": 7,
+        "moderate": 6,
+        "high": 5
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "bonus": 2,
+      "invert": true,
+      "citation": 4,
+      "description": "Adults typically need about 7–9 hours of sleep each night",
+      "example": "7.5 hours means going to bed at 11 pm and waking at 6:30 am",
+      "range": {
+        "min": 2,
+        "max": 16
+      },
+      "choices": [
+        {
+          "label": "<5 hours",
+          "value": 4
+        },
+        {
+          "label": "5–6 hours",
+          "value": 5.5
+        },
+        {
+          "label": "6–7 hours",
+          "value": 6.5
+        },
+        {
+          "label": "7–9 hours",
+          "value": 8
+        },
+        {
+          "label": ">9 hours",
+          "value": 10
+        }
+      ],
+      "converter": {
+        "type": "bedtime",
+        "bedtime": "23:00",
+        "wake": "07:00"
+      },
+      "log": {
+        "period": "day",
+        "step": 0.5,
+        "blankIsZero": false
+      },
+      "notes": {
+        "mild": "Sleeping less than 7 hours can impair cognitive function",
+        "high": "Chronic sleep deprivation increases risk of obesity and heart disease"
+      },
+      "followUps": [
+        {
+          "id": "sleep-consistency",
+          "when": {
+            "bands": [
+              "mild",
+              "moderate",
+              "high",
+              "very bad"
+            ]
+          },
+          "question": "How much do your bedtime and wake-up time change from day to day, weekends included?",
+          "choices": [
+            {
+              "value": "steady",
+              "label": "Less than 30 minutes"
+            },
+            {
+              "value": "some",
+              "label": "30 minutes to an hour",
+              "note": "Shifting sleep times make it harder to fall asleep and to wake up refreshed",
+              "recommendation": "Get up at the same time every day, weekends included",
+              "citation": 4
+            },
+            {
+              "value": "irregular",
+              "label": "More than an hour",
+              "note": "Big swings in sleep times unsettle your body clock on top of the effects of short sleep",
+              "recommendation": "Keep to the same bedtime and wake-up time, within half an hour, for the next two weeks",
+              "citation": 4
+            }
+          ]
+        }
+      ],
+      "genderAdjustments": {
+        "male": -0.5,
+        "female": 0.5
+      }
+    },
+    {
+      "id": "strength_training",
+      "label": "Strength training minutes per day",
+      "icon": "🏋️",
+      "unit": "minutes/day",
+      "baseline": 20,
+      "bands": {
+        "mild": 20,
+        "moderate": 10,
+        "high": 5
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "bonus": 2,
+      "invert": true,
+      "citation": 5,
+      "description": "Guidelines recommend muscle‑strengthening activities on at least two days per week; around 20 minutes daily is a good target",
+      "example": "1.5 minutes per day ≈ two brief strength workouts per week",
+      "range": {
+        "min": 0,
+        "max": 300
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "1–10 min",
+          "value": 7
+        },
+        {
+          "label": "10–20 min",
+          "value": 15
+        },
+        {
+          "label": "20–30 min",
+          "value": 25
+        },
+        {
+          "label": "30+ min",
+          "value": 35
+        }
+      ],
+      "log": {
+        "period": "day",
+        "step": 5
+      },
+      "notes": {
+        "mild": "Less than 20 min of strength training daily provides limited benefit",
+        "high": "Neglecting muscle strengthening may raise risk of musculoskeletal issues"
+      },
+      "genderAdjustments": {
+        "male": 2,
+        "female": -2
+      }
+    },
+    {
+      "id": "cardio",
+      "label": "Zone‑2 cardio minutes per day",
+      "icon": "🚴",
+      "unit": "minutes/day",
+      "baseline": 22,
+      "bands": {
+        "mild": 22,
+        "moderate": 11,
+        "high": 5
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "bonus": 2,
+      "invert": true,
+      "citation": 5,
+      "description": "Aim for at least 150 minutes of moderate‑intensity activity per week (about 22 minutes daily)",
+      "example": "165 minutes per week ≈ five 33-minute walks or three 55-minute sessions",
+      "range": {
+        "min": 0,
+        "max": 600
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "1–10 min",
+          "value": 7
+        },
+        {
+          "label": "10–20 min",
+          "value": 15
+        },
+        {
+          "label": "20–30 min",
+          "value": 25
+        },
+        {
+          "label": "30+ min",
+          "value": 35
+        }
+      ],
+      "log": {
+        "period": "day",
+        "step": 5
+      },
+      "notes": {
+        "mild": "Below 22 minutes of cardio daily falls short of activity guidelines",
+        "high": "Very little cardio can increase risk of cardiovascular disease"
+      },
+      "genderAdjustments": {
+        "male": 0,
+        "female": 0
+      }
+    },
+    {
+      "id": "social_media",
+      "label": "Social‑media minutes per day",
+      "icon": "📱",
+      "unit": "minutes/day",
+      "baseline": 120,
+      "bands": {
+        "mild": 120,
+        "moderate": 180,
+        "high": 240
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "invert": false,
+      "citation": 6,
+      "description": "Using social media more than about three hours daily doubles mental health risks",
+      "example": "125 minutes per day is just over two hours of screen time",
+      "range": {
+        "min": 0,
+        "max": 1080
+      },
+      "choices": [
+        {
+          "label": "0–30 min",
+          "value": 15
+        },
+        {
+          "label": "31–60 min",
+          "value": 45
+        },
+        {
+          "label": "61–120 min",
+          "value": 90
+        },
+        {
+          "label": "121–180 min",
+          "value": 150
+        },
+        {
+          "label": ">180 min",
+          "value": 210
+        }
+      ],
+      "log": {
+        "period": "day",
+        "step": 15
+      },
+      "notes": {
+        "mild": "More than about two hours daily is associated with poorer mental health",
+        "high": "Excessive social media use doubles the risk of mental health problems"
+      },
+      "genderAdjustments": {
+        "male": -20,
+        "female": 20
+      }
+    },
+    {
+      "id": "porn",
+      "label": "Porn sessions per week",
+      "icon": "🔞",
+      "unit": "sessions/week",
+      "baseline": 1,
+      "bands": {
+        "mild": 2,
+        "moderate": 4,
+        "high": 7
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "invert": false,
+      "citation": 7,
+      "description": "Frequent pornography consumption predicts higher anxiety, depression and stress",
+      "example": "1.5 sessions per week means once or twice in a week",
+      "range": {
+        "min": 0,
+        "max": 50
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "1 session",
+          "value": 1
+        },
+        {
+          "label": "2–3 sessions",
+          "value": 2.5
+        },
+        {
+          "label": "4–6 sessions",
+          "value": 5
+        },
+        {
+          "label": "7+ sessions",
+          "value": 7
+        }
+      ],
+      "log": {
+        "period": "week",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Higher pornography consumption is linked to increased anxiety and depression",
+        "high": "Frequent porn sessions can correlate with stress and relationship issues"
+      },
+      "genderAdjustments": {
+        "male": 1,
+        "female": -1
+      }
+    },
+    {
+      "id": "fast_food",
+      "label": "Fast‑food meals per week",
+      "icon": "🍔",
+      "unit": "meals/week",
+      "baseline": 1,
+      "bands": {
+        "mild": 2,
+        "moderate": 3,
+        "high": 5
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "invert": false,
+      "citation": 8,
+      "description": "Fast‑food meals are often high in calories, fat, sugar and salt",
+      "example": "1.5 meals per week is about one or two takeaway meals",
+      "range": {
+        "min": 0,
+        "max": 35
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "1 meal",
+          "value": 1
+        },
+        {
+          "label": "2 meals",
+          "value": 2
+        },
+        {
+          "label": "3–4 meals",
+          "value": 3.5
+        },
+        {
+          "label": "5+ meals",
+          "value": 5
+        }
+      ],
+      "log": {
+        "period": "week",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Fast‑food meals are high in fat, sugar and salt",
+        "high": "Frequent fast food may contribute to obesity and heart disease"
+      },
+      "genderAdjustments": {
+        "male": 0.5,
+        "female": -0.5
+      }
+    },
+    {
+      "id": "tooth_brushing",
+      "label": "Tooth‑brushing times per day",
+      "icon": "🪥",
+      "unit": "times/day",
+      "baseline": 2,
+      "bands": {
+        "mild": 2,
+        "moderate": 1,
+        "high": 0
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "invert": true,
+      "citation": 9,
+      "description": "Brush twice daily with fluoride toothpaste for healthy teeth and gums",
+      "example": "1.8 times per day implies brushing twice most days",
+      "range": {
+        "min": 0,
+        "max": 6
+      },
+      "choices": [
+        {
+          "label": "0",
+          "value": 0
+        },
+        {
+          "label": "1",
+          "value": 1
+        },
+        {
+          "label": "2",
+          "value": 2
+        },
+        {
+          "label": "3+",
+          "value": 3
+        }
+      ],
+      "log": {
+        "period": "day",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Brushing less than twice daily leads to plaque build‑up",
+        "high": "Poor oral hygiene can cause gum disease and tooth decay"
+      }
+    },
+    {
+      "id": "sugary_drinks",
+      "label": "Sugary drinks per week",
+      "icon": "🥤",
+      "unit": "drinks/week",
+      "baseline": 3,
+      "bands": {
+        "mild": 3,
+        "moderate": 6,
+        "high": 10
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "invert": false,
+      "citation": 11,
+      "description": "Frequently drinking sugar-sweetened beverages is associated with weight gain, diabetes and heart disease",
+      "example": "3.5 drinks per week might be two cans of soda and a sugary coffee",
+      "range": {
+        "min": 0,
+        "max": 70
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "1–2",
+          "value": 1.5
+        },
+        {
+          "label": "3–5",
+          "value": 4
+        },
+        {
+          "label": "6–8",
+          "value": 7
+        },
+        {
+          "label": "9+",
+          "value": 9
+        }
+      ],
+      "log": {
+        "period": "week",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Too many sugary drinks can lead to weight gain and diabetes",
+        "high": "High intake of sugary drinks increases risk of heart and liver problems"
+      },
+      "genderAdjustments": {
+        "male": 1,
+        "female": -1
+      }
+    },
+    {
+      "id": "social_connections",
+      "label": "Times you see friends per week",
+      "icon": "🤝",
+      "unit": "times/week",
+      "baseline": 3,
+      "bands": {
+        "mild": 3,
+        "moderate": 2,
+        "high": 1
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "bonus": 1,
+      "invert": true,
+      "citation": 12,
+      "description": "Regular social connection reduces health risks while loneliness increases mortality risk",
+      "example": "2.5 meetings per week could be two hangouts plus a call",
+      "range": {
+        "min": 0,
+        "max": 50
+      },
+      "choices": [
+        {
+          "label": "None",
+          "value": 0
+        },
+        {
+          "label": "1",
+          "value": 1
+        },
+        {
+          "label": "2–3",
+          "value": 2.5
+        },
+        {
+          "label": "4–5",
+          "value": 4.5
+        },
+        {
+          "label": "6+",
+          "value": 6
+        }
+      ],
+      "log": {
+        "period": "week",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Low social contact may increase risks of illness and early death",
+        "high": "Chronic loneliness significantly raises risk of mortality"
+      },
+      "genderAdjustments": {
+        "male": -0.5,
+        "female": 0.5
+      }
+    },
+    {
+      "id": "fruit_veg",
+      "label": "Fruit and veg portions per day",
+      "icon": "🍎",
+      "unit": "portions/day",
+      "baseline": 4,
+      "bands": {
+        "mild": 5,
+        "moderate": 3,
+        "high": 2
+      },
+      "penalties": {
+        "mild": 2,
+        "moderate": 5,
+        "high": 8
+      },
+      "bonus": 2,
+      "invert": true,
+      "citation": 10,
+      "description": "Everyone should eat at least five portions of fruit and vegetables every day",
+      "example": "4 portions a day could be two pieces of fruit and two servings of veg",
+      "range": {
+        "min": 0,
+        "max": 20
+      },
+      "choices": [
+        {
+          "label": "0",
+          "value": 0
+        },
+        {
+          "label": "1–2",
+          "value": 1.5
+        },
+        {
+          "label": "3–4",
+          "value": 3.5
+        },
+        {
+          "label": "5–6",
+          "value": 5.5
+        },
+        {
+          "label": "7+",
+          "value": 7
+        }
+      ],
+      "log": {
+        "period": "day",
+        "step": 1
+      },
+      "notes": {
+        "mild": "Eating less than five portions reduces nutrient intake",
+        "high": "Very low fruit and veg intake can increase risk of disease"
+      },
+      "genderAdjustments": {
+        "male": -0.5,
+        "female": 0.5
+      }
+    }
+  ],
+  "categories": [
+    {
+      "id": "substances",
+      "label": "Substances",
+      "icon": "🧪",
+      "markers": [
+        "alcohol",
+        "nicotine",
+        "caffeine"
+      ]
+    },
+    {
+      "id": "movement",
+      "label": "Movement",
+      "icon": "🏃",
+      "markers": [
+        "strength_training",
+        "cardio"
+      ]
+    },
+    {
+      "id": "nutrition",
+      "label": "Nutrition",
+      "icon": "🥗",
+      "markers": [
+        "fast_food",
+        "sugary_drinks",
+        "fruit_veg",
+        "tooth_brushing"
+      ]
+    },
+    {
+      "id": "mind_social",
+      "label": "Mind and social",
+      "icon": "🧠",
+      "markers": [
+        "sleep",
+        "social_media",
+        "porn",
+        "social_connections"
+      ]
+    }
+  ],
+  "regions": {
+    "uk": {
+      "label": "United Kingdom",
+      "description": "UK averages, adjusted for age range and gender",
+      "baselines": {
+        "alcohol": 12,
+        "nicotine": 5,
+        "caffeine": 210,
+        "sleep": 7,
+        "strength_training": 10,
+        "cardio": 15,
+        "social_media": 150,
+        "porn": 1,
+        "fast_food": 2,
+        "tooth_brushing": 2,
+        "sugary_drinks": 3.5,
+        "social_connections": 2.5,
+        "fruit_veg": 4
+      },
+      "ageBaselines": {
+        "alcohol": {
+          "18-24": 9,
+          "25-34": 10.5,
+          "35-44": 11.5,
+          "45-54": 12.5,
+          "55+": 12
+        },
+        "nicotine": {
+          "18-24": 9,
+          "25-34": 11,
+          "35-44": 12,
+          "45-54": 12,
+          "55+": 9
+        },
+        "caffeine": {
+          "18-24": 125,
+          "25-34": 125,
+          "35-44": 125,
+          "45-54": 130,
+          "55+": 135
+        },
+        "sleep": {
+          "18-24": 7.8,
+          "25-34": 7.6,
+          "35-44": 7.5,
+          "45-54": 7.5,
+          "55+": 7.6
+        },
+        "strength_training": {
+          "18-24": 1.5,
+          "25-34": 1.25,
+          "35-44": 1,
+          "45-54": 0.75,
+          "55+": 0.5
+        },
+        "cardio": {
+          "18-24": 175,
+          "25-34": 165,
+          "35-44": 145,
+          "45-54": 130,
+          "55+": 100
+        },
+        "social_media": {
+          "18-24": 150,
+          "25-34": 125,
+          "35-44": 100,
+          "45-54": 75,
+          "55+": 45
+        },
+        "porn": {
+          "18-24": 0.8,
+          "25-34": 1.5,
+          "35-44": 1,
+          "45-54": 0.6,
+          "55+": 0.2
+        },
+        "fast_food": {
+          "18-24": 1.7,
+          "25-34": 1.5,
+          "35-44": 1.2,
+          "45-54": 0.8,
+          "55+": 0.5
+        },
+        "tooth_brushing": {
+          "18-24": 1.7,
+          "25-34": 1.8,
+          "35-44": 1.9,
+          "45-54": 1.9,
+          "55+": 2
+        },
+        "sugary_drinks": {
+          "18-24": 5,
+          "25-34": 3.5,
+          "35-44": 2.5,
+          "45-54": 2,
+          "55+": 2
+        },
+        "social_connections": {
+          "18-24": 3,
+          "25-34": 2.5,
+          "35-44": 2,
+          "45-54": 1.5,
+          "55+": 2
+        },
+        "fruit_veg": {
+          "18-24": 4,
+          "25-34": 4,
+          "35-44": 4,
+          "45-54": 4,
+          "55+": 4
+        }
+      }
+    },
+    "us": {
+      "label": "United States",
+      "description": "US averages, adjusted for age range and gender",
+      "baselines": {
+        "alcohol": 8,
+        "nicotine": 3,
+        "caffeine": 180,
+        "sleep": 7,
+        "strength_training": 8,
+        "cardio": 18,
+        "social_media": 140,
+        "porn": 1.2,
+        "fast_food": 2.5,
+        "tooth_brushing": 1.8,
+        "sugary_drinks": 6,
+        "social_connections": 2,
+        "fruit_veg": 2.5
+      },
+      "ageBaselines": {
+        "alcohol": {
+          "18-24": 7,
+          "25-34": 9,
+          "35-44": 8.5,
+          "45-54": 8,
+          "55+": 6.5
+        },
+        "nicotine": {
+          "18-24": 4,
+          "25-34": 4.5,
+          "35-44": 4,
+          "45-54": 3.5,
+          "55+": 2.5
+        },
+        "caffeine": {
+          "18-24": 110,
+          "25-34": 170,
+          "35-44": 200,
+          "45-54": 210,
+          "55+": 190
+        },
+        "sleep": {
+          "18-24": 7.2,
+          "25-34": 6.9,
+          "35-44": 6.8,
+          "45-54": 6.9,
+          "55+": 7.2
+        },
+        "strength_training": {
+          "18-24": 14,
+          "25-34": 11,
+          "35-44": 8,
+          "45-54": 6,
+          "55+": 4
+        },
+        "cardio": {
+          "18-24": 24,
+          "25-34": 20,
+          "35-44": 17,
+          "45-54": 15,
+          "55+": 13
+        },
+        "social_media": {
+          "18-24": 210,
+          "25-34": 170,
+          "35-44": 130,
+          "45-54": 100,
+          "55+": 60
+        },
+        "porn": {
+          "18-24": 1.6,
+          "25-34": 1.8,
+          "35-44": 1.3,
+          "45-54": 0.8,
+          "55+": 0.3
+        },
+        "fast_food": {
+          "18-24": 3.5,
+          "25-34": 3.2,
+          "35-44": 2.6,
+          "45-54": 2,
+          "55+": 1.4
+        },
+        "tooth_brushing": {
+          "18-24": 1.7,
+          "25-34": 1.8,
+          "35-44": 1.8,
+          "45-54": 1.9,
+          "55+": 1.9
+        },
+        "sugary_drinks": {
+          "18-24": 9,
+          "25-34": 7.5,
+          "35-44": 6,
+          "45-54": 5,
+          "55+": 3.5
+        },
+        "social_connections": {
+          "18-24": 3.2,
+          "25-34": 2.2,
+          "35-44": 1.8,
+          "45-54": 1.6,
+          "55+": 1.8
+        },
+        "fruit_veg": {
+          "18-24": 2.2,
+          "25-34": 2.3,
+          "35-44": 2.5,
+          "45-54": 2.6,
+          "55+": 2.9
+        }
+      },
+      "genderAdjustments": {
+        "alcohol": {
+          "male": 3,
+          "female": -3
+        },
+        "nicotine": {
+          "male": 1.5,
+          "female": -1.5
+        }
+      },
+      "units": {
+        "alcohol": {
+          "unit": "standard drinks/week",
+          "factor": 0.571,
+          "example": "For reference, 6 standard drinks ≈ six 12‑oz beers or six 5‑oz glasses of wine per week",
+          "choices": [
+            "None",
+            "Low (1–4)",
+            "Moderate (5–8)",
+            "High (9–12)",
+            "Very high (13+)"
+          ],
+          "converter": {
+            "type": "items",
+            "items": [
+              {
+                "label": "12-oz beers",
+                "amount": 0.355,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 5
+                }
+              },
+              {
+                "label": "16-oz pints of beer",
+                "amount": 0.473,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 5
+                }
+              },
+              {
+                "label": "5-oz glasses of wine",
+                "amount": 0.148,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 12
+                }
+              },
+              {
+                "label": "Bottles of wine (750 ml)",
+                "amount": 0.75,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 12
+                }
+              },
+              {
+                "label": "1.5-oz shots of liquor",
+                "amount": 0.044,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 40
+                }
+              }
+            ]
+          }
+        }
+      }
+    },
+    "eu": {
+      "label": "European Union",
+      "description": "EU averages, adjusted for age range and gender",
+      "baselines": {
+        "alcohol": 11,
+        "nicotine": 6,
+        "caffeine": 220,
+        "sleep": 7.1,
+        "strength_training": 8,
+        "cardio": 17,
+        "social_media": 120,
+        "porn": 1,
+        "fast_food": 1.3,
+        "tooth_brushing": 1.8,
+        "sugary_drinks": 3,
+        "social_connections": 2.6,
+        "fruit_veg": 3.2
+      },
+      "ageBaselines": {
+        "alcohol": {
+          "18-24": 9,
+          "25-34": 11,
+          "35-44": 11.5,
+          "45-54": 12,
+          "55+": 11
+        },
+        "nicotine": {
+          "18-24": 7,
+          "25-34": 8,
+          "35-44": 7.5,
+          "45-54": 6.5,
+          "55+": 4
+        },
+        "caffeine": {
+          "18-24": 120,
+          "25-34": 200,
+          "35-44": 240,
+          "45-54": 250,
+          "55+": 230
+        },
+        "sleep": {
+          "18-24": 7.4,
+          "25-34": 7.1,
+          "35-44": 7,
+          "45-54": 6.9,
+          "55+": 7.1
+        },
+        "strength_training": {
+          "18-24": 13,
+          "25-34": 10,
+          "35-44": 8,
+          "45-54": 6,
+          "55+": 4
+        },
+        "cardio": {
+          "18-24": 22,
+          "25-34": 19,
+          "35-44": 17,
+          "45-54": 15,
+          "55+": 14
+        },
+        "social_media": {
+          "18-24": 190,
+          "25-34": 145,
+          "35-44": 110,
+          "45-54": 85,
+          "55+": 50
+        },
+        "porn": {
+          "18-24": 1.3,
+          "25-34": 1.4,
+          "35-44": 1,
+          "45-54": 0.6,
+          "55+": 0.2
+        },
+        "fast_food": {
+          "18-24": 2,
+          "25-34": 1.7,
+          "35-44": 1.3,
+          "45-54": 1,
+          "55+": 0.6
+        },
+        "tooth_brushing": {
+          "18-24": 1.7,
+          "25-34": 1.8,
+          "35-44": 1.8,
+          "45-54": 1.8,
+          "55+": 1.8
+        },
+        "sugary_drinks": {
+          "18-24": 5,
+          "25-34": 3.5,
+          "35-44": 2.8,
+          "45-54": 2.3,
+          "55+": 1.8
+        },
+        "social_connections": {
+          "18-24": 3.5,
+          "25-34": 2.8,
+          "35-44": 2.3,
+          "45-54": 2.2,
+          "55+": 2.4
+        },
+        "fruit_veg": {
+          "18-24": 2.8,
+          "25-34": 3,
+          "35-44": 3.2,
+          "45-54": 3.4,
+          "55+": 3.6
+        }
+      },
+      "genderAdjustments": {
+        "alcohol": {
+          "male": 3.5,
+          "female": -3.5
+        },
+        "nicotine": {
+          "male": 2.5,
+          "female": -2.5
+        }
+      }
+    },
+    "au": {
+      "label": "Australia",
+      "description": "Australian averages, adjusted for age range and gender",
+      "baselines": {
+        "alcohol": 10,
+        "nicotine": 3,
+        "caffeine": 200,
+        "sleep": 7.2,
+        "strength_training": 9,
+        "cardio": 20,
+        "social_media": 130,
+        "porn": 1.1,
+        "fast_food": 1.8,
+        "tooth_brushing": 1.8,
+        "sugary_drinks": 4,
+        "social_connections": 2.5,
+        "fruit_veg": 3.8
+      },
+      "ageBaselines": {
+        "alcohol": {
+          "18-24": 9,
+          "25-34": 10.5,
+          "35-44": 10.5,
+          "45-54": 11,
+          "55+": 9.5
+        },
+        "nicotine": {
+          "18-24": 3.5,
+          "25-34": 4,
+          "35-44": 3.5,
+          "45-54": 3,
+          "55+": 2
+        },
+        "caffeine": {
+          "18-24": 120,
+          "25-34": 190,
+          "35-44": 220,
+          "45-54": 230,
+          "55+": 210
+        },
+        "sleep": {
+          "18-24": 7.5,
+          "25-34": 7.2,
+          "35-44": 7,
+          "45-54": 7,
+          "55+": 7.2
+        },
+        "strength_training": {
+          "18-24": 15,
+          "25-34": 12,
+          "35-44": 9,
+          "45-54": 7,
+          "55+": 5
+        },
+        "cardio": {
+          "18-24": 26,
+          "25-34": 22,
+          "35-44": 19,
+          "45-54": 17,
+          "55+": 16
+        },
+        "social_media": {
+          "18-24": 200,
+          "25-34": 155,
+          "35-44": 120,
+          "45-54": 90,
+          "55+": 55
+        },
+        "porn": {
+          "18-24": 1.4,
+          "25-34": 1.6,
+          "35-44": 1.1,
+          "45-54": 0.7,
+          "55+": 0.3
+        },
+        "fast_food": {
+          "18-24": 2.6,
+          "25-34": 2.2,
+          "35-44": 1.8,
+          "45-54": 1.4,
+          "55+": 0.9
+        },
+        "tooth_brushing": {
+          "18-24": 1.7,
+          "25-34": 1.8,
+          "35-44": 1.8,
+          "45-54": 1.8,
+          "55+": 1.9
+        },
+        "sugary_drinks": {
+          "18-24": 6,
+          "25-34": 4.5,
+          "35-44": 3.5,
+          "45-54": 3,
+          "55+": 2.2
+        },
+        "social_connections": {
+          "18-24": 3.4,
+          "25-34": 2.6,
+          "35-44": 2.2,
+          "45-54": 2.1,
+          "55+": 2.4
+        },
+        "fruit_veg": {
+          "18-24": 3.2,
+          "25-34": 3.5,
+          "35-44": 3.7,
+          "45-54": 4,
+          "55+": 4.3
+        }
+      },
+      "genderAdjustments": {
+        "alcohol": {
+          "male": 2.5,
+          "female": -2.5
+        },
+        "nicotine": {
+          "male": 1,
+          "female": -1
+        }
+      },
+      "units": {
+        "alcohol": {
+          "unit": "standard drinks/week",
+          "factor": 0.8,
+          "example": "For reference, 8 standard drinks ≈ five schooners of full-strength beer or five glasses of wine per week",
+          "choices": [
+            "None",
+            "Low (1–5)",
+            "Moderate (6–11)",
+            "High (12–17)",
+            "Very high (18+)"
+          ],
+          "converter": {
+            "type": "items",
+            "items": [
+              {
+                "label": "Schooners of beer (425 ml)",
+                "amount": 0.425,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 4.8
+                }
+              },
+              {
+                "label": "Stubbies or cans of beer (375 ml)",
+                "amount": 0.375,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 4.8
+                }
+              },
+              {
+                "label": "Glasses of wine (150 ml)",
+                "amount": 0.15,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 13
+                }
+              },
+              {
+                "label": "Bottles of wine (750 ml)",
+                "amount": 0.75,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 13
+                }
+              },
+              {
+                "label": "Nips of spirits (30 ml)",
+                "amount": 0.03,
+                "strength": {
+                  "label": "ABV %",
+                  "value": 40
+                }
+              }
+            ]
+          }
+        }
+      }
+    }
+  },
+  "citations": [
+    {
+      "id": 1,
+      "title": "Alcohol units",
+      "publisher": "NHS",
+      "year": 2023,
+      "url": "https://www.nhs.uk/live-well/alcohol-advice/calculating-alcohol-units/",
+      "claim": "To keep health risks from alcohol to a low level, men and women are advised not to drink more than 14 units a week on a regular basis."
+    },
+    {
+      "id": 2,
+      "title": "Health Effects of Cigarettes",
+      "publisher": "Centers for Disease Control and Prevention",
+      "year": 2024,
+      "url": "https://www.cdc.gov/tobacco/about/index.html",
+      "claim": "Nicotine is highly addictive, and cigarette smoking harms nearly every organ of the body."
+    },
+    {
+      "id": 3,
+      "title": "Spilling the Beans: How Much Caffeine is Too Much?",
+      "publisher": "U.S. Food and Drug Administration",
+      "year": 2024,
+      "url": "https://www.fda.gov/consumers/consumer-updates/spilling-beans-how-much-caffeine-too-much",
+      "claim": "For healthy adults, 400 milligrams of caffeine a day is an amount not generally associated with dangerous, negative effects."
+    },
+    {
+      "id": 4,
+      "title": "How to get to sleep",
+      "publisher": "NHS",
+      "year": 2024,
+      "url": "https://www.nhs.uk/live-well/sleep-and-tiredness/how-to-get-to-sleep/",
+      "claim": "Most adults need between 7 and 9 hours of sleep every night."
+    },
+    {
+      "id": 5,
+      "title": "WHO guidelines on physical activity and sedentary behaviour",
+      "publisher": "World Health Organization",
+      "year": 2020,
+      "url": "https://www.who.int/publications/i/item/9789240015128",
+      "claim": "Adults should do 150 to 300 minutes of moderate-intensity aerobic activity a week and muscle-strengthening activities on two or more days a week."
+    },
+    {
+      "id": 6,
+      "title": "Social Media and Youth Mental Health: The U.S. Surgeon General's Advisory",
+      "publisher": "U.S. Department of Health and Human Services",
+      "year": 2023,
+      "url": "https://www.hhs.gov/surgeongeneral/reports-and-publications/youth-mental-health/social-media/index.html",
+      "claim": "Spending more than three hours a day on social media is linked to double the risk of poor mental health outcomes such as symptoms of depression and anxiety."
+    },
+    {
+      "id": 7,
+      "title": "Addictive Behaviors",
+      "publisher": "Elsevier",
+      "year": 2025,
+      "url": "https://www.sciencedirect.com/journal/addictive-behaviors",
+      "claim": "Frequent pornography use is associated with a higher risk of compulsive, problematic use."
+    },
+    {
+      "id": 8,
+      "title": "Encouraging healthier 'out of home' food provision",
+      "publisher": "Public Health England",
+      "year": 2017,
+      "url": "https://www.gov.uk/government/publications/encouraging-healthier-out-of-home-food-provision",
+      "claim": "Food eaten out of the home, including fast food, tends to be higher in calories, fat, salt and sugar than food made at home."
+    },
+    {
+      "id": 9,
+      "title": "How to keep your teeth clean",
+      "publisher": "NHS",
+      "year": 2022,
+      "url": "https://www.nhs.uk/live-well/healthy-teeth-and-gums/how-to-keep-your-teeth-clean/",
+      "claim": "Brush your teeth for about 2 minutes last thing at night and on 1 other occasion every day."
+    },
+    {
+      "id": 10,
+      "title": "5 A Day: what counts?",
+      "publisher": "NHS",
+      "year": 2022,
+      "url": "https://www.nhs.uk/live-well/eat-well/5-a-day/what-counts/",
+      "claim": "Eat at least 5 portions of a variety of fruit and vegetables every day."
+    },
+    {
+      "id": 11,
+      "title": "Get the Facts: Sugar-Sweetened Beverages and Consumption",
+      "publisher": "Centers for Disease Control and Prevention",
+      "year": 2024,
+      "url": "https://www.cdc.gov/nutrition/data-statistics/sugar-sweetened-beverages-intake.html",
+      "claim": "Frequently drinking sugar-sweetened beverages is associated with weight gain, type 2 diabetes, heart disease, kidney disease, tooth decay and gout."
+    },
+    {
+      "id": 12,
+      "title": "The health benefits of strong relationships",
+      "publisher": "Harvard Health Publishing",
+      "year": 2019,
+      "url": "https://www.health.harvard.edu/staying-healthy/the-health-benefits-of-strong-relationships",
+      "claim": "People who have satisfying relationships with family, friends and their community are happier, have fewer health problems and live longer."
+    },
+    {
+      "id": 13,
+      "title": "Using e-cigarettes to stop smoking",
+      "publisher": "NHS",
+      "year": 2022,
+      "url": "https://www.nhs.uk/live-well/quit-smoking/using-e-cigarettes-to-stop-smoking/",
+      "claim": "Vaping is substantially less harmful than smoking, and people who quit with help from a stop smoking service are the most likely to succeed."
+    }
+  ],
+  "privacy": {
+    "minGroupSize": 5,
+    "noise": false,
+    "autoLockMinutes": 5
+  }
+};
@@ -0,0 +1,188 @@
+/*
+ * Habit Health Check exports
+ *
+ * Serialises checks into structured files people can analyse, and
+ * reads those files back in.  Two flavours carry the same data:
+ *
+ *   - JSON: { format, version, exportedAt, checks: [...] } where each
+ *     check holds its metadata, scores and one entry per marker with
+ *     the value, band, penalty and the group and overall averages.
+ *     A skipped question has a null value and band.
+ *   - CSV: one row per check and marker, with the check's metadata
+ *     repeated on every row so the file works directly in a
+ *     spreadsheet or pivot table.  A skipped question leaves the value
+ *     and band empty.
+ *
+ * A file can hold a single result or a whole history.  DOM‑free and
+ * requireable under Node.
+ */
+
+const EXPORT_FORMAT = 'habit-health-check';
+const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'checked_at', 'region', 'age_range', 'gender', 'score', 'group_score', 'overall_score',
+  'marker_id', 'marker_label', 'unit', 'value', 'band', 'penalty', 'group_average', 'overall_average'
+];
+
+// JSON document for a list of checks
+function checksToJson(checks) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    checks
+  }, null, 2);
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV document for a list of checks
+function checksToCsv(checks) {
+  const lines = [CSV_COLUMNS.join(',')];
+  checks.forEach((check) => {
+    check.markers.forEach((m) => {
+      lines.push([
+        check.checkedAt, check.region, check.ageRange, check.gender, check.score, check.groupScore, check.overallScore,
+        m.id, m.label, m.unit, m.value, m.band, m.penalty, m.groupAverage, m.overallAverage
+      ].map(csvField).join(','));
+    });
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Split CSV text into rows of fields, honouring quoted fields
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+}
+
+// Rebuild checks from CSV rows, grouping marker rows by check
+function checksFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('The CSV file is empty');
+  const col = {};
+  header.forEach((name, idx) => {
+    col[name.trim()] = idx;
+  });
+  ['checked_at', 'marker_id', 'value'].forEach((name) => {
+    if (col[name] == null) throw new Error(`The CSV file has no "${name}" column`);
+  });
+  const byCheck = new Map();
+  rows.forEach((row) => {
+    const get = (name) => (col[name] == null ? undefined : row[col[name]]);
+    const key = get('checked_at');
+    if (!byCheck.has(key)) {
+      byCheck.set(key, {
+        checkedAt: key,
+        region: get('region'),
+        ageRange: get('age_range'),
+        gender: get('gender'),
+        score: Number(get('score')),
+        groupScore: Number(get('group_score')),
+        overallScore: Number(get('overall_score')),
+        markers: []
+      });
+    }
+    const rawValue = get('value');
+    // An empty value is a skipped question
+    const value = rawValue == null || rawValue.trim() === '' ? null : Number(rawValue);
+    byCheck.get(key).markers.push({ id: get('marker_id'), value });
+  });
+  return [...byCheck.values()];
+}
+
+// True when a value lies inside the marker's plausible range (config
+// `range`), or is at least zero when the marker has none
+function inExportRange(marker, value) {
+  const { min = 0, max = Infinity } = marker.range || {};
+  return value >= min && value <= max;
+}
+
+// Parse an exported file (JSON or CSV, detected from its content) into
+// checks of the form { checkedAt, region, ageRange, gender, answers },
+// keeping only the markers of the given config.  A value that is not a
+// number or falls outside its marker's range is not trusted, and like
+// a marker missing from the file it reads as a skipped question (null).
+// Throws an Error with a readable message when the file cannot be used.
+function parseChecksFile(text, cfg) {
+  let checks;
+  if (/^\s*[{[]/.test(text)) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`The file is not valid JSON: ${err.message}`);
+    }
+    if (!doc || doc.format !== EXPORT_FORMAT || !Array.isArray(doc.checks)) {
+      throw new Error('The file is not a Habit Health Check export');
+    }
+    if (doc.version > EXPORT_VERSION) {
+      throw new Error('The file was exported by a newer version of the app');
+    }
+    checks = doc.checks;
+  } else {
+    checks = checksFromCsv(text);
+  }
+  const parsed = checks.map((check) => {
+    if (!check || !Array.isArray(check.markers) || Number.isNaN(Date.parse(check.checkedAt))) {
+      throw new Error('Every check needs a checked_at date and a list of markers');
+    }
+    const answers = {};
+    cfg.markers.forEach((marker) => {
+      const entry = check.markers.find(m => m && m.id === marker.id);
+      const value = entry ? entry.value : null;
+      answers[marker.id] = Number.isFinite(value) && inExportRange(marker, value) ? value : null;
+    });
+    return {
+      checkedAt: new Date(check.checkedAt).toISOString(),
+      region: check.region,
+      ageRange: check.ageRange,
+      gender: check.gender,
+      answers
+    };
+  });
+  if (parsed.length === 0) throw new Error('The file does not contain any checks');
+  return parsed;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CSV_COLUMNS, checksToJson, checksToCsv, parseCsv, parseChecksFile };
+}
@@ -0,0 +1,78 @@
+/*
+ * Habit Health Check follow-up questions
+ *
+ * Works out which questions a check asks.  Every marker is asked, and
+ * a marker can define follow-ups in config.json that are asked straight
+ * after it when its answer calls for them:
+ *
+ *   "followUps": [{
+ *     "id": "alcohol-binge",
+ *     "when": { "bands": ["high", "very bad"] },
+ *     "question": "...",
+ *     "choices": [{ "value": "never", "label": "...", "note": "...",
+ *                   "recommendation": "...", "citation": 1 }]
+ *   }]
+ *
+ * `when` holds `bands` (the answer's band is one of these), `above`
+ * (the answer is greater than this, in the marker's own unit) or both,
+ * in which case both must hold.  A skipped answer never leads to a
+ * follow-up.  Follow-ups are multiple choice, and a choice can add a
+ * note to the marker's breakdown and a recommendation to the actions,
+ * optionally with a source.
+ *
+ * Follow-up answers are kept apart from the marker answers, as
+ * { followUpId: choiceValue } with null for "Prefer not to say", and
+ * never change the score.  The band of an answer comes from scoring.js
+ * and is passed in as bandOf(marker, value), so this file stays
+ * DOM‑free and requireable under Node.
+ */
+
+// True when a follow-up should be asked for a marker answer with the
+// given band
+function followUpApplies(followUp, value, band) {
+  if (value == null) return false;
+  const { bands, above } = followUp.when;
+  if (bands && !bands.includes(band)) return false;
+  if (above != null && !(value > above)) return false;
+  return true;
+}
+
+// The questions to ask for the current answers, in order: each marker
+// as { marker }, followed by each of its follow-ups that applies as
+// { marker, followUp }.  The list grows and shrinks as answers change.
+function questionSteps(markers, answers, bandOf) {
+  const steps = [];
+  markers.forEach((marker) => {
+    steps.push({ marker });
+    const value = answers[marker.id];
+    (marker.followUps || []).forEach((followUp) => {
+      if (followUpApplies(followUp, value, value == null ? null : bandOf(marker, value))) {
+        steps.push({ marker, followUp });
+      }
+    });
+  });
+  return steps;
+}
+
+// The follow-up answers that still apply, dropping any left over from
+// a marker answer that has since changed
+function applicableFollowUpAnswers(markers, answers, followUpAnswers, bandOf) {
+  const kept = {};
+  questionSteps(markers, answers, bandOf).forEach(({ followUp }) => {
+    if (followUp && followUpAnswers[followUp.id] !== undefined) kept[followUp.id] = followUpAnswers[followUp.id];
+  });
+  return kept;
+}
+
+// The chosen choice of every follow-up that applies and was answered,
+// as { marker, followUp, choice }
+function followUpFindings(markers, answers, followUpAnswers, bandOf) {
+  return questionSteps(markers, answers, bandOf)
+    .filter(step => step.followUp)
+    .map(step => ({ ...step, choice: step.followUp.choices.find(c => c.value === followUpAnswers[step.followUp.id]) }))
+    .filter(finding => finding.choice);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { followUpApplies, questionSteps, applicableFollowUpAnswers, followUpFindings };
+}
@@ -0,0 +1,58 @@
+/*
+ * Habit Health Check goals
+ *
+ * Personal targets per marker (e.g. "alcohol at or below 10 units a
+ * week" instead of the generic 14), kept encrypted next to the check
+ * history.  A goal is a single number read in the marker's own
+ * direction: for consumption markers the value should stay at or below
+ * it, for inverted (higher is better) markers at or above it.
+ * DOM‑free and requireable under Node.
+ */
+
+const GOALS_STORAGE_KEY = 'habitHealthCheck.goals';
+
+// Read all goals as { markerId: { target, setAt } }.  Missing, corrupt
+// or blocked storage reads as no goals.
+function loadGoals() {
+  try {
+    if (typeof readStored !== 'function') return {};
+    const goals = JSON.parse(readStored(GOALS_STORAGE_KEY) || '{}');
+    return goals && typeof goals === 'object' && !Array.isArray(goals) ? goals : {};
+  } catch (err) {
+    console.error('Could not read goals', err);
+    return {};
+  }
+}
+
+// Replace the stored goals
+function saveGoals(goals) {
+  if (typeof writeStored !== 'function') return;
+  writeStored(GOALS_STORAGE_KEY, JSON.stringify(goals));
+}
+
+// Set or, with a null target, clear the goal for one marker
+function setGoal(markerId, target) {
+  const goals = loadGoals();
+  if (target == null) {
+    delete goals[markerId];
+  } else {
+    goals[markerId] = { target, setAt: new Date().toISOString() };
+  }
+  saveGoals(goals);
+  return goals;
+}
+
+// Whether a value meets a goal for the given marker
+function isGoalMet(marker, target, value) {
+  return marker.invert ? value >= target : value <= target;
+}
+
+// Short description of a goal, e.g. "≤ 10 units/week".  The target can
+// be passed already formatted, with the unit it is shown in.
+function describeGoal(marker, target, unit = marker.unit) {
+  return `${marker.invert ? '≥' : '≤'} ${target} ${unit}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GOALS_STORAGE_KEY, loadGoals, saveGoals, setGoal, isGoalMet, describeGoal };
+}
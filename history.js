@@ -0,0 +1,81 @@
+/*
+ * Habit Health Check history store
+ *
+ * Keeps every completed check in the browser, encrypted by
+ * securestore.js once a passphrase is chosen, so people can track how
+ * their habits change from week to week.  Each entry records when the
+ * check was taken, the demographics and region used for the
+ * comparison, the raw answers and any follow-up answers, the personal
+ * goals in force and the scores shown at the time.  Nothing leaves
+ * the browser.  Like scoring.js this file has no DOM dependencies;
+ * under Node, where securestore.js is not loaded, the store simply
+ * reads as empty.
+ */
+
+const HISTORY_STORAGE_KEY = 'habitHealthCheck.history';
+
+// Read all stored checks, oldest first.  Corrupt, missing or blocked
+// storage reads as an empty history rather than breaking the app.
+function loadHistory() {
+  try {
+    if (typeof readStored !== 'function') return [];
+    const entries = JSON.parse(readStored(HISTORY_STORAGE_KEY) || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.error('Could not read check history', err);
+    return [];
+  }
+}
+
+// Replace the stored history with the given entries
+function saveHistory(entries) {
+  if (typeof writeStored !== 'function') return;
+  writeStored(HISTORY_STORAGE_KEY, JSON.stringify(entries));
+}
+
+// Record a completed check.  `check` holds the answers, demographics
+// and scores; an id and timestamp are added here.  Returns the stored
+// entry.
+function addHistoryEntry(check) {
+  const timestamp = check.timestamp || new Date().toISOString();
+  const entry = {
+    id: `${Date.parse(timestamp)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+    ageRange: check.ageRange,
+    gender: check.gender,
+    region: check.region,
+    answers: { ...check.answers },
+    goals: { ...check.goals },
+    followUps: { ...check.followUps },
+    score: check.score,
+    groupScore: check.groupScore,
+    overallScore: check.overallScore
+  };
+  const entries = loadHistory();
+  entries.push(entry);
+  entries.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  saveHistory(entries);
+  return entry;
+}
+
+// Remove a single check by id
+function deleteHistoryEntry(id) {
+  saveHistory(loadHistory().filter((entry) => entry.id !== id));
+}
+
+// Remove every stored check
+function clearHistory() {
+  if (typeof removeStored !== 'function') return;
+  removeStored(HISTORY_STORAGE_KEY);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HISTORY_STORAGE_KEY,
+    loadHistory,
+    saveHistory,
+    addHistoryEntry,
+    deleteHistoryEntry,
+    clearHistory
+  };
+}
@@ -0,0 +1,138 @@
+/*
+ * Habit Health Check translations
+ *
+ * A small gettext‑style translation layer.  English is the source
+ * language: UI code passes the English text to t() and gets back the
+ * text for the active locale, falling back to the English when a
+ * bundle has no entry.  Placeholders are written {name} and filled
+ * from the params object:
+ *
+ *   t('Average {gender} aged {age} would score about {score}/100', { ... })
+ *
+ * Each locale lives in its own bundle under locales/ and registers
+ * itself with defineLocale().  A bundle has a display `name`, the UI
+ * `strings` and an optional `config` tree with translations for the
+ * text in config.json (marker labels, units, descriptions, examples,
+ * choices and notes, categories, genders, regions and the claims of
+ * citations; source titles stay as published).
+ * localizeConfig() applies that tree to a copy of the config, so the
+ * rest of the app keeps reading plain marker.label and friends.
+ * DOM‑free and requireable under Node.
+ */
+
+const LOCALE_STORAGE_KEY = 'habitHealthCheck.locale';
+const DEFAULT_LOCALE = 'en';
+
+const LOCALE_BUNDLES = {
+  en: { name: 'English', strings: {}, config: {} }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+// Register a locale bundle
+function defineLocale(code, bundle) {
+  LOCALE_BUNDLES[code] = bundle;
+}
+
+// Locales to offer in the language switch, as [{ code, name }]
+function availableLocales() {
+  return Object.entries(LOCALE_BUNDLES).map(([code, bundle]) => ({ code, name: bundle.name }));
+}
+
+// The saved locale, else the browser's language when a bundle exists
+// for it, else English
+function preferredLocale() {
+  try {
+    const saved = typeof localStorage !== 'undefined' && localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (saved && LOCALE_BUNDLES[saved]) return saved;
+  } catch (err) {
+    // Blocked storage just means no saved choice
+  }
+  const browser = typeof navigator !== 'undefined' && navigator.language ? navigator.language.slice(0, 2) : '';
+  return LOCALE_BUNDLES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+// Make a locale the active one and, unless told otherwise, remember the
+// choice
+function setLocale(code, remember = true) {
+  currentLocale = LOCALE_BUNDLES[code] ? code : DEFAULT_LOCALE;
+  if (!remember) return currentLocale;
+  try {
+    if (typeof localStorage !== 'undefined') localStorage.setItem(LOCALE_STORAGE_KEY, currentLocale);
+  } catch (err) {
+    console.error('Could not save language', err);
+  }
+  return currentLocale;
+}
+
+// Translate English UI text into the active locale and fill in {name}
+// placeholders
+function t(text, params = {}) {
+  const translated = LOCALE_BUNDLES[currentLocale]?.strings?.[text] ?? text;
+  return translated.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+// Format a number for the active locale, with at most one decimal
+// place unless options say otherwise
+function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(currentLocale, { maximumFractionDigits: 1, ...options }).format(value);
+}
+
+// Copy `source` over `target` where both hold strings (or arrays of
+// strings) at the same path, recursing into objects
+function applyTranslations(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (target[key] == null) return;
+    if (typeof value === 'string' && typeof target[key] === 'string') {
+      target[key] = value;
+    } else if (value && typeof value === 'object' && typeof target[key] === 'object') {
+      applyTranslations(target[key], value);
+    }
+  });
+}
+
+// A copy of the config with its text translated into the given locale.
+// Markers, categories and citations are matched by id (choices by
+// position); numbers are never touched.
+function localizeConfig(cfg, code = currentLocale) {
+  const copy = JSON.parse(JSON.stringify(cfg));
+  const tree = LOCALE_BUNDLES[code]?.config;
+  if (!tree) return copy;
+  copy.markers.forEach((marker) => {
+    const text = tree.markers?.[marker.id];
+    if (!text) return;
+    const { choices, ...fields } = text;
+    applyTranslations(marker, fields);
+    if (Array.isArray(choices) && Array.isArray(marker.choices)) {
+      marker.choices.forEach((choice, idx) => {
+        if (typeof choices[idx] === 'string') choice.label = choices[idx];
+      });
+    }
+  });
+  (copy.categories || []).forEach((category) => {
+    if (typeof tree.categories?.[category.id] === 'string') category.label = tree.categories[category.id];
+  });
+  copy.demographics.genders.forEach((gender) => {
+    if (typeof tree.genders?.[gender.id] === 'string') gender.label = tree.genders[gender.id];
+  });
+  if (tree.regions) applyTranslations(copy.regions, tree.regions);
+  copy.citations.forEach((citation) => {
+    const text = tree.citations?.[citation.id];
+    if (text) applyTranslations(citation, text);
+  });
+  return copy;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOCALE_BUNDLES,
+    defineLocale,
+    availableLocales,
+    preferredLocale,
+    setLocale,
+    t,
+    formatNumber,
+    localizeConfig,
+    getLocale: () => currentLocale
+  };
+}
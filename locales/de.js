@@ -0,0 +1,630 @@
+/*
+ * Habit Health Check – German (Deutsch)
+ *
+ * UI strings keyed by their English text, plus translations for the
+ * text in config.json.  See i18n.js for how bundles are applied.
+ */
+
+defineLocale('de', {
+  name: 'Deutsch',
+  strings: {
+    // Config errors
+    'This configuration cannot be used': 'Diese Konfiguration kann nicht verwendet werden',
+    '{count} problem found in {source}:': '{count} Problem in {source} gefunden:',
+    '{count} problems found in {source}:': '{count} Probleme in {source} gefunden:',
+    'Use the default config': 'Standardkonfiguration verwenden',
+    'Choose another config file': 'Andere Konfigurationsdatei wählen',
+
+    // Launch screen
+    'Habit Health Check': 'Gewohnheits-Gesundheitscheck',
+    'This quick check compares your everyday habits with trusted health guidelines and the averages where you live. Answer a few simple questions to see where you stand and how you can improve.':
+      'Dieser kurze Check vergleicht deine Alltagsgewohnheiten mit anerkannten Gesundheitsempfehlungen und den Durchschnittswerten in deiner Region. Beantworte ein paar einfache Fragen und sieh, wo du stehst und was du verbessern kannst.',
+    'Language': 'Sprache',
+    'Theme': 'Farbschema',
+    'System theme': 'Wie im System',
+    'Light': 'Hell',
+    'Dark': 'Dunkel',
+    'Select your region': 'Wähle deine Region',
+    'Select your age range': 'Wähle deine Altersgruppe',
+    'Select your gender': 'Wähle dein Geschlecht',
+    'Begin': 'Starten',
+    'Daily log': 'Tagesprotokoll',
+    'View history': 'Verlauf ansehen',
+    'Use a custom config file': 'Eigene Konfigurationsdatei verwenden',
+    'Import results (JSON or CSV)': 'Ergebnisse importieren (JSON oder CSV)',
+    'Could not import {file}: {error}': '{file} konnte nicht importiert werden: {error}',
+    'Version {version}': 'Version {version}',
+    'A new version of Habit Health Check is available.': 'Eine neue Version des Gewohnheits-Gesundheitschecks ist verfügbar.',
+    'Reload': 'Neu laden',
+    'Later': 'Später',
+
+    // Daily log
+    "Today's log · {date}": 'Protokoll für heute · {date}',
+    'Record what you did today. The last {days} days are combined into the daily or weekly figures the check uses, so you no longer have to estimate the week from memory.':
+      'Trage ein, was du heute gemacht hast. Die letzten {days} Tage werden zu den Tages- oder Wochenwerten des Checks zusammengefasst, sodass du die Woche nicht mehr aus dem Gedächtnis schätzen musst.',
+    'Logged on {count} of the last {days} days': 'An {count} der letzten {days} Tage eingetragen',
+    '{label} today ({unit})': '{label} heute ({unit})',
+    'Back': 'Zurück',
+    'Check this week': 'Diese Woche prüfen',
+
+    // Questions
+    'Progress': 'Fortschritt',
+    'Questions': 'Fragen',
+    'Question {n} of {total}': 'Frage {n} von {total}',
+    'Question {n} of {total}: {label}': 'Frage {n} von {total}: {label}',
+    'Recommended: {value} {unit}': 'Empfohlen: {value} {unit}',
+    'Your goal: {goal}': 'Dein Ziel: {goal}',
+    'Or enter custom value ({unit})': 'Oder eigenen Wert eingeben ({unit})',
+    'Work it out': 'Ausrechnen',
+    'How many in a typical week?': 'Wie viele in einer typischen Woche?',
+    'How many in a typical day?': 'Wie viele an einem typischen Tag?',
+    'How many?': 'Wie viele?',
+    'Bedtime': 'Schlafenszeit',
+    'Wake time': 'Aufstehzeit',
+    'Total: {value} {unit}': 'Gesamt: {value} {unit}',
+    'Use this value': 'Diesen Wert übernehmen',
+    'Next': 'Weiter',
+    'Prefer not to say': 'Keine Angabe',
+    'Enter a number.': 'Gib eine Zahl ein.',
+    'Enter a value of {min} {unit} or more.': 'Gib einen Wert ab {min} {unit} ein.',
+    'Enter a value between {min} and {max} {unit}.': 'Gib einen Wert zwischen {min} und {max} {unit} ein.',
+    'Choose an answer, enter a value or choose "Prefer not to say".': 'Wähle eine Antwort, gib einen Wert ein oder wähle „Keine Angabe“.',
+    'Follow-up to your answer for {label}: {answer}': 'Nachfrage zu deiner Antwort bei {label}: {answer}',
+    'Choose an answer or "Prefer not to say".': 'Wähle eine Antwort oder „Keine Angabe“.',
+    'Review answers': 'Antworten prüfen',
+    'Finish': 'Fertig',
+
+    // Review
+    'Review your answers': 'Prüfe deine Antworten',
+    'Check your answers before you finish. Skipped questions are left out of your score.':
+      'Prüfe deine Antworten, bevor du abschließt. Übersprungene Fragen zählen nicht zu deiner Bewertung.',
+    'Skipped': 'Übersprungen',
+    'Not answered': 'Nicht beantwortet',
+    'Change': 'Ändern',
+    'Change {label}': '{label} ändern',
+    'Answer or skip every question before you finish: {markers}': 'Beantworte oder überspringe jede Frage, bevor du abschließt: {markers}',
+
+    // Bands
+    'excellent': 'ausgezeichnet',
+    'good': 'gut',
+    'mild': 'leicht',
+    'moderate': 'mäßig',
+    'high': 'hoch',
+    'very bad': 'sehr schlecht',
+
+    // Results
+    'You are viewing a shared result. It is not saved to your history.': 'Du siehst ein geteiltes Ergebnis. Es wird nicht in deinem Verlauf gespeichert.',
+    'Take the check yourself': 'Mach den Check selbst',
+    'Overall habit score': 'Gesamtwert deiner Gewohnheiten',
+    'Average {gender} aged {age} in {region} would score about {score}/100': 'Der Durchschnitt ({gender}, {age} Jahre, {region}) läge bei etwa {score}/100',
+    'Group avg': 'Gruppe Ø',
+    'Overall avg': 'Gesamt Ø',
+    'Other': 'Sonstiges',
+    '{label}: {band} penalty ({value} {unit}) -{penalty}': '{label}: Abzug „{band}“ ({value} {unit}) -{penalty}',
+    '{label}: excellent bonus ({value} {unit}) +{bonus}': '{label}: Bonus für ausgezeichnete Werte ({value} {unit}) +{bonus}',
+    'Great work! You incurred no penalties this week.': 'Sehr gut! Diese Woche gab es keine Abzüge.',
+    'Skipped and left out of the score: {markers}': 'Übersprungen und nicht bewertet: {markers}',
+    'Goals met: {met} of {total}': 'Ziele erreicht: {met} von {total}',
+    'Visualisations': 'Diagramme',
+    'Detailed breakdown': 'Aufschlüsselung',
+    'Marker': 'Merkmal',
+    'You': 'Du',
+    'Average': 'Durchschnitt',
+    'Band': 'Bereich',
+    'Penalty': 'Abzug',
+    'Status': 'Status',
+    'Goal': 'Ziel',
+    'Met ({goal})': 'Erreicht ({goal})',
+    'Missed ({goal})': 'Verfehlt ({goal})',
+    'Top actions for next week': 'Die wichtigsten Schritte für nächste Woche',
+    '{action} for a potential gain of {gain} points': '{action} – möglicher Gewinn: {gain} Punkte',
+    'Increase {marker} to your goal of {value} {unit}': '{marker} auf dein Ziel von {value} {unit} steigern',
+    'Reduce {marker} to your goal of {value} {unit}': '{marker} auf dein Ziel von {value} {unit} senken',
+    'Increase {marker} to at least {value} {unit}': '{marker} auf mindestens {value} {unit} steigern',
+    'Reduce {marker} to below {value} {unit}': '{marker} auf unter {value} {unit} senken',
+
+    // Result controls
+    'Download PDF': 'PDF herunterladen',
+    'The PDF report holds your score, every answer, your region, age range and gender.':
+      'Der PDF-Bericht enthält deinen Wert, jede Antwort, deine Region, Altersgruppe und dein Geschlecht.',
+    'Anyone who gets it can read your answers about sensitive habits. Do you agree to export it?':
+      'Wer das bekommt, kann deine Antworten zu heiklen Gewohnheiten lesen. Bist du mit dem Export einverstanden?',
+    'Export {format}': '{format} exportieren',
+    'The file holds your score, every answer, your region, age range and gender and the date of this check.':
+      'Die Datei enthält deinen Wert, jede Antwort, deine Region, Altersgruppe und dein Geschlecht sowie das Datum dieses Checks.',
+    'Export for team': 'Für das Team exportieren',
+    'The team file holds your score and the overall average score; for each question your answer, its band and the overall average; your region; the month of this check; and a random id so the same file is not counted twice. It has no name, no free text and no exact date. Share it only with your team\'s facilitator.':
+      'Die Team-Datei enthält deinen Wert und den Gesamtdurchschnitt; zu jeder Frage deine Antwort, ihren Bereich und den Gesamtdurchschnitt; deine Region; den Monat dieses Checks; und eine zufällige Kennung, damit dieselbe Datei nicht doppelt zählt. Sie enthält keinen Namen, keinen freien Text und kein genaues Datum. Gib sie nur an die Person weiter, die dein Team begleitet.',
+    'Include my age band ({band})': 'Meine Altersgruppe mitsenden ({band})',
+    'Include my gender ({gender})': 'Mein Geschlecht mitsenden ({gender})',
+    'If you include both your age band and gender, the file also holds your group score and group averages. These are worked out for your exact age range and gender, so they reveal both.':
+      'Wenn du Altersgruppe und Geschlecht mitsendest, enthält die Datei auch deinen Gruppenwert und die Gruppendurchschnitte. Diese gelten für deine genaue Altersspanne und dein Geschlecht und verraten daher beides.',
+    'I agree to share the details listed above with my team': 'Ich bin einverstanden, die oben genannten Angaben mit meinem Team zu teilen',
+    'Download team file': 'Team-Datei herunterladen',
+    'Under 35': 'Unter 35',
+    '55 and over': '55 und älter',
+    'Restart': 'Neu starten',
+    'Copy share link': 'Link zum Teilen kopieren',
+    'The link holds your score, every answer, your region, age range and gender.':
+      'Der Link enthält deinen Wert, jede Antwort, deine Region, Altersgruppe und dein Geschlecht.',
+    'Link copied': 'Link kopiert',
+    'Copy this link to share your result:': 'Kopiere diesen Link, um dein Ergebnis zu teilen:',
+    'View sources': 'Quellen ansehen',
+    'Source {id}': 'Quelle {id}',
+    'Source {id} is missing from the sources list': 'Quelle {id} fehlt in der Quellenliste',
+    'What if?': 'Was wäre, wenn?',
+    'Set goals': 'Ziele setzen',
+    'How scoring works': 'So wird bewertet',
+
+    // Scoring explanation
+    '-{min} to -{max}': '-{min} bis -{max}',
+    'The score starts at 100 points. For each marker, points are subtracted when your value falls outside the recommended band.':
+      'Der Wert beginnt bei 100 Punkten. Für jedes Merkmal werden Punkte abgezogen, wenn dein Wert außerhalb des empfohlenen Bereichs liegt.',
+    'Step scoring': 'Stufenbewertung',
+    'each band deducts a fixed number of points.': 'jeder Bereich zieht eine feste Punktzahl ab.',
+    'Mild': 'Leicht',
+    '{points} points. Your habit is slightly off the recommended range.': '{points} Punkte. Deine Gewohnheit liegt knapp außerhalb des empfohlenen Bereichs.',
+    'Moderate': 'Mäßig',
+    '{points} points. Your habit is moderately unhealthy or insufficient.': '{points} Punkte. Deine Gewohnheit ist mäßig ungesund oder unzureichend.',
+    'High': 'Hoch',
+    '{points} points. Your habit is well outside the healthy range.': '{points} Punkte. Deine Gewohnheit liegt deutlich außerhalb des gesunden Bereichs.',
+    'Very bad': 'Sehr schlecht',
+    '{points} points. Your habit is far beyond harmful thresholds and merits urgent attention.':
+      '{points} Punkte. Deine Gewohnheit liegt weit über schädlichen Grenzwerten und verdient dringend Aufmerksamkeit.',
+    'Graded scoring': 'Gleitende Bewertung',
+    'nothing is deducted up to the start of the mild band. From there the penalty grows in a straight line between the band edges, so a value just past an edge costs only a fraction of a point.':
+      'bis zum Beginn des leichten Bereichs wird nichts abgezogen. Danach wächst der Abzug gleichmäßig zwischen den Bereichsgrenzen, sodass ein Wert knapp hinter einer Grenze nur einen Bruchteil eines Punktes kostet.',
+    '{points} at {value}': '{points} bei {value}',
+    'Excellent': 'Ausgezeichnet',
+    '0 points deducted, and some markers earn a bonus: {bonuses}. Bonuses can win back lost points but the score never goes above 100.':
+      '0 Punkte Abzug, und einige Merkmale bringen einen Bonus: {bonuses}. Boni können verlorene Punkte zurückholen, der Wert steigt aber nie über 100.',
+    '0 points deducted. Your habit is notably better than the guideline.': '0 Punkte Abzug. Deine Gewohnheit ist deutlich besser als die Empfehlung.',
+    'Step and graded scoring for your answers': 'Stufen- und gleitende Bewertung deiner Antworten',
+    'Bold penalties are from the model each marker uses.': 'Fett gedruckte Abzüge stammen aus dem Modell, das das jeweilige Merkmal verwendet.',
+    'Step': 'Stufen',
+    'Graded': 'Gleitend',
+    'Score': 'Wert',
+
+    // What-if
+    'Move a slider to see how your score would change. Your saved answers stay as they are.':
+      'Bewege einen Regler, um zu sehen, wie sich dein Wert ändern würde. Deine gespeicherten Antworten bleiben unverändert.',
+    'Reset sliders': 'Regler zurücksetzen',
+    'What-if score: {score}/100 ({change})': 'Was-wäre-wenn-Wert: {score}/100 ({change})',
+    'Biggest single gain: {marker} to {value} {unit} (+{gain} points)': 'Größter Einzelgewinn: {marker} auf {value} {unit} (+{gain} Punkte)',
+
+    // Goals
+    'Set your own target per marker. Goals are saved in this browser and your next check reports whether you met them.':
+      'Lege für jedes Merkmal ein eigenes Ziel fest. Ziele werden in diesem Browser gespeichert und dein nächster Check zeigt, ob du sie erreicht hast.',
+    'at least': 'mindestens',
+    'at most': 'höchstens',
+    'Save goals': 'Ziele speichern',
+    'Goals must be zero or more: {markers}': 'Ziele müssen null oder größer sein: {markers}',
+    'Could not save goals in this browser.': 'Die Ziele konnten in diesem Browser nicht gespeichert werden.',
+
+    // Charts
+    'Value ({unit})': 'Wert ({unit})',
+    'Date': 'Datum',
+    'Group vs overall averages': 'Gruppen- und Gesamtdurchschnitt',
+    'Your pattern vs averages': 'Dein Profil im Vergleich',
+    'Your group': 'Deine Gruppe',
+    'Group average': 'Gruppendurchschnitt',
+    'Overall average': 'Gesamtdurchschnitt',
+    'Markers': 'Merkmale',
+    'Value': 'Wert',
+    'Mild band': 'Leichter Bereich',
+
+    // History
+    'Your check-in history': 'Dein Verlauf',
+    'No saved checks yet. Complete a check and it will appear here.': 'Noch keine gespeicherten Checks. Schließe einen Check ab, dann erscheint er hier.',
+    'Overall score over time': 'Gesamtwert im Zeitverlauf',
+    'Markers over time': 'Merkmale im Zeitverlauf',
+    'Past checks': 'Frühere Checks',
+    'View': 'Ansehen',
+    'Delete': 'Löschen',
+    'Delete the check from {date}?': 'Den Check vom {date} löschen?',
+    'Export all ({format})': 'Alle exportieren ({format})',
+    'The file holds every saved check: the scores, answers, region, age range, gender and date of each.':
+      'Die Datei enthält alle gespeicherten Checks: Wert, Antworten, Region, Altersgruppe, Geschlecht und Datum von jedem.',
+    'Import': 'Importieren',
+    'Clear history': 'Verlauf löschen',
+    'Delete all saved checks? This cannot be undone.': 'Alle gespeicherten Checks löschen? Das kann nicht rückgängig gemacht werden.',
+
+    // Saved data
+    'Lock now': 'Jetzt sperren',
+    'Wipe all data': 'Alle Daten löschen',
+    'Delete every check, goal and daily log saved in this browser, along with your language and theme settings? This cannot be undone.':
+      'Alle in diesem Browser gespeicherten Checks, Ziele und Tagesprotokolle sowie deine Sprach- und Farbschema-Einstellungen löschen? Das kann nicht rückgängig gemacht werden.',
+    'Passphrase (at least {count} characters)': 'Passphrase (mindestens {count} Zeichen)',
+    'Repeat the passphrase': 'Passphrase wiederholen',
+    'A forgotten passphrase cannot be recovered. The only way back in is to wipe all data.':
+      'Eine vergessene Passphrase lässt sich nicht wiederherstellen. Dann hilft nur noch, alle Daten zu löschen.',
+    'Encrypt and save': 'Verschlüsseln und speichern',
+    'Use at least {count} characters.': 'Verwende mindestens {count} Zeichen.',
+    'The passphrases do not match.': 'Die Passphrasen stimmen nicht überein.',
+    'Could not save: {error}': 'Speichern nicht möglich: {error}',
+    'This browser cannot encrypt data on this page, so your checks are saved without a passphrase.':
+      'Dieser Browser kann auf dieser Seite nicht verschlüsseln, deshalb werden deine Checks ohne Passphrase gespeichert.',
+    'Your checks are saved in this browser without encryption, so anyone using it can read them. Choose a passphrase to encrypt them.':
+      'Deine Checks sind in diesem Browser unverschlüsselt gespeichert und für alle lesbar, die ihn nutzen. Wähle eine Passphrase, um sie zu verschlüsseln.',
+    'Nothing is saved in this browser until you choose how. With a passphrase your checks are encrypted; without one, anyone using this browser can read them.':
+      'In diesem Browser wird nichts gespeichert, bis du wählst, wie. Mit einer Passphrase werden deine Checks verschlüsselt; ohne sie kann sie jede Person lesen, die diesen Browser nutzt.',
+    'Nothing is saved in this browser until you agree. This browser cannot encrypt data on this page, so anyone using it could read your checks.':
+      'In diesem Browser wird nichts gespeichert, bis du zustimmst. Dieser Browser kann auf dieser Seite nicht verschlüsseln, daher könnte jede Person, die ihn nutzt, deine Checks lesen.',
+    'Save without encryption': 'Ohne Verschlüsselung speichern',
+    'Choose a passphrase': 'Passphrase wählen',
+    'Saved and encrypted in this browser.': 'Verschlüsselt in diesem Browser gespeichert.',
+    'Your saved data is locked': 'Deine gespeicherten Daten sind gesperrt',
+    'Enter your passphrase to open your saved checks, goals and daily log.':
+      'Gib deine Passphrase ein, um deine gespeicherten Checks, Ziele und dein Tagesprotokoll zu öffnen.',
+    'Passphrase': 'Passphrase',
+    'Unlock': 'Entsperren',
+    'Could not open your saved data: {error}': 'Deine gespeicherten Daten konnten nicht geöffnet werden: {error}',
+    'That passphrase is not right. Try again.': 'Diese Passphrase stimmt nicht. Versuche es noch einmal.',
+    'Forgotten your passphrase? Wipe all data': 'Passphrase vergessen? Alle Daten löschen',
+
+    // Team dashboard
+    'Team dashboard': 'Team-Übersicht',
+    'Load the anonymised result files your team exported with "Export for team". They are read in this browser only and are not saved.':
+      'Lade die anonymisierten Ergebnisdateien, die dein Team mit „Für das Team exportieren“ erstellt hat. Sie werden nur in diesem Browser gelesen und nicht gespeichert.',
+    'No team results loaded yet.': 'Noch keine Team-Ergebnisse geladen.',
+    '{count} results loaded': '{count} Ergebnisse geladen',
+    'Group average: {group}/100 · Overall average: {overall}/100': 'Gruppendurchschnitt: {group}/100 · Gesamtdurchschnitt: {overall}/100',
+    'Team average score: {mean}/100': 'Durchschnitt des Teams: {mean}/100',
+    'Score distribution': 'Verteilung der Werte',
+    'Team members': 'Teammitglieder',
+    'Figures covering fewer than {size} people are hidden.': 'Angaben zu weniger als {size} Personen werden ausgeblendet.',
+    'Counts include a little random noise.': 'Die Anzahlen enthalten ein wenig zufälliges Rauschen.',
+    'Hidden to protect privacy': 'Zum Schutz der Privatsphäre ausgeblendet',
+    'Team figures appear once at least {size} results are loaded ({count} so far).':
+      'Team-Angaben erscheinen, sobald mindestens {size} Ergebnisse geladen sind (bisher {count}).',
+    'Age band': 'Altersgruppe',
+    'Gender': 'Geschlecht',
+    'Not shared': 'Nicht angegeben',
+    '{count} smaller groups hidden to protect privacy': '{count} kleinere Gruppen zum Schutz der Privatsphäre ausgeblendet',
+    'Markers across the team': 'Merkmale im Team',
+    'Team average': 'Team-Durchschnitt',
+    'Load team results': 'Team-Ergebnisse laden',
+    'Clear team results': 'Team-Ergebnisse entfernen',
+    'Some files could not be loaded:': 'Einige Dateien konnten nicht geladen werden:',
+    '{file}: {error}': '{file}: {error}',
+
+    // PDF report
+    'Habit Health Check report': 'Bericht zum Gewohnheits-Gesundheitscheck',
+    'Check taken {date} · {region} · {gender}, aged {age}': 'Check vom {date} · {region} · {gender}, {age} Jahre',
+    'Your group average: {score}/100': 'Durchschnitt deiner Gruppe: {score}/100',
+    'Overall average: {score}/100': 'Gesamtdurchschnitt: {score}/100',
+    'Deductions': 'Abzüge',
+    'Sources': 'Quellen',
+    'Check taken {date}': 'Check vom {date}',
+    'Page {page} of {count}': 'Seite {page} von {count}'
+  },
+  config: {
+    markers: {
+      alcohol: {
+        label: 'Alkoholeinheiten pro Woche',
+        unit: 'Einheiten/Woche',
+        description: 'Mehr als 14 Einheiten pro Woche erhöhen das Gesundheitsrisiko',
+        example: 'Zum Vergleich: 10 Einheiten ≈ fünf Pints Bier oder fünf Gläser Wein pro Woche',
+        notes: {
+          mild: 'Regelmäßig mehr als 14 Einheiten können das Risiko für Gesundheitsprobleme erhöhen',
+          high: 'Dauerhaft hoher Alkoholkonsum wird mit Leberschäden und anderen Krankheiten in Verbindung gebracht'
+        },
+        choices: ['Keine', 'Wenig (1–7)', 'Mäßig (8–14)', 'Viel (15–21)', 'Sehr viel (22+)'],
+        converter: {
+          items: [
+            { label: 'Pints Bier oder Cider (568 ml)', strength: { label: 'Vol.-%' } },
+            { label: 'Flaschen oder Dosen Bier (330 ml)', strength: { label: 'Vol.-%' } },
+            { label: 'Gläser Wein (175 ml)', strength: { label: 'Vol.-%' } },
+            { label: 'Flaschen Wein (750 ml)', strength: { label: 'Vol.-%' } },
+            { label: 'Einfache Schnäpse (25 ml)', strength: { label: 'Vol.-%' } }
+          ]
+        },
+        followUps: [
+          {
+            question: 'An wie vielen Tagen in einer typischen Woche trinkst du 6 oder mehr Einheiten bei einer Gelegenheit?',
+            choices: [
+              { label: 'An keinem' },
+              {
+                label: 'An einem Tag',
+                note: 'Viel Alkohol bei einer Gelegenheit erhöht das Risiko für Unfälle und Verletzungen, auch wenn die Wochenmenge gleich bleibt',
+                recommendation: 'Verteile das Trinken auf drei oder mehr Tage und bleib bei jeder Gelegenheit unter 6 Einheiten'
+              },
+              {
+                label: 'An zwei oder mehr Tagen',
+                note: 'Regelmäßige Trinkgelage kommen zu den Risiken einer hohen Wochenmenge noch hinzu',
+                recommendation: 'Plane jede Woche mehrere alkoholfreie Tage ein und leg vor dem ersten Glas fest, wie viel du trinkst'
+              }
+            ]
+          }
+        ]
+      },
+      nicotine: {
+        label: 'Nikotin in Milligramm pro Tag',
+        unit: 'mg/Tag',
+        description: 'Kein Tabakprodukt ist sicher und Nikotin macht stark abhängig',
+        example: 'Eine Zigarette liefert etwa ein mg Nikotin',
+        notes: {
+          mild: 'Jeder Konsum von Tabak oder Nikotin ist schädlich und macht stark abhängig',
+          high: 'Starker Nikotinkonsum kann Herz, Kreislauf und Atemwegen erheblich schaden'
+        },
+        choices: ['Keins', 'Gelegentlich (1–10)', 'Regelmäßig (11–20)', 'Viel (21–40)', 'Sehr viel (40+)'],
+        converter: {
+          items: [
+            { label: 'Zigaretten' },
+            { label: 'Liquid für E-Zigaretten (ml)', strength: { label: 'Nikotingehalt (mg/ml)' } }
+          ]
+        },
+        followUps: [
+          {
+            question: 'Wie nimmst du Nikotin meistens zu dir?',
+            choices: [
+              {
+                label: 'Zigaretten, Zigarren oder Drehtabak',
+                note: 'Der größte Schaden beim Rauchen kommt vom Tabakrauch, nicht vom Nikotin',
+                recommendation: 'Wende dich an ein Rauchstopp-Angebot: Mit Unterstützung gelingt der Ausstieg viel besser als mit Willenskraft allein'
+              },
+              {
+                label: 'Vapes (E-Zigaretten)',
+                note: 'Dampfen ist weit weniger schädlich als Rauchen, aber nicht risikofrei, und das Nikotin macht genauso abhängig',
+                recommendation: 'Wenn du dampfst, um nicht wieder zu rauchen, senke die Nikotinstärke schrittweise, bis du aufhören kannst'
+              },
+              {
+                label: 'Beutel, Kaugummis oder Pflaster',
+                note: 'Nikotin ohne Rauch vermeidet den größten Schaden, hält dich aber abhängig',
+                recommendation: 'Senke die Dosis Schritt für Schritt, statt Nikotin ohne Plan zum Aufhören zu nehmen'
+              },
+              {
+                label: 'Rauchen und Dampfen',
+                note: 'Wer neben dem Dampfen weiter raucht, behält den Großteil des Schadens durch das Rauchen',
+                recommendation: 'Versuche, ganz von Zigaretten wegzukommen, statt neben dem Dampfen noch ein paar zu rauchen'
+              }
+            ]
+          }
+        ]
+      },
+      caffeine: {
+        label: 'Koffein in Milligramm pro Tag',
+        unit: 'mg/Tag',
+        description: 'Bis zu 400 mg Koffein täglich gelten für die meisten Erwachsenen als unbedenklich',
+        example: '125 mg Koffein entsprechen etwa einem starken Kaffee oder zwei Tassen Tee',
+        notes: {
+          mild: 'Mehr als 400 mg pro Tag können Unruhe und Angst auslösen',
+          high: 'Extrem viel Koffein kann Herzklopfen und Schlafstörungen verursachen'
+        },
+        choices: ['Keins', 'Wenig (1–200)', 'Mäßig (201–400)', 'Viel (401–600)', 'Sehr viel (600+)'],
+        converter: {
+          items: [
+            { label: 'Tassen Filterkaffee' },
+            { label: 'Espressi' },
+            { label: 'Tassen Instantkaffee' },
+            { label: 'Tassen Tee' },
+            { label: 'Dosen Energydrink (250 ml)' },
+            { label: 'Dosen Cola' }
+          ]
+        }
+      },
+      sleep: {
+        label: 'Stunden Schlaf pro Nacht',
+        unit: 'Stunden/Nacht',
+        description: 'Erwachsene brauchen in der Regel etwa 7–9 Stunden Schlaf pro Nacht',
+        example: '7,5 Stunden heißt: um 23 Uhr ins Bett und um 6:30 Uhr aufstehen',
+        notes: {
+          mild: 'Weniger als 7 Stunden Schlaf können die geistige Leistungsfähigkeit beeinträchtigen',
+          high: 'Chronischer Schlafmangel erhöht das Risiko für Übergewicht und Herzkrankheiten'
+        },
+        choices: ['<5 Stunden', '5–6 Stunden', '6–7 Stunden', '7–9 Stunden', '>9 Stunden'],
+        followUps: [
+          {
+            question: 'Wie stark schwanken deine Schlafens- und Aufstehzeiten von Tag zu Tag, Wochenenden eingeschlossen?',
+            choices: [
+              { label: 'Weniger als 30 Minuten' },
+              {
+                label: '30 Minuten bis eine Stunde',
+                note: 'Wechselnde Schlafzeiten erschweren das Einschlafen und das erholte Aufwachen',
+                recommendation: 'Steh jeden Tag zur gleichen Zeit auf, auch am Wochenende'
+              },
+              {
+                label: 'Mehr als eine Stunde',
+                note: 'Starke Schwankungen bringen deine innere Uhr zusätzlich zu den Folgen von zu wenig Schlaf durcheinander',
+                recommendation: 'Halte in den nächsten zwei Wochen die gleiche Schlafens- und Aufstehzeit ein, auf eine halbe Stunde genau'
+              }
+            ]
+          }
+        ]
+      },
+      strength_training: {
+        label: 'Krafttraining in Minuten pro Tag',
+        unit: 'Minuten/Tag',
+        description: 'Empfohlen wird muskelstärkende Aktivität an mindestens zwei Tagen pro Woche; etwa 20 Minuten täglich sind ein gutes Ziel',
+        example: '1,5 Minuten pro Tag ≈ zwei kurze Krafteinheiten pro Woche',
+        notes: {
+          mild: 'Weniger als 20 Minuten Krafttraining täglich bringen nur begrenzten Nutzen',
+          high: 'Wer die Muskulatur vernachlässigt, riskiert Probleme mit Muskeln und Gelenken'
+        },
+        choices: ['Keins', '1–10 Min.', '10–20 Min.', '20–30 Min.', '30+ Min.']
+      },
+      cardio: {
+        label: 'Zone‑2‑Ausdauertraining in Minuten pro Tag',
+        unit: 'Minuten/Tag',
+        description: 'Ziel sind mindestens 150 Minuten moderate Aktivität pro Woche (etwa 22 Minuten täglich)',
+        example: '165 Minuten pro Woche ≈ fünf Spaziergänge à 33 Minuten oder drei Einheiten à 55 Minuten',
+        notes: {
+          mild: 'Weniger als 22 Minuten Ausdauertraining täglich bleiben hinter den Empfehlungen zurück',
+          high: 'Sehr wenig Ausdauertraining kann das Risiko für Herz-Kreislauf-Erkrankungen erhöhen'
+        },
+        choices: ['Keins', '1–10 Min.', '10–20 Min.', '20–30 Min.', '30+ Min.']
+      },
+      social_media: {
+        label: 'Social Media in Minuten pro Tag',
+        unit: 'Minuten/Tag',
+        description: 'Mehr als etwa drei Stunden Social Media täglich verdoppeln die Risiken für die psychische Gesundheit',
+        example: '125 Minuten pro Tag sind gut zwei Stunden Bildschirmzeit',
+        notes: {
+          mild: 'Mehr als etwa zwei Stunden täglich gehen mit schlechterer psychischer Gesundheit einher',
+          high: 'Übermäßige Social-Media-Nutzung verdoppelt das Risiko psychischer Probleme'
+        },
+        choices: ['0–30 Min.', '31–60 Min.', '61–120 Min.', '121–180 Min.', '>180 Min.']
+      },
+      porn: {
+        label: 'Pornokonsum pro Woche',
+        unit: 'Mal/Woche',
+        description: 'Häufiger Pornokonsum geht mit mehr Angst, Depression und Stress einher',
+        example: '1,5 Mal pro Woche heißt ein- oder zweimal in der Woche',
+        notes: {
+          mild: 'Höherer Pornokonsum wird mit mehr Angst und Depression in Verbindung gebracht',
+          high: 'Häufiger Pornokonsum kann mit Stress und Beziehungsproblemen zusammenhängen'
+        },
+        choices: ['Keinmal', '1 Mal', '2–3 Mal', '4–6 Mal', '7+ Mal']
+      },
+      fast_food: {
+        label: 'Fast-Food-Mahlzeiten pro Woche',
+        unit: 'Mahlzeiten/Woche',
+        description: 'Fast-Food-Mahlzeiten enthalten oft viele Kalorien, viel Fett, Zucker und Salz',
+        example: '1,5 Mahlzeiten pro Woche sind etwa ein bis zwei Mahlzeiten zum Mitnehmen',
+        notes: {
+          mild: 'Fast-Food-Mahlzeiten enthalten viel Fett, Zucker und Salz',
+          high: 'Häufiges Fast Food kann zu Übergewicht und Herzkrankheiten beitragen'
+        },
+        choices: ['Keine', '1 Mahlzeit', '2 Mahlzeiten', '3–4 Mahlzeiten', '5+ Mahlzeiten']
+      },
+      tooth_brushing: {
+        label: 'Zähneputzen pro Tag',
+        unit: 'Mal/Tag',
+        description: 'Zweimal täglich mit fluoridhaltiger Zahnpasta putzen hält Zähne und Zahnfleisch gesund',
+        example: '1,8 Mal pro Tag heißt an den meisten Tagen zweimal putzen',
+        notes: {
+          mild: 'Seltener als zweimal täglich zu putzen führt zu Zahnbelag',
+          high: 'Schlechte Mundhygiene kann Zahnfleischerkrankungen und Karies verursachen'
+        }
+      },
+      sugary_drinks: {
+        label: 'Zuckerhaltige Getränke pro Woche',
+        unit: 'Getränke/Woche',
+        description: 'Häufige zuckerhaltige Getränke gehen mit Gewichtszunahme, Diabetes und Herzkrankheiten einher',
+        example: '3,5 Getränke pro Woche könnten zwei Dosen Limonade und ein gesüßter Kaffee sein',
+        notes: {
+          mild: 'Zu viele zuckerhaltige Getränke können zu Gewichtszunahme und Diabetes führen',
+          high: 'Viele zuckerhaltige Getränke erhöhen das Risiko für Herz- und Leberprobleme'
+        },
+        choices: ['Keine', '1–2', '3–5', '6–8', '9+']
+      },
+      social_connections: {
+        label: 'Treffen mit Freunden pro Woche',
+        unit: 'Mal/Woche',
+        description: 'Regelmäßige soziale Kontakte senken Gesundheitsrisiken, Einsamkeit erhöht das Sterberisiko',
+        example: '2,5 Treffen pro Woche könnten zwei Treffen und ein Anruf sein',
+        notes: {
+          mild: 'Wenig sozialer Kontakt kann das Risiko für Krankheit und frühen Tod erhöhen',
+          high: 'Chronische Einsamkeit erhöht das Sterberisiko deutlich'
+        },
+        choices: ['Keinmal', '1', '2–3', '4–5', '6+']
+      },
+      fruit_veg: {
+        label: 'Portionen Obst und Gemüse pro Tag',
+        unit: 'Portionen/Tag',
+        description: 'Jeder sollte täglich mindestens fünf Portionen Obst und Gemüse essen',
+        example: '4 Portionen am Tag könnten zwei Stück Obst und zwei Portionen Gemüse sein',
+        notes: {
+          mild: 'Weniger als fünf Portionen bedeuten weniger Nährstoffe',
+          high: 'Sehr wenig Obst und Gemüse kann das Krankheitsrisiko erhöhen'
+        }
+      }
+    },
+    categories: {
+      substances: 'Genussmittel',
+      movement: 'Bewegung',
+      nutrition: 'Ernährung',
+      mind_social: 'Psyche und Soziales'
+    },
+    genders: {
+      female: 'Weiblich',
+      male: 'Männlich',
+      other: 'Divers'
+    },
+    regions: {
+      uk: { label: 'Vereinigtes Königreich', description: 'Durchschnittswerte für das Vereinigte Königreich, angepasst an Alter und Geschlecht' },
+      us: {
+        label: 'Vereinigte Staaten',
+        description: 'Durchschnittswerte für die USA, angepasst an Alter und Geschlecht',
+        units: {
+          alcohol: {
+            unit: 'Standardgetränke/Woche',
+            example: 'Zum Vergleich: 6 Standardgetränke ≈ sechs Bier (355 ml) oder sechs Gläser Wein (150 ml) pro Woche',
+            choices: ['Keine', 'Wenig (1–4)', 'Mäßig (5–8)', 'Viel (9–12)', 'Sehr viel (13+)'],
+            converter: {
+              items: [
+                { label: 'Bier (12 oz / 355 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Pints Bier (16 oz / 473 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Gläser Wein (5 oz / 148 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Flaschen Wein (750 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Schnäpse (1,5 oz / 44 ml)', strength: { label: 'Vol.-%' } }
+              ]
+            }
+          }
+        }
+      },
+      eu: { label: 'Europäische Union', description: 'Durchschnittswerte für die EU, angepasst an Alter und Geschlecht' },
+      au: {
+        label: 'Australien',
+        description: 'Durchschnittswerte für Australien, angepasst an Alter und Geschlecht',
+        units: {
+          alcohol: {
+            unit: 'Standardgetränke/Woche',
+            example: 'Zum Vergleich: 8 Standardgetränke ≈ fünf Schooner Vollbier oder fünf Gläser Wein pro Woche',
+            choices: ['Keine', 'Wenig (1–5)', 'Mäßig (6–11)', 'Viel (12–17)', 'Sehr viel (18+)'],
+            converter: {
+              items: [
+                { label: 'Schooner Bier (425 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Stubbies oder Dosen Bier (375 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Gläser Wein (150 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Flaschen Wein (750 ml)', strength: { label: 'Vol.-%' } },
+                { label: 'Nips Spirituosen (30 ml)', strength: { label: 'Vol.-%' } }
+              ]
+            }
+          }
+        }
+      }
+    },
+    citations: {
+      1: {
+        claim: 'Um die gesundheitlichen Risiken durch Alkohol gering zu halten, sollten Männer und Frauen regelmäßig nicht mehr als 14 Einheiten pro Woche trinken.'
+      },
+      2: {
+        claim: 'Nikotin macht stark abhängig, und Zigarettenrauchen schädigt fast jedes Organ des Körpers.'
+      },
+      3: {
+        claim: 'Für gesunde Erwachsene sind 400 Milligramm Koffein am Tag eine Menge, die in der Regel nicht mit gefährlichen, negativen Wirkungen verbunden ist.'
+      },
+      4: {
+        claim: 'Die meisten Erwachsenen brauchen jede Nacht zwischen 7 und 9 Stunden Schlaf.'
+      },
+      5: {
+        claim: 'Erwachsene sollten sich pro Woche 150 bis 300 Minuten mit mäßiger Intensität bewegen und an zwei oder mehr Tagen pro Woche muskelkräftigende Übungen machen.'
+      },
+      6: {
+        claim: 'Mehr als drei Stunden Social Media am Tag gehen mit einem doppelt so hohen Risiko für psychische Probleme wie Anzeichen von Depression und Angst einher.'
+      },
+      7: {
+        claim: 'Häufiger Pornokonsum geht mit einem höheren Risiko für zwanghaften, problematischen Konsum einher.'
+      },
+      8: {
+        claim: 'Außer Haus gegessene Speisen, auch Fast Food, enthalten meist mehr Kalorien, Fett, Salz und Zucker als zu Hause zubereitetes Essen.'
+      },
+      9: {
+        claim: 'Putzen Sie Ihre Zähne etwa 2 Minuten lang, abends als Letztes und einmal zu einer anderen Tageszeit.'
+      },
+      10: {
+        claim: 'Essen Sie jeden Tag mindestens 5 Portionen verschiedener Obst- und Gemüsesorten.'
+      },
+      11: {
+        claim: 'Häufiges Trinken zuckerhaltiger Getränke geht mit Gewichtszunahme, Typ-2-Diabetes, Herzkrankheiten, Nierenerkrankungen, Karies und Gicht einher.'
+      },
+      12: {
+        claim: 'Menschen mit erfüllenden Beziehungen zu Familie, Freunden und ihrem Umfeld sind glücklicher, haben weniger gesundheitliche Probleme und leben länger.'
+      },
+      13: {
+        claim: 'Dampfen ist wesentlich weniger schädlich als Rauchen, und wer mit Hilfe eines Rauchstopp-Angebots aufhört, hat die besten Erfolgsaussichten.'
+      }
+    }
+  }
+});
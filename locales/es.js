@@ -0,0 +1,631 @@
+/*
+ * Habit Health Check – Spanish (Español)
+ *
+ * UI strings keyed by their English text, plus translations for the
+ * text in config.json.  See i18n.js for how bundles are applied.
+ */
+
+defineLocale('es', {
+  name: 'Español',
+  strings: {
+    // Config errors
+    'This configuration cannot be used': 'Esta configuración no se puede usar',
+    '{count} problem found in {source}:': 'Se encontró {count} problema en {source}:',
+    '{count} problems found in {source}:': 'Se encontraron {count} problemas en {source}:',
+    'Use the default config': 'Usar la configuración predeterminada',
+    'Choose another config file': 'Elegir otro archivo de configuración',
+
+    // Launch screen
+    'Habit Health Check': 'Chequeo de hábitos saludables',
+    'This quick check compares your everyday habits with trusted health guidelines and the averages where you live. Answer a few simple questions to see where you stand and how you can improve.':
+      'Este chequeo rápido compara tus hábitos diarios con recomendaciones de salud fiables y con los promedios de donde vives. Responde unas pocas preguntas sencillas para ver dónde estás y cómo puedes mejorar.',
+    'Language': 'Idioma',
+    'Theme': 'Tema',
+    'System theme': 'Según el sistema',
+    'Light': 'Claro',
+    'Dark': 'Oscuro',
+    'Select your region': 'Elige tu región',
+    'Select your age range': 'Elige tu rango de edad',
+    'Select your gender': 'Elige tu género',
+    'Begin': 'Empezar',
+    'Daily log': 'Registro diario',
+    'View history': 'Ver historial',
+    'Use a custom config file': 'Usar un archivo de configuración propio',
+    'Import results (JSON or CSV)': 'Importar resultados (JSON o CSV)',
+    'Could not import {file}: {error}': 'No se pudo importar {file}: {error}',
+    'Version {version}': 'Versión {version}',
+    'A new version of Habit Health Check is available.': 'Hay una nueva versión del chequeo de hábitos saludables.',
+    'Reload': 'Recargar',
+    'Later': 'Más tarde',
+
+    // Daily log
+    "Today's log · {date}": 'Registro de hoy · {date}',
+    'Record what you did today. The last {days} days are combined into the daily or weekly figures the check uses, so you no longer have to estimate the week from memory.':
+      'Anota lo que hiciste hoy. Los últimos {days} días se combinan en las cifras diarias o semanales que usa el chequeo, así ya no tienes que estimar la semana de memoria.',
+    'Logged on {count} of the last {days} days': 'Registrado {count} de los últimos {days} días',
+    '{label} today ({unit})': '{label} hoy ({unit})',
+    'Back': 'Volver',
+    'Check this week': 'Revisar esta semana',
+
+    // Questions
+    'Progress': 'Progreso',
+    'Questions': 'Preguntas',
+    'Question {n} of {total}': 'Pregunta {n} de {total}',
+    'Question {n} of {total}: {label}': 'Pregunta {n} de {total}: {label}',
+    'Recommended: {value} {unit}': 'Recomendado: {value} {unit}',
+    'Your goal: {goal}': 'Tu objetivo: {goal}',
+    'Or enter custom value ({unit})': 'O introduce un valor propio ({unit})',
+    'Work it out': 'Calcularlo',
+    'How many in a typical week?': '¿Cuántos en una semana normal?',
+    'How many in a typical day?': '¿Cuántos en un día normal?',
+    'How many?': '¿Cuántos?',
+    'Bedtime': 'Hora de acostarte',
+    'Wake time': 'Hora de levantarte',
+    'Total: {value} {unit}': 'Total: {value} {unit}',
+    'Use this value': 'Usar este valor',
+    'Next': 'Siguiente',
+    'Prefer not to say': 'Prefiero no decirlo',
+    'Enter a number.': 'Introduce un número.',
+    'Enter a value of {min} {unit} or more.': 'Introduce un valor de {min} {unit} o más.',
+    'Enter a value between {min} and {max} {unit}.': 'Introduce un valor entre {min} y {max} {unit}.',
+    'Choose an answer, enter a value or choose "Prefer not to say".': 'Elige una respuesta, introduce un valor o elige «Prefiero no decirlo».',
+    'Follow-up to your answer for {label}: {answer}': 'Pregunta adicional sobre tu respuesta a {label}: {answer}',
+    'Choose an answer or "Prefer not to say".': 'Elige una respuesta o «Prefiero no decirlo».',
+    'Review answers': 'Revisar respuestas',
+    'Finish': 'Terminar',
+
+    // Review
+    'Review your answers': 'Revisa tus respuestas',
+    'Check your answers before you finish. Skipped questions are left out of your score.':
+      'Revisa tus respuestas antes de terminar. Las preguntas omitidas no cuentan para tu puntuación.',
+    'Skipped': 'Omitida',
+    'Not answered': 'Sin responder',
+    'Change': 'Cambiar',
+    'Change {label}': 'Cambiar {label}',
+    'Answer or skip every question before you finish: {markers}': 'Responde u omite cada pregunta antes de terminar: {markers}',
+
+    // Bands
+    'excellent': 'excelente',
+    'good': 'bueno',
+    'mild': 'leve',
+    'moderate': 'moderado',
+    'high': 'alto',
+    'very bad': 'muy malo',
+
+    // Results
+    'You are viewing a shared result. It is not saved to your history.': 'Estás viendo un resultado compartido. No se guarda en tu historial.',
+    'Take the check yourself': 'Haz tú el chequeo',
+    'Overall habit score': 'Puntuación global de hábitos',
+    'Average {gender} aged {age} in {region} would score about {score}/100': 'La media ({gender}, {age} años, {region}) obtendría unos {score}/100',
+    'Group avg': 'Media grupo',
+    'Overall avg': 'Media general',
+    'Other': 'Otros',
+    '{label}: {band} penalty ({value} {unit}) -{penalty}': '{label}: penalización «{band}» ({value} {unit}) -{penalty}',
+    '{label}: excellent bonus ({value} {unit}) +{bonus}': '{label}: bonificación por excelencia ({value} {unit}) +{bonus}',
+    'Great work! You incurred no penalties this week.': '¡Buen trabajo! Esta semana no tuviste penalizaciones.',
+    'Skipped and left out of the score: {markers}': 'Omitidas y fuera de la puntuación: {markers}',
+    'Goals met: {met} of {total}': 'Objetivos cumplidos: {met} de {total}',
+    'Visualisations': 'Gráficos',
+    'Detailed breakdown': 'Desglose detallado',
+    'Marker': 'Indicador',
+    'You': 'Tú',
+    'Average': 'Media',
+    'Band': 'Banda',
+    'Penalty': 'Penalización',
+    'Status': 'Estado',
+    'Goal': 'Objetivo',
+    'Met ({goal})': 'Cumplido ({goal})',
+    'Missed ({goal})': 'No cumplido ({goal})',
+    'Top actions for next week': 'Acciones principales para la próxima semana',
+    '{action} for a potential gain of {gain} points': '{action} para ganar hasta {gain} puntos',
+    'Increase {marker} to your goal of {value} {unit}': 'Aumenta {marker} hasta tu objetivo de {value} {unit}',
+    'Reduce {marker} to your goal of {value} {unit}': 'Reduce {marker} hasta tu objetivo de {value} {unit}',
+    'Increase {marker} to at least {value} {unit}': 'Aumenta {marker} a al menos {value} {unit}',
+    'Reduce {marker} to below {value} {unit}': 'Reduce {marker} por debajo de {value} {unit}',
+
+    // Result controls
+    'Download PDF': 'Descargar PDF',
+    'The PDF report holds your score, every answer, your region, age range and gender.':
+      'El informe PDF contiene tu puntuación, cada respuesta, tu región, tu rango de edad y tu género.',
+    'Anyone who gets it can read your answers about sensitive habits. Do you agree to export it?':
+      'Quien lo reciba podrá leer tus respuestas sobre hábitos delicados. ¿Aceptas exportarlo?',
+    'Export {format}': 'Exportar {format}',
+    'The file holds your score, every answer, your region, age range and gender and the date of this check.':
+      'El archivo contiene tu puntuación, cada respuesta, tu región, tu rango de edad y tu género, y la fecha de este chequeo.',
+    'Export for team': 'Exportar para el equipo',
+    'The team file holds your score and the overall average score; for each question your answer, its band and the overall average; your region; the month of this check; and a random id so the same file is not counted twice. It has no name, no free text and no exact date. Share it only with your team\'s facilitator.':
+      'El archivo del equipo contiene tu puntuación y la puntuación media general; para cada pregunta, tu respuesta, su franja y la media general; tu región; el mes de este chequeo; y un identificador aleatorio para no contar dos veces el mismo archivo. No incluye tu nombre, texto libre ni la fecha exacta. Compártelo solo con la persona que coordina tu equipo.',
+    'Include my age band ({band})': 'Incluir mi franja de edad ({band})',
+    'Include my gender ({gender})': 'Incluir mi género ({gender})',
+    'If you include both your age band and gender, the file also holds your group score and group averages. These are worked out for your exact age range and gender, so they reveal both.':
+      'Si incluyes tu franja de edad y tu género, el archivo también contiene tu puntuación de grupo y las medias de tu grupo. Se calculan para tu rango de edad exacto y tu género, así que revelan ambos.',
+    'I agree to share the details listed above with my team': 'Acepto compartir con mi equipo los datos indicados arriba',
+    'Download team file': 'Descargar archivo del equipo',
+    'Under 35': 'Menos de 35',
+    '55 and over': '55 o más',
+    'Restart': 'Reiniciar',
+    'Copy share link': 'Copiar enlace para compartir',
+    'The link holds your score, every answer, your region, age range and gender.':
+      'El enlace contiene tu puntuación, cada respuesta, tu región, tu rango de edad y tu género.',
+    'Link copied': 'Enlace copiado',
+    'Copy this link to share your result:': 'Copia este enlace para compartir tu resultado:',
+    'View sources': 'Ver fuentes',
+    'Source {id}': 'Fuente {id}',
+    'Source {id} is missing from the sources list': 'La fuente {id} no está en la lista de fuentes',
+    'What if?': '¿Y si…?',
+    'Set goals': 'Fijar objetivos',
+    'How scoring works': 'Cómo se puntúa',
+
+    // Scoring explanation
+    '-{min} to -{max}': '-{min} a -{max}',
+    'The score starts at 100 points. For each marker, points are subtracted when your value falls outside the recommended band.':
+      'La puntuación empieza en 100 puntos. En cada indicador se restan puntos cuando tu valor queda fuera de la banda recomendada.',
+    'Step scoring': 'Puntuación por escalones',
+    'each band deducts a fixed number of points.': 'cada banda resta un número fijo de puntos.',
+    'Mild': 'Leve',
+    '{points} points. Your habit is slightly off the recommended range.': '{points} puntos. Tu hábito está ligeramente fuera del rango recomendado.',
+    'Moderate': 'Moderado',
+    '{points} points. Your habit is moderately unhealthy or insufficient.': '{points} puntos. Tu hábito es moderadamente poco saludable o insuficiente.',
+    'High': 'Alto',
+    '{points} points. Your habit is well outside the healthy range.': '{points} puntos. Tu hábito está muy fuera del rango saludable.',
+    'Very bad': 'Muy malo',
+    '{points} points. Your habit is far beyond harmful thresholds and merits urgent attention.':
+      '{points} puntos. Tu hábito supera con creces los umbrales dañinos y requiere atención urgente.',
+    'Graded scoring': 'Puntuación gradual',
+    'nothing is deducted up to the start of the mild band. From there the penalty grows in a straight line between the band edges, so a value just past an edge costs only a fraction of a point.':
+      'no se resta nada hasta el inicio de la banda leve. A partir de ahí la penalización crece en línea recta entre los límites de las bandas, así que un valor justo por encima de un límite solo cuesta una fracción de punto.',
+    '{points} at {value}': '{points} en {value}',
+    'Excellent': 'Excelente',
+    '0 points deducted, and some markers earn a bonus: {bonuses}. Bonuses can win back lost points but the score never goes above 100.':
+      '0 puntos restados, y algunos indicadores dan una bonificación: {bonuses}. Las bonificaciones recuperan puntos perdidos, pero la puntuación nunca supera 100.',
+    '0 points deducted. Your habit is notably better than the guideline.': '0 puntos restados. Tu hábito es claramente mejor que la recomendación.',
+    'Step and graded scoring for your answers': 'Puntuación por escalones y gradual de tus respuestas',
+    'Bold penalties are from the model each marker uses.': 'Las penalizaciones en negrita son las del modelo que usa cada indicador.',
+    'Step': 'Escalones',
+    'Graded': 'Gradual',
+    'Score': 'Puntuación',
+
+    // What-if
+    'Move a slider to see how your score would change. Your saved answers stay as they are.':
+      'Mueve un control deslizante para ver cómo cambiaría tu puntuación. Tus respuestas guardadas no cambian.',
+    'Reset sliders': 'Restablecer controles',
+    'What-if score: {score}/100 ({change})': 'Puntuación simulada: {score}/100 ({change})',
+    'Biggest single gain: {marker} to {value} {unit} (+{gain} points)': 'Mayor mejora individual: {marker} a {value} {unit} (+{gain} puntos)',
+
+    // Goals
+    'Set your own target per marker. Goals are saved in this browser and your next check reports whether you met them.':
+      'Fija tu propio objetivo para cada indicador. Los objetivos se guardan en este navegador y tu próximo chequeo indicará si los cumpliste.',
+    'at least': 'al menos',
+    'at most': 'como máximo',
+    'Save goals': 'Guardar objetivos',
+    'Goals must be zero or more: {markers}': 'Los objetivos deben ser cero o más: {markers}',
+    'Could not save goals in this browser.': 'No se pudieron guardar los objetivos en este navegador.',
+
+    // Charts
+    'Value ({unit})': 'Valor ({unit})',
+    'Date': 'Fecha',
+    'Group vs overall averages': 'Media del grupo frente a la media general',
+    'Your pattern vs averages': 'Tu perfil frente a las medias',
+    'Your group': 'Tu grupo',
+    'Group average': 'Media del grupo',
+    'Overall average': 'Media general',
+    'Markers': 'Indicadores',
+    'Value': 'Valor',
+    'Mild band': 'Banda leve',
+
+    // History
+    'Your check-in history': 'Tu historial',
+    'No saved checks yet. Complete a check and it will appear here.': 'Aún no hay chequeos guardados. Completa uno y aparecerá aquí.',
+    'Overall score over time': 'Puntuación global a lo largo del tiempo',
+    'Markers over time': 'Indicadores a lo largo del tiempo',
+    'Past checks': 'Chequeos anteriores',
+    'View': 'Ver',
+    'Delete': 'Eliminar',
+    'Delete the check from {date}?': '¿Eliminar el chequeo del {date}?',
+    'Export all ({format})': 'Exportar todo ({format})',
+    'The file holds every saved check: the scores, answers, region, age range, gender and date of each.':
+      'El archivo contiene todos los chequeos guardados: la puntuación, las respuestas, la región, el rango de edad, el género y la fecha de cada uno.',
+    'Import': 'Importar',
+    'Clear history': 'Borrar historial',
+    'Delete all saved checks? This cannot be undone.': '¿Eliminar todos los chequeos guardados? No se puede deshacer.',
+
+    // Saved data
+    'Lock now': 'Bloquear ahora',
+    'Wipe all data': 'Borrar todos los datos',
+    'Delete every check, goal and daily log saved in this browser, along with your language and theme settings? This cannot be undone.':
+      '¿Borrar todos los chequeos, objetivos y registros diarios guardados en este navegador, junto con tus ajustes de idioma y tema? No se puede deshacer.',
+    'Passphrase (at least {count} characters)': 'Frase de contraseña (al menos {count} caracteres)',
+    'Repeat the passphrase': 'Repite la frase de contraseña',
+    'A forgotten passphrase cannot be recovered. The only way back in is to wipe all data.':
+      'Una frase de contraseña olvidada no se puede recuperar. La única forma de volver a entrar es borrar todos los datos.',
+    'Encrypt and save': 'Cifrar y guardar',
+    'Use at least {count} characters.': 'Usa al menos {count} caracteres.',
+    'The passphrases do not match.': 'Las frases de contraseña no coinciden.',
+    'Could not save: {error}': 'No se pudo guardar: {error}',
+    'This browser cannot encrypt data on this page, so your checks are saved without a passphrase.':
+      'Este navegador no puede cifrar datos en esta página, así que tus chequeos se guardan sin frase de contraseña.',
+    'Your checks are saved in this browser without encryption, so anyone using it can read them. Choose a passphrase to encrypt them.':
+      'Tus chequeos están guardados sin cifrar en este navegador, así que cualquiera que lo use puede leerlos. Elige una frase de contraseña para cifrarlos.',
+    'Nothing is saved in this browser until you choose how. With a passphrase your checks are encrypted; without one, anyone using this browser can read them.':
+      'No se guarda nada en este navegador hasta que elijas cómo. Con una frase de contraseña tus chequeos se cifran; sin ella, cualquiera que use este navegador puede leerlos.',
+    'Nothing is saved in this browser until you agree. This browser cannot encrypt data on this page, so anyone using it could read your checks.':
+      'No se guarda nada en este navegador hasta que aceptes. Este navegador no puede cifrar datos en esta página, así que cualquiera que lo use podría leer tus chequeos.',
+    'Save without encryption': 'Guardar sin cifrar',
+    'Choose a passphrase': 'Elegir una frase de contraseña',
+    'Saved and encrypted in this browser.': 'Guardado y cifrado en este navegador.',
+    'Your saved data is locked': 'Tus datos guardados están bloqueados',
+    'Enter your passphrase to open your saved checks, goals and daily log.':
+      'Introduce tu frase de contraseña para abrir tus chequeos, objetivos y registro diario guardados.',
+    'Passphrase': 'Frase de contraseña',
+    'Unlock': 'Desbloquear',
+    'Could not open your saved data: {error}': 'No se pudieron abrir tus datos guardados: {error}',
+    'That passphrase is not right. Try again.': 'Esa frase de contraseña no es correcta. Inténtalo de nuevo.',
+    'Forgotten your passphrase? Wipe all data': '¿Olvidaste tu frase de contraseña? Borrar todos los datos',
+
+    // Team dashboard
+    'Team dashboard': 'Panel del equipo',
+    'Load the anonymised result files your team exported with "Export for team". They are read in this browser only and are not saved.':
+      'Carga los archivos de resultados anónimos que tu equipo exportó con «Exportar para el equipo». Solo se leen en este navegador y no se guardan.',
+    'No team results loaded yet.': 'Aún no hay resultados del equipo cargados.',
+    '{count} results loaded': '{count} resultados cargados',
+    'Group average: {group}/100 · Overall average: {overall}/100': 'Media del grupo: {group}/100 · Media general: {overall}/100',
+    'Team average score: {mean}/100': 'Puntuación media del equipo: {mean}/100',
+    'Score distribution': 'Distribución de puntuaciones',
+    'Team members': 'Miembros del equipo',
+    'Figures covering fewer than {size} people are hidden.': 'Se ocultan las cifras que abarcan a menos de {size} personas.',
+    'Counts include a little random noise.': 'Los recuentos incluyen un poco de ruido aleatorio.',
+    'Hidden to protect privacy': 'Oculto para proteger la privacidad',
+    'Team figures appear once at least {size} results are loaded ({count} so far).':
+      'Las cifras del equipo aparecen cuando hay al menos {size} resultados cargados (de momento {count}).',
+    'Age band': 'Franja de edad',
+    'Gender': 'Género',
+    'Not shared': 'No indicado',
+    '{count} smaller groups hidden to protect privacy': '{count} grupos más pequeños ocultos para proteger la privacidad',
+    'Markers across the team': 'Indicadores en el equipo',
+    'Team average': 'Media del equipo',
+    'Load team results': 'Cargar resultados del equipo',
+    'Clear team results': 'Quitar resultados del equipo',
+    'Some files could not be loaded:': 'No se pudieron cargar algunos archivos:',
+    '{file}: {error}': '{file}: {error}',
+
+    // PDF report
+    'Habit Health Check report': 'Informe del chequeo de hábitos saludables',
+    'Check taken {date} · {region} · {gender}, aged {age}': 'Chequeo del {date} · {region} · {gender}, {age} años',
+    'Your group average: {score}/100': 'Media de tu grupo: {score}/100',
+    'Overall average: {score}/100': 'Media general: {score}/100',
+    'Deductions': 'Penalizaciones',
+    'Sources': 'Fuentes',
+    'Check taken {date}': 'Chequeo del {date}',
+    'Page {page} of {count}': 'Página {page} de {count}'
+  },
+  config: {
+    markers: {
+      alcohol: {
+        label: 'Unidades de alcohol por semana',
+        unit: 'unidades/semana',
+        description: 'Beber más de 14 unidades a la semana aumenta los riesgos para la salud',
+        example: 'Como referencia, 10 unidades ≈ cinco pintas de cerveza o cinco copas de vino por semana',
+        notes: {
+          mild: 'Superar con regularidad las 14 unidades puede aumentar el riesgo de problemas de salud',
+          high: 'Un consumo de alcohol alto y constante se asocia con daño hepático y otras enfermedades'
+        },
+        choices: ['Nada', 'Bajo (1–7)', 'Moderado (8–14)', 'Alto (15–21)', 'Muy alto (22+)'],
+        converter: {
+          items: [
+            { label: 'Pintas de cerveza o sidra (568 ml)', strength: { label: '% vol.' } },
+            { label: 'Botellines o latas de cerveza (330 ml)', strength: { label: '% vol.' } },
+            { label: 'Copas de vino (175 ml)', strength: { label: '% vol.' } },
+            { label: 'Botellas de vino (750 ml)', strength: { label: '% vol.' } },
+            { label: 'Chupitos de licor (25 ml)', strength: { label: '% vol.' } }
+          ]
+        },
+        followUps: [
+          {
+            question: '¿Cuántos días en una semana normal tomas 6 unidades o más en una misma ocasión?',
+            choices: [
+              { label: 'Ninguno' },
+              {
+                label: 'Un día',
+                note: 'Beber mucho en una sola ocasión aumenta el riesgo de accidentes y lesiones, aunque el total semanal sea el mismo',
+                recommendation: 'Reparte lo que bebes en tres días o más y quédate por debajo de 6 unidades en cada ocasión'
+              },
+              {
+                label: 'Dos días o más',
+                note: 'Los atracones habituales suman sus riesgos a los de un total semanal alto',
+                recommendation: 'Planifica varios días sin alcohol cada semana y decide un límite antes de empezar a beber'
+              }
+            ]
+          }
+        ]
+      },
+      nicotine: {
+        label: 'Miligramos de nicotina al día',
+        unit: 'mg/día',
+        description: 'Ningún producto de tabaco es seguro y la nicotina es muy adictiva',
+        example: 'Un cigarrillo aporta aproximadamente un mg de nicotina',
+        notes: {
+          mild: 'Cualquier consumo de tabaco o nicotina es dañino y muy adictivo',
+          high: 'Un consumo alto de nicotina puede causar daños cardiovasculares y respiratorios importantes'
+        },
+        choices: ['Nada', 'Ocasional (1–10)', 'Habitual (11–20)', 'Alto (21–40)', 'Muy alto (40+)'],
+        converter: {
+          items: [
+            { label: 'Cigarrillos' },
+            { label: 'Líquido de vapeo (ml)', strength: { label: 'Concentración de nicotina (mg/ml)' } }
+          ]
+        },
+        followUps: [
+          {
+            question: '¿Cómo consumes nicotina sobre todo?',
+            choices: [
+              {
+                label: 'Cigarrillos, puros o tabaco de liar',
+                note: 'La mayor parte del daño del tabaco viene del humo, no de la nicotina',
+                recommendation: 'Acude a un servicio para dejar de fumar: con su apoyo es mucho más fácil dejarlo que solo con fuerza de voluntad'
+              },
+              {
+                label: 'Vapeadores (cigarrillos electrónicos)',
+                note: 'Vapear es mucho menos dañino que fumar, pero no está libre de riesgos y la nicotina crea la misma adicción',
+                recommendation: 'Si vapeas para no volver a fumar, baja poco a poco la concentración de nicotina hasta que puedas dejarlo'
+              },
+              {
+                label: 'Bolsitas, chicles o parches',
+                note: 'La nicotina sin humo evita lo peor del daño, pero te mantiene dependiente',
+                recommendation: 'Reduce la dosis paso a paso en lugar de consumir nicotina sin un plan para dejarla'
+              },
+              {
+                label: 'Fumar y vapear',
+                note: 'Fumar además de vapear mantiene la mayor parte del daño del tabaco',
+                recommendation: 'Intenta dejar los cigarrillos por completo en lugar de fumar algunos además de vapear'
+              }
+            ]
+          }
+        ]
+      },
+      caffeine: {
+        label: 'Miligramos de cafeína al día',
+        unit: 'mg/día',
+        description: 'Hasta 400 mg de cafeína al día suele ser seguro para la mayoría de los adultos',
+        example: '125 mg de cafeína equivalen más o menos a un café fuerte o dos tazas de té',
+        notes: {
+          mild: 'Más de 400 mg al día pueden provocar inquietud y ansiedad',
+          high: 'Una ingesta muy alta de cafeína puede causar palpitaciones y alterar el sueño'
+        },
+        choices: ['Nada', 'Baja (1–200)', 'Moderada (201–400)', 'Alta (401–600)', 'Muy alta (600+)'],
+        converter: {
+          items: [
+            { label: 'Tazas de café de filtro' },
+            { label: 'Cafés espresso' },
+            { label: 'Tazas de café soluble' },
+            { label: 'Tazas de té' },
+            { label: 'Latas de bebida energética (250 ml)' },
+            { label: 'Latas de refresco de cola' }
+          ]
+        }
+      },
+      sleep: {
+        label: 'Horas de sueño por noche',
+        unit: 'horas/noche',
+        description: 'Los adultos suelen necesitar unas 7–9 horas de sueño cada noche',
+        example: '7,5 horas equivale a acostarse a las 23:00 y levantarse a las 6:30',
+        notes: {
+          mild: 'Dormir menos de 7 horas puede afectar a las funciones cognitivas',
+          high: 'La falta crónica de sueño aumenta el riesgo de obesidad y enfermedades cardíacas'
+        },
+        choices: ['<5 horas', '5–6 horas', '6–7 horas', '7–9 horas', '>9 horas'],
+        followUps: [
+          {
+            question: '¿Cuánto cambian tu hora de acostarte y de levantarte de un día a otro, incluidos los fines de semana?',
+            choices: [
+              { label: 'Menos de 30 minutos' },
+              {
+                label: 'De 30 minutos a una hora',
+                note: 'Los horarios de sueño cambiantes dificultan dormirse y despertarse descansado',
+                recommendation: 'Levántate a la misma hora todos los días, también los fines de semana'
+              },
+              {
+                label: 'Más de una hora',
+                note: 'Los grandes cambios de horario alteran tu reloj interno, además de los efectos de dormir poco',
+                recommendation: 'Mantén la misma hora de acostarte y de levantarte, con media hora de margen, durante las próximas dos semanas'
+              }
+            ]
+          }
+        ]
+      },
+      strength_training: {
+        label: 'Minutos de fuerza al día',
+        unit: 'minutos/día',
+        description: 'Se recomiendan actividades de fortalecimiento muscular al menos dos días por semana; unos 20 minutos diarios es un buen objetivo',
+        example: '1,5 minutos al día ≈ dos sesiones cortas de fuerza por semana',
+        notes: {
+          mild: 'Menos de 20 minutos diarios de fuerza aportan un beneficio limitado',
+          high: 'Descuidar el fortalecimiento muscular puede aumentar el riesgo de problemas musculoesqueléticos'
+        },
+        choices: ['Nada', '1–10 min', '10–20 min', '20–30 min', '30+ min']
+      },
+      cardio: {
+        label: 'Minutos de cardio en zona 2 al día',
+        unit: 'minutos/día',
+        description: 'Intenta hacer al menos 150 minutos de actividad moderada a la semana (unos 22 minutos al día)',
+        example: '165 minutos a la semana ≈ cinco paseos de 33 minutos o tres sesiones de 55 minutos',
+        notes: {
+          mild: 'Menos de 22 minutos diarios de cardio no alcanzan las recomendaciones de actividad',
+          high: 'Muy poco cardio puede aumentar el riesgo de enfermedad cardiovascular'
+        },
+        choices: ['Nada', '1–10 min', '10–20 min', '20–30 min', '30+ min']
+      },
+      social_media: {
+        label: 'Minutos en redes sociales al día',
+        unit: 'minutos/día',
+        description: 'Usar redes sociales más de unas tres horas al día duplica los riesgos para la salud mental',
+        example: '125 minutos al día es algo más de dos horas de pantalla',
+        notes: {
+          mild: 'Más de unas dos horas al día se asocia con peor salud mental',
+          high: 'El uso excesivo de redes sociales duplica el riesgo de problemas de salud mental'
+        },
+        choices: ['0–30 min', '31–60 min', '61–120 min', '121–180 min', '>180 min']
+      },
+      porn: {
+        label: 'Sesiones de porno por semana',
+        unit: 'sesiones/semana',
+        description: 'El consumo frecuente de pornografía predice más ansiedad, depresión y estrés',
+        example: '1,5 sesiones por semana significa una o dos veces a la semana',
+        notes: {
+          mild: 'Un mayor consumo de pornografía se asocia con más ansiedad y depresión',
+          high: 'Las sesiones frecuentes pueden relacionarse con estrés y problemas de pareja'
+        },
+        choices: ['Ninguna', '1 sesión', '2–3 sesiones', '4–6 sesiones', '7+ sesiones']
+      },
+      fast_food: {
+        label: 'Comidas rápidas por semana',
+        unit: 'comidas/semana',
+        description: 'La comida rápida suele tener muchas calorías, grasas, azúcar y sal',
+        example: '1,5 comidas por semana son una o dos comidas para llevar',
+        notes: {
+          mild: 'La comida rápida tiene mucha grasa, azúcar y sal',
+          high: 'La comida rápida frecuente puede contribuir a la obesidad y a enfermedades cardíacas'
+        },
+        choices: ['Ninguna', '1 comida', '2 comidas', '3–4 comidas', '5+ comidas']
+      },
+      tooth_brushing: {
+        label: 'Cepillados de dientes al día',
+        unit: 'veces/día',
+        description: 'Cepíllate dos veces al día con pasta con flúor para tener dientes y encías sanos',
+        example: '1,8 veces al día implica cepillarse dos veces la mayoría de los días',
+        notes: {
+          mild: 'Cepillarse menos de dos veces al día favorece la acumulación de placa',
+          high: 'Una mala higiene bucal puede causar enfermedad de las encías y caries'
+        }
+      },
+      sugary_drinks: {
+        label: 'Bebidas azucaradas por semana',
+        unit: 'bebidas/semana',
+        description: 'Tomar a menudo bebidas azucaradas se asocia con aumento de peso, diabetes y enfermedades cardíacas',
+        example: '3,5 bebidas por semana podrían ser dos latas de refresco y un café azucarado',
+        notes: {
+          mild: 'Demasiadas bebidas azucaradas pueden provocar aumento de peso y diabetes',
+          high: 'Un consumo alto de bebidas azucaradas aumenta el riesgo de problemas cardíacos y hepáticos'
+        },
+        choices: ['Ninguna', '1–2', '3–5', '6–8', '9+']
+      },
+      social_connections: {
+        label: 'Veces que ves a amigos por semana',
+        unit: 'veces/semana',
+        description: 'El contacto social regular reduce los riesgos para la salud, mientras que la soledad aumenta la mortalidad',
+        example: '2,5 encuentros por semana podrían ser dos quedadas y una llamada',
+        notes: {
+          mild: 'Poco contacto social puede aumentar el riesgo de enfermedad y muerte prematura',
+          high: 'La soledad crónica aumenta de forma importante el riesgo de mortalidad'
+        },
+        choices: ['Ninguna', '1', '2–3', '4–5', '6+']
+      },
+      fruit_veg: {
+        label: 'Raciones de fruta y verdura al día',
+        unit: 'raciones/día',
+        description: 'Todo el mundo debería comer al menos cinco raciones de fruta y verdura al día',
+        example: '4 raciones al día podrían ser dos piezas de fruta y dos de verdura',
+        notes: {
+          mild: 'Comer menos de cinco raciones reduce el aporte de nutrientes',
+          high: 'Comer muy poca fruta y verdura puede aumentar el riesgo de enfermedad'
+        }
+      }
+    },
+    categories: {
+      substances: 'Sustancias',
+      movement: 'Movimiento',
+      nutrition: 'Alimentación',
+      mind_social: 'Mente y vida social'
+    },
+    genders: {
+      female: 'Mujer',
+      male: 'Hombre',
+      other: 'Otro'
+    },
+    regions: {
+      uk: { label: 'Reino Unido', description: 'Medias del Reino Unido, ajustadas por edad y género' },
+      us: {
+        label: 'Estados Unidos',
+        description: 'Medias de EE. UU., ajustadas por edad y género',
+        units: {
+          alcohol: {
+            unit: 'bebidas estándar/semana',
+            example: 'Como referencia, 6 bebidas estándar ≈ seis cervezas de 355 ml o seis copas de vino de 150 ml por semana',
+            choices: ['Nada', 'Bajo (1–4)', 'Moderado (5–8)', 'Alto (9–12)', 'Muy alto (13+)'],
+            converter: {
+              items: [
+                { label: 'Cervezas de 12 oz (355 ml)', strength: { label: '% vol.' } },
+                { label: 'Pintas de cerveza de 16 oz (473 ml)', strength: { label: '% vol.' } },
+                { label: 'Copas de vino de 5 oz (148 ml)', strength: { label: '% vol.' } },
+                { label: 'Botellas de vino (750 ml)', strength: { label: '% vol.' } },
+                { label: 'Chupitos de licor de 1,5 oz (44 ml)', strength: { label: '% vol.' } }
+              ]
+            }
+          }
+        }
+      },
+      eu: { label: 'Unión Europea', description: 'Medias de la UE, ajustadas por edad y género' },
+      au: {
+        label: 'Australia',
+        description: 'Medias de Australia, ajustadas por edad y género',
+        units: {
+          alcohol: {
+            unit: 'bebidas estándar/semana',
+            example: 'Como referencia, 8 bebidas estándar ≈ cinco schooners de cerveza normal o cinco copas de vino por semana',
+            choices: ['Nada', 'Bajo (1–5)', 'Moderado (6–11)', 'Alto (12–17)', 'Muy alto (18+)'],
+            converter: {
+              items: [
+                { label: 'Schooners de cerveza (425 ml)', strength: { label: '% vol.' } },
+                { label: 'Botellines o latas de cerveza (375 ml)', strength: { label: '% vol.' } },
+                { label: 'Copas de vino (150 ml)', strength: { label: '% vol.' } },
+                { label: 'Botellas de vino (750 ml)', strength: { label: '% vol.' } },
+                { label: 'Chupitos de licor (30 ml)', strength: { label: '% vol.' } }
+              ]
+            }
+          }
+        }
+      }
+    },
+    citations: {
+      1: {
+        claim: 'Para mantener bajos los riesgos del alcohol para la salud, se aconseja a hombres y mujeres no beber de forma habitual más de 14 unidades a la semana.'
+      },
+      2: {
+        claim: 'La nicotina es muy adictiva, y fumar cigarrillos daña casi todos los órganos del cuerpo.'
+      },
+      3: {
+        claim: 'Para adultos sanos, 400 miligramos de cafeína al día es una cantidad que por lo general no se asocia con efectos peligrosos o negativos.'
+      },
+      4: {
+        claim: 'La mayoría de los adultos necesita dormir entre 7 y 9 horas cada noche.'
+      },
+      5: {
+        claim: 'Los adultos deberían hacer de 150 a 300 minutos de actividad aeróbica moderada a la semana y ejercicios de fortalecimiento muscular dos o más días a la semana.'
+      },
+      6: {
+        claim: 'Pasar más de tres horas al día en redes sociales se asocia con el doble de riesgo de problemas de salud mental, como síntomas de depresión y ansiedad.'
+      },
+      7: {
+        claim: 'El consumo frecuente de pornografía se asocia con un mayor riesgo de uso compulsivo y problemático.'
+      },
+      8: {
+        claim: 'La comida que se toma fuera de casa, incluida la comida rápida, suele tener más calorías, grasa, sal y azúcar que la preparada en casa.'
+      },
+      9: {
+        claim: 'Cepíllate los dientes unos 2 minutos justo antes de dormir y en otro momento del día.'
+      },
+      10: {
+        claim: 'Come al menos 5 raciones de frutas y verduras variadas cada día.'
+      },
+      11: {
+        claim: 'Tomar bebidas azucaradas con frecuencia se asocia con aumento de peso, diabetes tipo 2, enfermedades del corazón y del riñón, caries y gota.'
+      },
+      12: {
+        claim: 'Las personas con relaciones satisfactorias con su familia, sus amigos y su comunidad son más felices, tienen menos problemas de salud y viven más.'
+      },
+      13: {
+        claim:
+          'Vapear es mucho menos dañino que fumar, y quienes lo dejan con la ayuda de un servicio para dejar de fumar son los que más probabilidades tienen de conseguirlo.'
+      }
+    }
+  }
+});
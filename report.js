@@ -0,0 +1,263 @@
+/*
+ * Habit Health Check PDF report
+ *
+ * Lays out a results report as real, selectable text with jsPDF:
+ * headline score and category sub-scores, deductions and bonuses,
+ * detailed breakdown table with its notes, top actions and
+ * recommendations, each chart as its own image and the numbered
+ * sources with their links, flowing over as many A4 pages as needed
+ * with a header and page number on every page.  script.js assembles
+ * the report data (see buildReportData) with values already converted
+ * and formatted for the active locale; this file only deals with
+ * layout and its own headings, which go through t().
+ */
+
+const PDF_MARGIN = 40;
+const PDF_HEADER_HEIGHT = 28;
+const PDF_TEXT_COLOR = [55, 65, 81];
+const PDF_MUTED_COLOR = [107, 114, 128];
+const PDF_RULE_COLOR = [229, 231, 235];
+const PDF_LINK_COLOR = [37, 99, 235];
+
+// Fill colours for the headline score circle, keyed by scoreColor()
+const PDF_SCORE_COLORS = {
+  green: [16, 185, 129],
+  amber: [234, 179, 8],
+  red: [239, 68, 68]
+};
+
+// Detailed breakdown columns and their share of the content width.
+// Titles are English and translated when the table is drawn.
+const PDF_TABLE_COLUMNS = [
+  { title: 'Marker', width: 0.28 },
+  { title: 'You', width: 0.15 },
+  { title: 'Average', width: 0.1 },
+  { title: 'Band', width: 0.12 },
+  { title: 'Penalty', width: 0.1 },
+  { title: 'Goal', width: 0.25 }
+];
+
+// jsPDF's built-in fonts only cover Latin-1, so swap the few other
+// characters the config uses for plain equivalents and drop emoji
+function pdfSafe(text) {
+  return String(text)
+    .replace(/[‐‑‒]/g, '-')
+    .replace(/≈/g, '~')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[^\x00-\xFF–—•…]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Build the PDF for a report and return the jsPDF document
+function generatePdfReport(report) {
+  const pdf = new jspdf.jsPDF('p', 'pt', 'a4');
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PDF_MARGIN * 2;
+  const top = PDF_MARGIN + PDF_HEADER_HEIGHT;
+  const bottom = pageHeight - PDF_MARGIN;
+  let y = top;
+
+  function ensureSpace(height) {
+    if (y + height > bottom) {
+      pdf.addPage();
+      y = top;
+      return true;
+    }
+    return false;
+  }
+
+  function setFont(size, style = 'normal', color = PDF_TEXT_COLOR) {
+    pdf.setFont('helvetica', style);
+    pdf.setFontSize(size);
+    pdf.setTextColor(...color);
+  }
+
+  function heading(text) {
+    ensureSpace(40);
+    y += 12;
+    setFont(14, 'bold');
+    pdf.text(pdfSafe(text), PDF_MARGIN, y);
+    y += 18;
+  }
+
+  function paragraph(text, { size = 10, style = 'normal', color = PDF_TEXT_COLOR, indent = 0 } = {}) {
+    setFont(size, style, color);
+    const lineHeight = size * 1.35;
+    pdf.splitTextToSize(pdfSafe(text), contentWidth - indent).forEach((line) => {
+      ensureSpace(lineHeight);
+      pdf.text(line, PDF_MARGIN + indent, y);
+      y += lineHeight;
+    });
+  }
+
+  function list(items, numbered) {
+    items.forEach((item, idx) => {
+      const bullet = numbered ? `${idx + 1}.` : '•';
+      setFont(10);
+      ensureSpace(14);
+      pdf.text(bullet, PDF_MARGIN, y);
+      paragraph(item, { indent: 16 });
+      y += 2;
+    });
+  }
+
+  // Footnote for a citation id, flagged when the id has no source
+  function footnote(id) {
+    return report.citations.some(c => c.id === id) ? `[${id}]` : `[${id}?]`;
+  }
+
+  // Text followed by its footnote, for items whose citation is optional
+  function withFootnote({ text, citation }) {
+    return citation == null ? text : `${text} ${footnote(citation)}`;
+  }
+
+  // Title block
+  setFont(20, 'bold');
+  pdf.text(pdfSafe(t('Habit Health Check report')), PDF_MARGIN, y + 10);
+  y += 30;
+  paragraph(t('Check taken {date} · {region} · {gender}, aged {age}', {
+    date: report.dateLabel,
+    region: report.regionLabel,
+    gender: report.genderLabel,
+    age: report.ageRange
+  }), { color: PDF_MUTED_COLOR });
+  y += 10;
+
+  // Headline score circle with the group and overall averages beside it
+  const radius = 34;
+  ensureSpace(radius * 2 + 10);
+  const cx = PDF_MARGIN + radius;
+  const cy = y + radius;
+  pdf.setFillColor(...PDF_SCORE_COLORS[report.scoreColor]);
+  pdf.circle(cx, cy, radius, 'F');
+  setFont(18, 'bold', [255, 255, 255]);
+  pdf.text(`${report.score.toFixed(0)}`, cx, cy + 2, { align: 'center' });
+  setFont(8, 'normal', [255, 255, 255]);
+  pdf.text('/100', cx, cy + 14, { align: 'center' });
+  setFont(12, 'bold');
+  pdf.text(pdfSafe(t('Overall habit score')), cx + radius + 16, cy - 14);
+  setFont(10);
+  pdf.text(pdfSafe(t('Your group average: {score}/100', { score: report.groupScore })), cx + radius + 16, cy + 4);
+  pdf.text(pdfSafe(t('Overall average: {score}/100', { score: report.overallScore })), cx + radius + 16, cy + 18);
+  y = cy + radius + 10;
+  if (report.categories.length > 0) {
+    paragraph(report.categories.map((c) => `${c.label}: ${c.score}/100`).join(' · '), { style: 'bold' });
+    y += 4;
+  }
+
+  // Deductions, followed by any bonuses earned
+  heading(t('Deductions'));
+  if (report.deductions.length > 0) {
+    list(report.deductions.map((d) => `${d.text} ${footnote(d.citation)}`));
+  } else {
+    paragraph(t('Great work! You incurred no penalties this week.'));
+  }
+  if (report.credits.length > 0) {
+    list(report.credits.map((c) => `${c.text} ${footnote(c.citation)}`));
+  }
+
+  // Detailed breakdown table, repeating the header row on new pages
+  heading(t('Detailed breakdown'));
+  const columnX = [];
+  let x = PDF_MARGIN;
+  PDF_TABLE_COLUMNS.forEach((col) => {
+    columnX.push(x);
+    x += col.width * contentWidth;
+  });
+  function tableHeader() {
+    setFont(9, 'bold');
+    PDF_TABLE_COLUMNS.forEach((col, idx) => pdf.text(pdfSafe(t(col.title)), columnX[idx], y));
+    pdf.setDrawColor(...PDF_RULE_COLOR);
+    pdf.line(PDF_MARGIN, y + 4, PDF_MARGIN + contentWidth, y + 4);
+    y += 16;
+  }
+  tableHeader();
+  report.rows.forEach((row) => {
+    setFont(9);
+    const goalText = row.goal && row.goal.text.replace('≤', t('at most')).replace('≥', t('at least'));
+    const goal = row.goal ? t(row.goal.met ? 'Met ({goal})' : 'Missed ({goal})', { goal: goalText }) : '-';
+    const points = row.penalty > 0 ? `-${formatNumber(row.penalty)}` : (row.bonus > 0 ? `+${formatNumber(row.bonus)}` : '0');
+    const cells = [row.label, row.unit ? `${row.value} ${row.unit}` : row.value, row.average, row.band, points, goal];
+    const wrapped = cells.map((cell, idx) => pdf.splitTextToSize(pdfSafe(cell), PDF_TABLE_COLUMNS[idx].width * contentWidth - 6));
+    const lineCount = Math.max(...wrapped.map((lines) => lines.length));
+    const notes = [...(row.note ? [`${row.note} ${footnote(row.citation)}`] : []), ...row.followUpNotes.map(withFootnote)];
+    const noteLines = notes.flatMap((note) => pdf.splitTextToSize(pdfSafe(note), contentWidth));
+    const rowHeight = lineCount * 12 + noteLines.length * 11 + 6;
+    if (ensureSpace(rowHeight)) tableHeader();
+    wrapped.forEach((lines, idx) => {
+      let color = PDF_TEXT_COLOR;
+      if (idx === 4 && row.penalty > 0) color = [185, 28, 28];
+      if (idx === 4 && row.bonus > 0) color = [4, 120, 87];
+      setFont(9, 'normal', color);
+      pdf.text(lines, columnX[idx], y);
+    });
+    y += lineCount * 12;
+    if (noteLines.length > 0) {
+      setFont(8, 'italic', PDF_MUTED_COLOR);
+      pdf.text(noteLines, PDF_MARGIN, y - 2);
+      y += noteLines.length * 11;
+    }
+    pdf.setDrawColor(...PDF_RULE_COLOR);
+    pdf.line(PDF_MARGIN, y - 6, PDF_MARGIN + contentWidth, y - 6);
+    y += 6;
+  });
+
+  // Top actions, then the recommendations from follow-up answers
+  if (report.actions.length > 0 || report.recommendations.length > 0) {
+    heading(t('Top actions for next week'));
+    list([
+      ...report.actions.map((a) => `${t('{action} for a potential gain of {gain} points', { action: a.text, gain: formatNumber(a.gain) })} ${footnote(a.citation)}`),
+      ...report.recommendations.map(withFootnote)
+    ], true);
+  }
+
+  // Charts, one image each, scaled to the page width
+  if (report.charts.length > 0) {
+    heading(t('Visualisations'));
+    report.charts.forEach((chart) => {
+      const width = Math.min(contentWidth, chart.width);
+      let height = width * (chart.height / chart.width);
+      const maxHeight = bottom - top - 20;
+      if (height > maxHeight) height = maxHeight;
+      ensureSpace(height + (chart.title ? 18 : 0) + 10);
+      if (chart.title) {
+        setFont(11, 'bold');
+        pdf.text(pdfSafe(chart.title), PDF_MARGIN, y);
+        y += 8;
+      }
+      pdf.addImage(chart.image, 'PNG', PDF_MARGIN, y, height * (chart.width / chart.height), height);
+      y += height + 10;
+    });
+  }
+
+  // Sources: title, publisher and year, the claim relied on and a
+  // clickable link to the source
+  heading(t('Sources'));
+  report.citations.forEach((citation) => {
+    paragraph(`[${citation.id}] ${citation.title} · ${citation.publisher}, ${citation.year}`, { size: 9, style: 'bold' });
+    paragraph(citation.claim, { size: 9, style: 'italic', color: PDF_MUTED_COLOR, indent: 16 });
+    setFont(9, 'normal', PDF_LINK_COLOR);
+    pdf.splitTextToSize(citation.url, contentWidth - 16).forEach((line) => {
+      ensureSpace(12);
+      pdf.textWithLink(line, PDF_MARGIN + 16, y, { url: citation.url });
+      y += 12;
+    });
+    y += 4;
+  });
+
+  // Header and page number on every page
+  const pageCount = pdf.internal.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    setFont(8, 'normal', PDF_MUTED_COLOR);
+    pdf.text(pdfSafe(t('Habit Health Check')), PDF_MARGIN, PDF_MARGIN);
+    pdf.text(pdfSafe(t('Check taken {date}', { date: report.dateLabel })), pageWidth - PDF_MARGIN, PDF_MARGIN, { align: 'right' });
+    pdf.setDrawColor(...PDF_RULE_COLOR);
+    pdf.line(PDF_MARGIN, PDF_MARGIN + 6, pageWidth - PDF_MARGIN, PDF_MARGIN + 6);
+    pdf.text(pdfSafe(t('Page {page} of {count}', { page, count: pageCount })), pageWidth / 2, pageHeight - PDF_MARGIN / 2, { align: 'center' });
+  }
+  return pdf;
+}
@@ -0,0 +1,199 @@
+/*
+ * Habit Health Check scoring engine
+ *
+ * Pure, DOM‑free helpers that turn a marker definition from
+ * config.json plus a value into a band, a penalty and an icon.  Two
+ * scoring models are available, chosen per marker with `scoring`:
+ *
+ *   - step (the default): a fixed penalty per band, so the penalty
+ *     jumps at each band edge.
+ *   - graded: the penalty is interpolated between the band edges, so
+ *     it grows smoothly from zero at the mild edge.
+ *
+ * Markers can also set a `bonus`: points credited back when the value
+ * is in the excellent band.  Credits never lift the score above
+ * MAX_SCORE.
+ *
+ * Every screen (headline score, group and overall averages, detailed
+ * breakdown table and mini charts) goes through these functions so
+ * the numbers always agree.  In the browser this file is loaded as a
+ * plain script before script.js; under Node it can be required
+ * directly, e.g. to unit‑test scoring against config.json:
+ *
+ *   const { scoreValues } = require('./scoring.js');
+ *   const config = require('./config.json');
+ *   scoreValues(config.markers, { alcohol: 18, sleep: 6.5 }).score;
+ */
+
+// Score every check starts from before penalties are deducted
+const MAX_SCORE = 100;
+
+// Extra points deducted on top of the high penalty when a value is far
+// beyond the high band (1.5× the high band for consumption markers,
+// half of it for inverted markers)
+const VERY_BAD_EXTRA_PENALTY = 2;
+
+// How far past the very bad edge (as a multiple of the high band) the
+// graded model reaches the full very bad penalty
+const GRADED_VERY_BAD_SPAN = 2;
+
+const SCORING_MODELS = ['step', 'graded'];
+
+// Icon shown next to each band in tables and lists
+const BAND_ICONS = {
+  excellent: '🌟',
+  good: '✅',
+  mild: '⚠️',
+  moderate: '⚠️',
+  high: '❌',
+  'very bad': '💀'
+};
+
+// Place a value in one of the bands defined for a marker.  Consumption
+// markers (invert: false) get worse as the value rises; beneficial
+// markers (invert: true) get worse as it falls.
+function classifyValue(marker, value) {
+  const bands = marker.bands;
+  if (!marker.invert) {
+    if (value > bands.high * 1.5) return 'very bad';
+    if (value > bands.high) return 'high';
+    if (value > bands.moderate) return 'moderate';
+    if (value > bands.mild) return 'mild';
+    if (value <= bands.mild * 0.5) return 'excellent';
+    return 'good';
+  }
+  if (value < bands.high * 0.5) return 'very bad';
+  if (value < bands.high) return 'high';
+  if (value < bands.moderate) return 'moderate';
+  if (value < bands.mild) return 'mild';
+  if (value >= bands.mild * 1.5) return 'excellent';
+  return 'good';
+}
+
+// Points deducted for a band of the given marker
+function penaltyForBand(marker, band) {
+  const penalties = marker.penalties;
+  if (band === 'very bad') return penalties.high + VERY_BAD_EXTRA_PENALTY;
+  if (band === 'high' || band === 'moderate' || band === 'mild') return penalties[band];
+  return 0;
+}
+
+// Points at which the graded penalty reaches each step penalty, as
+// [value, penalty] pairs from the mild edge outwards.  Between two
+// points the penalty is interpolated; past the last it stays flat.
+function gradedCurve(marker) {
+  const { bands, penalties } = marker;
+  const veryBadEdge = marker.invert ? bands.high * 0.5 : bands.high * 1.5;
+  const veryBadEnd = marker.invert ? 0 : bands.high * GRADED_VERY_BAD_SPAN;
+  return [
+    [bands.mild, 0],
+    [bands.moderate, penalties.mild],
+    [bands.high, penalties.moderate],
+    [veryBadEdge, penalties.high],
+    [veryBadEnd, penalties.high + VERY_BAD_EXTRA_PENALTY]
+  ];
+}
+
+// Graded penalty for a value, rounded to one decimal place
+function gradedPenalty(marker, value) {
+  const curve = gradedCurve(marker);
+  // Distance past the mild edge, measured in the direction that is worse
+  const past = (edge) => (marker.invert ? edge - value : value - edge);
+  if (past(curve[0][0]) <= 0) return 0;
+  for (let i = 1; i < curve.length; i++) {
+    const [fromValue, fromPenalty] = curve[i - 1];
+    const [toValue, toPenalty] = curve[i];
+    if (past(toValue) <= 0) {
+      const fraction = (value - fromValue) / (toValue - fromValue);
+      return Math.round((fromPenalty + fraction * (toPenalty - fromPenalty)) * 10) / 10;
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Points credited for a band of the given marker
+function bonusForBand(marker, band) {
+  return band === 'excellent' ? marker.bonus || 0 : 0;
+}
+
+// Score a single marker value: returns its band, penalty, bonus and
+// icon.  The marker's own scoring model is used unless one is passed in.
+function scoreMarker(marker, value, model = marker.scoring || 'step') {
+  const band = classifyValue(marker, value);
+  return {
+    band,
+    penalty: model === 'graded' ? gradedPenalty(marker, value) : penaltyForBand(marker, band),
+    bonus: bonusForBand(marker, band),
+    icon: BAND_ICONS[band]
+  };
+}
+
+// Result for a marker the user chose not to answer: no band, nothing
+// deducted or credited
+function skippedResult(marker) {
+  return { id: marker.id, value: null, band: null, penalty: 0, bonus: 0, icon: '', skipped: true };
+}
+
+// Score a full set of values keyed by marker id.  A null value means
+// the question was skipped ("prefer not to say") and leaves the marker
+// out of the score; missing values count as zero.  Each marker uses its
+// configured model unless `model` forces one for all of them (used to
+// compare the models).  Returns the total score (kept between zero and
+// MAX_SCORE) and one result per marker in config order.
+function scoreValues(markers, values, model) {
+  let score = MAX_SCORE;
+  const results = markers.map((marker) => {
+    if (values[marker.id] === null) return skippedResult(marker);
+    const value = values[marker.id] ?? 0;
+    const result = scoreMarker(marker, value, model || marker.scoring || 'step');
+    score += result.bonus - result.penalty;
+    return { id: marker.id, value, ...result };
+  });
+  return { score: Math.min(MAX_SCORE, Math.max(0, Math.round(score * 10) / 10)), results };
+}
+
+// Sub-score per category on the same 0–100 scale as the overall score:
+// the share of the category's worst possible penalties that was
+// avoided, plus any bonuses, capped at MAX_SCORE.  `results` are the
+// per-marker results from scoreValues; skipped markers do not count.
+// Returns { id, label, icon, score } per category, leaving out
+// categories whose markers were all skipped.
+function scoreCategories(categories, markers, results) {
+  return categories.filter((category) => category.markers.some((markerId) => {
+    const idx = markers.findIndex((m) => m.id === markerId);
+    return idx !== -1 && !results[idx].skipped;
+  })).map((category) => {
+    let worst = 0;
+    let lost = 0;
+    category.markers.forEach((markerId) => {
+      const idx = markers.findIndex((m) => m.id === markerId);
+      if (idx === -1 || results[idx].skipped) return;
+      worst += markers[idx].penalties.high + VERY_BAD_EXTRA_PENALTY;
+      lost += results[idx].penalty - results[idx].bonus;
+    });
+    const score = worst > 0 ? MAX_SCORE * (1 - lost / worst) : MAX_SCORE;
+    return {
+      id: category.id,
+      label: category.label,
+      icon: category.icon,
+      score: Math.min(MAX_SCORE, Math.max(0, Math.round(score)))
+    };
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_SCORE,
+    VERY_BAD_EXTRA_PENALTY,
+    SCORING_MODELS,
+    BAND_ICONS,
+    classifyValue,
+    penaltyForBand,
+    bonusForBand,
+    gradedCurve,
+    gradedPenalty,
+    scoreMarker,
+    scoreValues,
+    scoreCategories
+  };
+}
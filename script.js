@@ -7,264 +7,517 @@
  * results report complete with a radar or grouped bar chart.  The app
  * loads its markers and thresholds from a JSON configuration so it
  * can easily be extended with new markers or regions without editing
- * this file.
+ * this file: answer choices, notes, icons, examples and the age and
+ * gender baseline tables are all part of each marker's definition.
+ * The configuration is fetched from config.json (or ?config=<url>)
+ * and checked by config-validator.js against the format described in
+ * config.schema.json before it is used.  Band and penalty calculations
+ * live in scoring.js so every screen scores values the same way.  All
+ * text goes through t() from i18n.js and the active config is a
+ * translated copy of the loaded one (see localizeConfig); values are
+ * stored in the config's units and only converted to a region's own
+ * units (e.g. US standard drinks) for display and input.
  */
 
-// Global variables for configuration and state
+// Global variables for configuration and state.  rawConfig is the
+// config as loaded; config and markers are its translation into the
+// active locale.
+let rawConfig;
 let config;
 let markers;
 let answers = {};
+// Answers to follow-up questions, by follow-up id (see followups.js)
+let followUpAnswers = {};
+// Position in the list of questions from currentSteps(), which grows
+// and shrinks as answers bring follow-ups in or out
 let currentIndex = 0;
+// True once the survey has reached the review screen: changing an
+// answer from there goes straight back to it
+let reviewing = false;
 let selectedRegion = 'uk';
 let chartInstance = null;
 let miniCharts = [];
+// True while showing a result opened from a share link
+let viewingSharedResult = false;
+// When the result on screen was taken (ISO string), for exports
+let currentCheckTime = null;
+// Personal goals the result on screen is measured against
+let currentGoals = {};
+// Team dashboard: anonymised results loaded from members' files, kept
+// in memory only
+let cohortResults = [];
+// Timer that locks saved data again after a spell of inactivity
+let autoLockTimer = null;
 
 // Selected demographics
 let selectedAgeRange = '25-34';
 let selectedGender = 'other';
 
-const ageOptions = ['18-24', '25-34', '35-44', '45-54', '55+'];
-const genderOptions = ['female', 'male', 'other'];
-
-// Baseline adjustments by age group.  Each array corresponds to
-// ageOptions: 18-24, 25-34, 35-44, 45-54, 55+
-// Updated baseline values by age group based on recent UK/international data.  Each array
-// corresponds to ageOptions: ['18-24','25-34','35-44','45-54','55+'] and reflects
-// typical averages among those age cohorts.
-const ageBaselineMap = {
-  alcohol: [9, 10.5, 11.5, 12.5, 12],
-  nicotine: [9, 11, 12, 12, 9],
-  caffeine: [125, 125, 125, 130, 135],
-  sleep: [7.8, 7.6, 7.5, 7.5, 7.6],
-  strength_training: [1.5, 1.25, 1.0, 0.75, 0.5],
-  cardio: [175, 165, 145, 130, 100],
-  social_media: [150, 125, 100, 75, 45],
-  porn: [0.8, 1.5, 1.0, 0.6, 0.2],
-  fast_food: [1.7, 1.5, 1.2, 0.8, 0.5],
-  tooth_brushing: [1.7, 1.8, 1.9, 1.9, 2.0],
-  sugary_drinks: [5, 3.5, 2.5, 2, 2],
-  social_connections: [3.0, 2.5, 2.0, 1.5, 2.0],
-  fruit_veg: [4, 4, 4, 4, 4]
-};
+// Group baseline for a marker: the region's average for the age range
+// (falling back to the region's overall baseline) plus the adjustment
+// for the gender.  A region can override a marker's gender adjustments
+// with its own.  Defaults to the current selections.
+function getBaselineFor(markerId, regionKey = selectedRegion, ageRange = selectedAgeRange, gender = selectedGender) {
+  const marker = markers.find(m => m.id === markerId);
+  const region = config.regions[regionKey];
+  let base = region?.ageBaselines?.[markerId]?.[ageRange] ?? getOverallBaselineFor(markerId, regionKey);
+  const genderAdj = region?.genderAdjustments?.[markerId]?.[gender] ?? marker.genderAdjustments?.[gender];
+  if (genderAdj != null) base += genderAdj;
+  return Math.max(0, base);
+}
 
-// Gender adjustments added to baseline values
-const genderAdjustments = {
-  male: { alcohol: 2, nicotine: 2, caffeine: 10, sleep: -0.5, strength_training: 2, cardio: 0, social_media: -20, porn: 1, fast_food: 0.5, sugary_drinks: 1, social_connections: -0.5, fruit_veg: -0.5 },
-  female: { alcohol: -2, nicotine: -2, caffeine: -10, sleep: 0.5, strength_training: -2, cardio: 0, social_media: 20, porn: -1, fast_food: -0.5, sugary_drinks: -1, social_connections: 0.5, fruit_veg: 0.5 },
-  other: {}
-};
+const app = document.getElementById('app');
 
-// Emoji icons keyed by marker id.  Each icon intuitively represents a
-// lifestyle habit and is used in question titles to add personality.
-const markerIcons = {
-  alcohol: '🍺',
-  nicotine: '🚬',
-  caffeine: '☕',
-  sleep: '😴',
-  strength_training: '🏋️',
-  cardio: '🚴',
-  social_media: '📱',
-  porn: '🔞',
-  fast_food: '🍔',
-  tooth_brushing: '🪥',
-  sugary_drinks: '🥤',
-  social_connections: '🤝',
-  fruit_veg: '🍎'
-};
+// The config the app ships with, next to index.html
+const DEFAULT_CONFIG_URL = 'config.json';
 
-// Example strings providing intuitive reference values for each marker.  These
-// describe roughly what the recommended baseline equates to in familiar terms.
-const markerExamples = {
-  alcohol: 'For reference, 10 units ≈ five pints of beer or five glasses of wine per week',
-  nicotine: 'One cigarette delivers about one mg of nicotine',
-  caffeine: '125 mg of caffeine is roughly one strong coffee or two cups of tea',
-  sleep: '7.5 hours means going to bed at 11 pm and waking at 6:30 am',
-  strength_training: '1.5 minutes per day ≈ two brief strength workouts per week',
-  cardio: '165 minutes per week ≈ five 33-minute walks or three 55-minute sessions',
-  social_media: '125 minutes per day is just over two hours of screen time',
-  porn: '1.5 sessions per week means once or twice in a week',
-  fast_food: '1.5 meals per week is about one or two takeaway meals',
-  tooth_brushing: '1.8 times per day implies brushing twice most days',
-  sugary_drinks: '3.5 drinks per week might be two cans of soda and a sugary coffee',
-  social_connections: '2.5 meetings per week could be two hangouts plus a call',
-  fruit_veg: '4 portions a day could be two pieces of fruit and two servings of veg'
-};
+// Parse config JSON, turning syntax errors into a readable message
+function parseConfigText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The file is not valid JSON: ${err.message}`);
+  }
+}
 
-function getBaselineFor(markerId) {
-  const ageIndex = ageOptions.indexOf(selectedAgeRange);
-  let base = (ageBaselineMap[markerId] && ageIndex >= 0) ? ageBaselineMap[markerId][ageIndex] : (config.regions[selectedRegion]?.baselines[markerId] ?? markers.find(m => m.id === markerId).baseline);
-  const genderAdj = genderAdjustments[selectedGender] || {};
-  if (genderAdj[markerId] != null) base += genderAdj[markerId];
-  return Math.max(0, base);
+// Fetch a config file: config.json, or the one named with
+// ?config=path/to/config.json.  Needs the app to be served over HTTP,
+// except for config.json itself, which falls back to the copy bundled
+// in default-config.js; a page opened straight from disk can still
+// load another config with the file picker on the error screen.
+async function fetchConfig(url) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (err) {
+    if (url === DEFAULT_CONFIG_URL && typeof BUNDLED_CONFIG !== 'undefined') {
+      return JSON.parse(JSON.stringify(BUNDLED_CONFIG));
+    }
+    if (location.protocol === 'file:') {
+      throw new Error(`Could not fetch ${url}: pages opened from disk cannot load files by themselves, so serve the folder over HTTP or choose the file below`);
+    }
+    throw new Error(`Could not fetch ${url}: ${err.message}`);
+  }
+  if (!response.ok) throw new Error(`Could not fetch ${url} (HTTP ${response.status})`);
+  return parseConfigText(await response.text());
 }
 
-// Predefined choice sets for each marker.  Choices make it easier to
-// answer the survey on touch devices.  Each entry contains a label
-// (displayed to the user) and a numeric value used for scoring.
-const choiceSets = {
-  alcohol: [
-    { label: 'None', value: 0 },
-    { label: 'Low (1–7)', value: 5 },
-    { label: 'Moderate (8–14)', value: 11 },
-    { label: 'High (15–21)', value: 18 },
-    { label: 'Very high (22+)', value: 25 }
-  ],
-  nicotine: [
-    { label: 'None', value: 0 },
-    { label: 'Occasional (1–10)', value: 5 },
-    { label: 'Regular (11–20)', value: 15 },
-    { label: 'High (21–40)', value: 30 },
-    { label: 'Very high (40+)', value: 45 }
-  ],
-  caffeine: [
-    { label: 'None', value: 0 },
-    { label: 'Low (1–200)', value: 100 },
-    { label: 'Moderate (201–400)', value: 300 },
-    { label: 'High (401–600)', value: 500 },
-    { label: 'Very high (600+)', value: 700 }
-  ],
-  sleep: [
-    { label: '<5 hours', value: 4 },
-    { label: '5–6 hours', value: 5.5 },
-    { label: '6–7 hours', value: 6.5 },
-    { label: '7–9 hours', value: 8 },
-    { label: '>9 hours', value: 10 }
-  ],
-  strength_training: [
-    { label: 'None', value: 0 },
-    { label: '1–10 min', value: 7 },
-    { label: '10–20 min', value: 15 },
-    { label: '20–30 min', value: 25 },
-    { label: '30+ min', value: 35 }
-  ],
-  cardio: [
-    { label: 'None', value: 0 },
-    { label: '1–10 min', value: 7 },
-    { label: '10–20 min', value: 15 },
-    { label: '20–30 min', value: 25 },
-    { label: '30+ min', value: 35 }
-  ],
-  social_media: [
-    { label: '0–30 min', value: 15 },
-    { label: '31–60 min', value: 45 },
-    { label: '61–120 min', value: 90 },
-    { label: '121–180 min', value: 150 },
-    { label: '>180 min', value: 210 }
-  ],
-  porn: [
-    { label: 'None', value: 0 },
-    { label: '1 session', value: 1 },
-    { label: '2–3 sessions', value: 2.5 },
-    { label: '4–6 sessions', value: 5 },
-    { label: '7+ sessions', value: 7 }
-  ],
-  fast_food: [
-    { label: 'None', value: 0 },
-    { label: '1 meal', value: 1 },
-    { label: '2 meals', value: 2 },
-    { label: '3–4 meals', value: 3.5 },
-    { label: '5+ meals', value: 5 }
-  ],
-  tooth_brushing: [
-    { label: '0', value: 0 },
-    { label: '1', value: 1 },
-    { label: '2', value: 2 },
-    { label: '3+', value: 3 }
-  ]
-  ,
-  sugary_drinks: [
-    { label: 'None', value: 0 },
-    { label: '1–2', value: 1.5 },
-    { label: '3–5', value: 4 },
-    { label: '6–8', value: 7 },
-    { label: '9+', value: 9 }
-  ],
-  social_connections: [
-    { label: 'None', value: 0 },
-    { label: '1', value: 1 },
-    { label: '2–3', value: 2.5 },
-    { label: '4–5', value: 4.5 },
-    { label: '6+', value: 6 }
-  ],
-  fruit_veg: [
-    { label: '0', value: 0 },
-    { label: '1–2', value: 1.5 },
-    { label: '3–4', value: 3.5 },
-    { label: '5–6', value: 5.5 },
-    { label: '7+', value: 7 }
-  ]
-};
+// Validate a parsed config and make it the active one.  Returns the
+// list of problems found; the active config is only replaced when
+// there are none.
+function applyConfig(cfg) {
+  const errors = validateConfig(cfg);
+  if (errors.length > 0) return errors;
+  rawConfig = cfg;
+  config = localizeConfig(cfg);
+  markers = config.markers;
+  answers = {};
+  followUpAnswers = {};
+  currentIndex = 0;
+  reviewing = false;
+  if (!config.regions[selectedRegion]) selectedRegion = Object.keys(config.regions)[0];
+  const { ageRanges, genders } = config.demographics;
+  if (!ageRanges.includes(selectedAgeRange)) selectedAgeRange = ageRanges[0];
+  if (!genders.some(g => g.id === selectedGender)) selectedGender = genders[0].id;
+  return [];
+}
 
-// Notes for each marker when values fall into risk bands.  These strings
-// reference official guidance or studies and are shown when the user
-// crosses important thresholds.  Citation numbers come from the
-// default citation list.
-const notes = {
-  alcohol: {
-    mild: 'Regularly exceeding 14 units can raise your risk of health problems',
-    high: 'Consistently high alcohol intake has been linked to liver damage and other diseases'
-  },
-  nicotine: {
-    mild: 'Any use of tobacco or nicotine is harmful and highly addictive',
-    high: 'Heavy nicotine intake can cause significant cardiovascular and respiratory harm'
-  },
-  caffeine: {
-    mild: 'More than 400 mg per day may lead to restlessness and anxiety',
-    high: 'Extremely high caffeine intake can cause heart palpitations and sleep disturbance'
-  },
-  sleep: {
-    mild: 'Sleeping less than 7 hours can impair cognitive function',
-    high: 'Chronic sleep deprivation increases risk of obesity and heart disease'
-  },
-  strength_training: {
-    mild: 'Less than 20 min of strength training daily provides limited benefit',
-    high: 'Neglecting muscle strengthening may raise risk of musculoskeletal issues'
-  },
-  cardio: {
-    mild: 'Below 22 minutes of cardio daily falls short of activity guidelines',
-    high: 'Very little cardio can increase risk of cardiovascular disease'
-  },
-  social_media: {
-    mild: 'More than about two hours daily is associated with poorer mental health',
-    high: 'Excessive social media use doubles the risk of mental health problems'
-  },
-  porn: {
-    mild: 'Higher pornography consumption is linked to increased anxiety and depression',
-    high: 'Frequent porn sessions can correlate with stress and relationship issues'
-  },
-  fast_food: {
-    mild: 'Fast‑food meals are high in fat, sugar and salt',
-    high: 'Frequent fast food may contribute to obesity and heart disease'
-  },
-  tooth_brushing: {
-    mild: 'Brushing less than twice daily leads to plaque build‑up',
-    high: 'Poor oral hygiene can cause gum disease and tooth decay'
-  }
-  ,
-  sugary_drinks: {
-    mild: 'Too many sugary drinks can lead to weight gain and diabetes',
-    high: 'High intake of sugary drinks increases risk of heart and liver problems'
-  },
-  social_connections: {
-    mild: 'Low social contact may increase risks of illness and early death',
-    high: 'Chronic loneliness significantly raises risk of mortality'
-  },
-  fruit_veg: {
-    mild: 'Eating less than five portions reduces nutrient intake',
-    high: 'Very low fruit and veg intake can increase risk of disease'
+// Switch the interface language: translate the loaded config again and
+// let Chart.js format numbers for the new locale
+function applyLocale(code, remember = true) {
+  setLocale(code, remember);
+  document.documentElement.lang = currentLocale;
+  if (typeof Chart !== 'undefined') Chart.defaults.locale = currentLocale;
+  if (rawConfig) {
+    config = localizeConfig(rawConfig);
+    markers = config.markers;
   }
-};
+  renderThemeSwitch();
+}
 
-const app = document.getElementById('app');
+// Region-specific units for a marker in the selected region, e.g. US
+// standard drinks instead of UK alcohol units, or undefined
+function unitOverride(marker) {
+  return config.regions[selectedRegion]?.units?.[marker.id];
+}
 
-// Read configuration embedded in index.html.  The config JSON is
-// stored in a script tag with id="config-data" so the app works
-// without requiring a web server.  See index.html for details.
-function readEmbeddedConfig() {
-  const cfgEl = document.getElementById('config-data');
-  if (!cfgEl) throw new Error('Config element not found');
-  config = JSON.parse(cfgEl.textContent);
-  markers = config.markers;
+// Unit a marker's values are shown in for the selected region
+function unitFor(marker) {
+  return unitOverride(marker)?.unit ?? marker.unit;
+}
+
+// Convert a stored value to the selected region's unit (one decimal).
+// A skipped answer (null) stays null.
+function toShown(marker, value) {
+  if (value == null) return null;
+  const factor = unitOverride(marker)?.factor ?? 1;
+  return Math.round(value * factor * 10) / 10;
+}
+
+// Convert a value entered in the region's unit back to the stored unit
+function fromShown(marker, shown) {
+  return shown / (unitOverride(marker)?.factor ?? 1);
+}
+
+// A stored value formatted for display in the region's unit and the
+// active locale
+function formatValue(marker, value) {
+  if (value == null) return t('Skipped');
+  return formatNumber(toShown(marker, value));
+}
+
+// Error message for a value typed into a question, or '' when it can
+// be used.  `shown` is in the units shown for the selected region and
+// must fall inside the marker's plausible range (config `range`), or
+// at least be zero or more when the marker has none.
+function customValueError(marker, shown) {
+  if (!Number.isFinite(shown)) return t('Enter a number.');
+  const { min = 0, max } = marker.range || {};
+  const params = { min: formatValue(marker, min), unit: unitFor(marker) };
+  if (max == null) {
+    return shown < toShown(marker, min) ? t('Enter a value of {min} {unit} or more.', params) : '';
+  }
+  params.max = formatValue(marker, max);
+  if (shown < toShown(marker, min) || shown > toShown(marker, max)) {
+    return t('Enter a value between {min} and {max} {unit}.', params);
+  }
+  return '';
+}
+
+// An answer as it reads on the review screen: the label of the matching
+// choice, else the value with its unit, or "Skipped"
+function describeAnswer(marker, value) {
+  if (value === null) return t('Skipped');
+  const choiceIdx = (marker.choices || []).findIndex(c => c.value === value);
+  if (choiceIdx !== -1) return unitOverride(marker)?.choices?.[choiceIdx] ?? marker.choices[choiceIdx].label;
+  return `${formatValue(marker, value)} ${unitFor(marker)}`;
+}
+
+// A follow-up answer as it reads on the review screen: the label of
+// the chosen choice, or "Skipped"
+function describeFollowUpAnswer(followUp, value) {
+  if (value === null) return t('Skipped');
+  return followUp.choices.find(c => c.value === value).label;
+}
+
+// Load a config with the given async loader, then show the launch
+// screen or, if anything is wrong with it, the config error screen.
+// `source` names where the config came from in error messages.
+async function startWithConfig(source, loadFn) {
+  let errors;
+  try {
+    errors = applyConfig(await loadFn());
+  } catch (err) {
+    errors = [err.message];
+  }
+  if (errors.length > 0) {
+    renderConfigError(source, errors);
+  } else {
+    showStartScreen();
+  }
+}
+
+// First screen once a config is loaded: the lock screen while saved
+// data is locked, else a shared result or the launch screen
+function showStartScreen() {
+  if (isVaultLocked()) {
+    renderLockScreen();
+  } else if (!openSharedResult()) {
+    renderLaunch();
+  }
+}
+
+// Open the browser's file picker and pass the chosen file to onFile
+function chooseFile(accept, onFile) {
+  chooseFiles(accept, files => onFile(files[0]), false);
+}
+
+// Open the browser's file picker for several files and pass the list
+// of chosen files to onFiles
+function chooseFiles(accept, onFiles, multiple = true) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.multiple = multiple;
+  input.addEventListener('change', () => {
+    const files = [...input.files];
+    if (files.length > 0) onFiles(files);
+  });
+  input.click();
+}
+
+// Ask the user for a config file and start the app with it
+function pickConfigFile() {
+  chooseFile('.json,application/json', (file) => {
+    startWithConfig(file.name, async () => parseConfigText(await file.text()));
+  });
+}
+
+// Error screen listing every problem found in a config, with ways to
+// recover instead of a blank page
+function renderConfigError(source, errors) {
+  app.innerHTML = '';
+  const container = document.createElement('div');
+  container.className = 'ledger card p-6 md:p-8 space-y-4 fade-in';
+  const title = document.createElement('h2');
+  title.className = 'text-2xl font-mono font-bold text-red-600';
+  title.textContent = t('This configuration cannot be used');
+  container.appendChild(title);
+  const intro = document.createElement('p');
+  intro.className = 'text-sm text-gray-700';
+  intro.textContent = t(errors.length === 1 ? '{count} problem found in {source}:' : '{count} problems found in {source}:', { count: errors.length, source });
+  container.appendChild(intro);
+  const list = document.createElement('ul');
+  list.className = 'list-disc list-inside space-y-1 text-sm text-gray-700';
+  errors.forEach((message) => {
+    const li = document.createElement('li');
+    li.textContent = message;
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+  const controls = document.createElement('div');
+  controls.className = 'flex flex-wrap gap-4 pt-4';
+  if (source !== DEFAULT_CONFIG_URL) {
+    const defaultBtn = document.createElement('button');
+    defaultBtn.className = 'button-primary text-sm';
+    defaultBtn.textContent = t('Use the default config');
+    defaultBtn.addEventListener('click', () => {
+      // Drop ?config= so a reload does not bring the broken file back
+      history.replaceState(null, '', location.pathname);
+      startWithConfig(DEFAULT_CONFIG_URL, () => fetchConfig(DEFAULT_CONFIG_URL));
+    });
+    controls.appendChild(defaultBtn);
+  }
+  const fileBtn = document.createElement('button');
+  fileBtn.className = 'button-secondary text-sm';
+  fileBtn.textContent = t('Choose another config file');
+  fileBtn.addEventListener('click', pickConfigFile);
+  controls.appendChild(fileBtn);
+  container.appendChild(controls);
+  app.appendChild(container);
+}
+
+// Minutes without activity before saved data locks again, unless the
+// config's privacy settings say otherwise
+const AUTO_LOCK_MINUTES = 5;
+
+// Restart the inactivity timer.  It only runs while data saved with a
+// passphrase is unlocked.
+function resetAutoLock() {
+  clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+  if (!hasVault() || isVaultLocked()) return;
+  const minutes = config?.privacy?.autoLockMinutes ?? AUTO_LOCK_MINUTES;
+  autoLockTimer = setTimeout(lockApp, minutes * 60 * 1000);
+}
+
+// Forget everything personal held in memory: the answers and result on
+// screen, loaded team files and any chart drawn from them
+function clearSession() {
+  leaveSharedResult();
+  answers = {};
+  followUpAnswers = {};
+  currentIndex = 0;
+  reviewing = false;
+  currentCheckTime = null;
+  currentGoals = {};
+  cohortResults = [];
+  if (chartInstance) {
+    chartInstance.destroy();
+    chartInstance = null;
+  }
+  miniCharts.forEach((ch) => ch.destroy());
+  miniCharts = [];
+  app.innerHTML = '';
+}
+
+// Lock saved data and ask for the passphrase again
+function lockApp() {
+  clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+  lockVault();
+  clearSession();
+  renderLockScreen();
+}
+
+// Delete everything saved in this browser, after asking, and start
+// again from the launch screen with the default language and theme
+function wipeData() {
+  if (!confirm(t('Delete every check, goal and daily log saved in this browser, along with your language and theme settings? This cannot be undone.'))) return;
+  clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+  wipeAllData();
+  clearSession();
+  applyTheme('system', false);
+  applyLocale(preferredLocale(), false);
+  renderLaunch();
+}
+
+// Labelled password field added to `parent`.  Enter in the field
+// calls onEnter.
+function passphraseField(parent, labelText, autocomplete, onEnter) {
+  const label = document.createElement('label');
+  label.className = 'block text-sm text-gray-700';
+  label.textContent = labelText;
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.autocomplete = autocomplete;
+  input.className = 'mt-1 w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md';
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') onEnter();
+  });
+  label.appendChild(input);
+  parent.appendChild(label);
+  return input;
+}
+
+// Form for choosing a passphrase and encrypting everything saved so
+// far.  Calls onSaved once the data is encrypted.
+function renderPassphraseForm(onSaved) {
+  const form = document.createElement('div');
+  form.className = 'space-y-2';
+  const submit = () => saveBtn.click();
+  const first = passphraseField(form, t('Passphrase (at least {count} characters)', { count: VAULT_MIN_PASSPHRASE_LENGTH }), 'new-password', submit);
+  const second = passphraseField(form, t('Repeat the passphrase'), 'new-password', submit);
+  const hint = document.createElement('p');
+  hint.className = 'text-xs text-gray-500';
+  hint.textContent = t('A forgotten passphrase cannot be recovered. The only way back in is to wipe all data.');
+  form.appendChild(hint);
+  const error = document.createElement('p');
+  error.className = 'text-sm text-red-600';
+  error.setAttribute('role', 'alert');
+  form.appendChild(error);
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'button-primary text-sm';
+  saveBtn.textContent = t('Encrypt and save');
+  saveBtn.addEventListener('click', async () => {
+    if (first.value.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+      error.textContent = t('Use at least {count} characters.', { count: VAULT_MIN_PASSPHRASE_LENGTH });
+      return;
+    }
+    if (first.value !== second.value) {
+      error.textContent = t('The passphrases do not match.');
+      return;
+    }
+    error.textContent = '';
+    saveBtn.disabled = true;
+    try {
+      await createVault(first.value);
+    } catch (err) {
+      error.textContent = t('Could not save: {error}', { error: err.message });
+      saveBtn.disabled = false;
+      return;
+    }
+    resetAutoLock();
+    onSaved();
+  });
+  form.appendChild(saveBtn);
+  return form;
+}
+
+// Notice for screens showing personal data while it is saved without a
+// passphrase, with a form to choose one.  Until the user has chosen
+// how to save, nothing is written and the notice also offers saving
+// without encryption.  Null once there is a passphrase.
+function renderSaveNotice() {
+  if (hasVault()) return null;
+  const notice = document.createElement('div');
+  notice.className = 'p-3 rounded-md bg-blue-50 text-sm text-gray-700 space-y-2';
+  const text = document.createElement('p');
+  notice.appendChild(text);
+  const buttons = document.createElement('div');
+  buttons.className = 'flex flex-wrap gap-2';
+  notice.appendChild(buttons);
+  if (!isPlainStorageAllowed()) {
+    text.textContent = canEncrypt()
+      ? `🔒 ${t('Nothing is saved in this browser until you choose how. With a passphrase your checks are encrypted; without one, anyone using this browser can read them.')}`
+      : t('Nothing is saved in this browser until you agree. This browser cannot encrypt data on this page, so anyone using it could read your checks.');
+    const plainBtn = document.createElement('button');
+    plainBtn.className = 'button-secondary text-sm';
+    plainBtn.textContent = t('Save without encryption');
+    plainBtn.addEventListener('click', () => {
+      allowPlainStorage();
+      notice.replaceWith(renderSaveNotice());
+    });
+    buttons.appendChild(plainBtn);
+  } else if (canEncrypt()) {
+    text.textContent = `🔒 ${t('Your checks are saved in this browser without encryption, so anyone using it can read them. Choose a passphrase to encrypt them.')}`;
+  } else {
+    text.textContent = t('This browser cannot encrypt data on this page, so your checks are saved without a passphrase.');
+  }
+  if (!canEncrypt()) return notice;
+  const chooseBtn = document.createElement('button');
+  chooseBtn.className = 'button-secondary text-sm';
+  chooseBtn.textContent = t('Choose a passphrase');
+  buttons.prepend(chooseBtn);
+  const form = renderPassphraseForm(() => {
+    notice.innerHTML = '';
+    const saved = document.createElement('p');
+    saved.setAttribute('role', 'status');
+    saved.textContent = `🔒 ${t('Saved and encrypted in this browser.')}`;
+    notice.appendChild(saved);
+  });
+  form.classList.add('hidden');
+  notice.appendChild(form);
+  chooseBtn.addEventListener('click', () => {
+    form.classList.toggle('hidden');
+    if (!form.classList.contains('hidden')) form.querySelector('input').focus();
+  });
+  return notice;
+}
+
+// Lock screen shown instead of the launch screen while saved data is
+// locked
+function renderLockScreen() {
+  app.innerHTML = '';
+  const container = document.createElement('div');
+  container.className = 'ledger card p-6 md:p-8 space-y-4 fade-in';
+  const title = document.createElement('h2');
+  title.className = 'text-2xl font-mono font-bold text-gray-800';
+  title.textContent = `🔒 ${t('Your saved data is locked')}`;
+  container.appendChild(title);
+  const intro = document.createElement('p');
+  intro.className = 'text-sm text-gray-700';
+  intro.textContent = t('Enter your passphrase to open your saved checks, goals and daily log.');
+  container.appendChild(intro);
+  const input = passphraseField(container, t('Passphrase'), 'current-password', () => unlockBtn.click());
+  const error = document.createElement('p');
+  error.className = 'text-sm text-red-600';
+  error.setAttribute('role', 'alert');
+  container.appendChild(error);
+  const unlockBtn = document.createElement('button');
+  unlockBtn.className = 'button-primary';
+  unlockBtn.textContent = t('Unlock');
+  unlockBtn.addEventListener('click', async () => {
+    error.textContent = '';
+    unlockBtn.disabled = true;
+    let unlocked = false;
+    try {
+      unlocked = await unlockVault(input.value);
+    } catch (err) {
+      error.textContent = t('Could not open your saved data: {error}', { error: err.message });
+      unlockBtn.disabled = false;
+      return;
+    }
+    if (!unlocked) {
+      error.textContent = t('That passphrase is not right. Try again.');
+      unlockBtn.disabled = false;
+      input.select();
+      return;
+    }
+    resetAutoLock();
+    showStartScreen();
+  });
+  container.appendChild(unlockBtn);
+  const wipeLink = document.createElement('button');
+  wipeLink.type = 'button';
+  wipeLink.className = 'block text-xs text-gray-500 underline mt-4';
+  wipeLink.textContent = t('Forgotten your passphrase? Wipe all data');
+  wipeLink.addEventListener('click', wipeData);
+  container.appendChild(wipeLink);
+  app.appendChild(container);
+  input.focus();
 }
 
 // Launch screen: simple hook line and begin button
@@ -274,17 +527,50 @@ function renderLaunch() {
   container.className = 'ledger card p-6 md:p-8 space-y-6 transition-transform duration-300';
   const title = document.createElement('h1');
   title.className = 'text-3xl md:text-4xl font-mono font-bold text-gray-800';
-  title.textContent = 'Habit Health Check';
+  title.textContent = t('Habit Health Check');
   const intro = document.createElement('p');
   intro.className = 'text-sm text-gray-700';
-  intro.textContent = 'This quick check compares your everyday habits with trusted health guidelines and UK averages. Answer a few simple questions to see where you stand and how you can improve.';
+  intro.textContent = t('This quick check compares your everyday habits with trusted health guidelines and the averages where you live. Answer a few simple questions to see where you stand and how you can improve.');
+  // Language switch: re-renders the launch screen in the chosen language
+  const languageLabel = document.createElement('label');
+  languageLabel.className = 'block text-sm text-gray-700 mt-4';
+  languageLabel.textContent = t('Language');
+  const languageSelect = document.createElement('select');
+  languageSelect.className = 'mt-1 w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md';
+  availableLocales().forEach(({ code, name }) => {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.textContent = name;
+    if (code === currentLocale) opt.selected = true;
+    languageSelect.appendChild(opt);
+  });
+  languageSelect.addEventListener('change', () => {
+    applyLocale(languageSelect.value);
+    renderLaunch();
+  });
+  // Region select: decides which averages you are compared with
+  const regionLabel = document.createElement('label');
+  regionLabel.className = 'block text-sm text-gray-700 mt-4';
+  regionLabel.textContent = t('Select your region');
+  const regionSelect = document.createElement('select');
+  regionSelect.className = 'mt-1 w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md';
+  Object.keys(config.regions).forEach((key) => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = config.regions[key].label;
+    if (key === selectedRegion) opt.selected = true;
+    regionSelect.appendChild(opt);
+  });
+  regionSelect.addEventListener('change', () => {
+    selectedRegion = regionSelect.value;
+  });
   // Age range select
   const ageLabel = document.createElement('label');
   ageLabel.className = 'block text-sm text-gray-700 mt-4';
-  ageLabel.textContent = 'Select your age range';
+  ageLabel.textContent = t('Select your age range');
   const ageSelect = document.createElement('select');
   ageSelect.className = 'mt-1 w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md';
-  ageOptions.forEach((age) => {
+  config.demographics.ageRanges.forEach((age) => {
     const opt = document.createElement('option');
     opt.value = age;
     opt.textContent = age;
@@ -297,14 +583,14 @@ function renderLaunch() {
   // Gender select
   const genderLabel = document.createElement('label');
   genderLabel.className = 'block text-sm text-gray-700 mt-4';
-  genderLabel.textContent = 'Select your gender';
+  genderLabel.textContent = t('Select your gender');
   const genderSelect = document.createElement('select');
   genderSelect.className = 'mt-1 w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md';
-  genderOptions.forEach((gender) => {
+  config.demographics.genders.forEach((gender) => {
     const opt = document.createElement('option');
-    opt.value = gender;
-    opt.textContent = gender.charAt(0).toUpperCase() + gender.slice(1);
-    if (gender === selectedGender) opt.selected = true;
+    opt.value = gender.id;
+    opt.textContent = gender.label;
+    if (gender.id === selectedGender) opt.selected = true;
     genderSelect.appendChild(opt);
   });
   genderSelect.addEventListener('change', () => {
@@ -312,124 +598,376 @@ function renderLaunch() {
   });
   const btn = document.createElement('button');
   btn.className = 'button-primary mt-6';
-  btn.textContent = 'Begin';
+  btn.textContent = t('Begin');
   btn.addEventListener('click', () => {
     answers = {};
+    followUpAnswers = {};
     currentIndex = 0;
+    reviewing = false;
     renderQuestion();
   });
   container.appendChild(title);
   container.appendChild(intro);
+  container.appendChild(languageLabel);
+  container.appendChild(languageSelect);
+  container.appendChild(regionLabel);
+  container.appendChild(regionSelect);
   container.appendChild(ageLabel);
   container.appendChild(ageSelect);
   container.appendChild(genderLabel);
   container.appendChild(genderSelect);
   container.appendChild(btn);
+  // Record today's habits instead of estimating the whole week
+  const logBtn = document.createElement('button');
+  logBtn.className = 'button-secondary mt-6 ml-2';
+  logBtn.textContent = t('Daily log');
+  logBtn.addEventListener('click', () => {
+    renderDailyLog();
+  });
+  container.appendChild(logBtn);
+  // Past checks are only worth offering once there are some
+  if (loadHistory().length > 0) {
+    const historyBtn = document.createElement('button');
+    historyBtn.className = 'button-secondary mt-6 ml-2';
+    historyBtn.textContent = t('View history');
+    historyBtn.addEventListener('click', () => {
+      renderHistory();
+    });
+    container.appendChild(historyBtn);
+  }
+  // Load a custom marker configuration from a local file
+  const configLink = document.createElement('button');
+  configLink.type = 'button';
+  configLink.className = 'block text-xs text-gray-500 underline mt-4';
+  configLink.textContent = t('Use a custom config file');
+  configLink.addEventListener('click', pickConfigFile);
+  container.appendChild(configLink);
+  // Load results exported from this or another browser
+  const importLink = document.createElement('button');
+  importLink.type = 'button';
+  importLink.className = 'block text-xs text-gray-500 underline mt-1';
+  importLink.textContent = t('Import results (JSON or CSV)');
+  importLink.addEventListener('click', importChecksFile);
+  container.appendChild(importLink);
+  // Facilitators combine their team's anonymised results
+  const teamLink = document.createElement('button');
+  teamLink.type = 'button';
+  teamLink.className = 'block text-xs text-gray-500 underline mt-1';
+  teamLink.textContent = t('Team dashboard');
+  teamLink.addEventListener('click', renderCohortDashboard);
+  container.appendChild(teamLink);
+  // Lock saved data by hand on a shared computer
+  if (hasVault()) {
+    const lockLink = document.createElement('button');
+    lockLink.type = 'button';
+    lockLink.className = 'block text-xs text-gray-500 underline mt-1';
+    lockLink.textContent = t('Lock now');
+    lockLink.addEventListener('click', lockApp);
+    container.appendChild(lockLink);
+  }
+  const wipeLink = document.createElement('button');
+  wipeLink.type = 'button';
+  wipeLink.className = 'block text-xs text-gray-500 underline mt-1';
+  wipeLink.textContent = t('Wipe all data');
+  wipeLink.addEventListener('click', wipeData);
+  container.appendChild(wipeLink);
+  // App version, so people can tell whether an update has reached them
+  const versionNote = document.createElement('p');
+  versionNote.className = 'text-xs text-gray-400 mt-4';
+  versionNote.textContent = t('Version {version}', { version: APP_VERSION });
+  container.appendChild(versionNote);
   app.appendChild(container);
 }
 
-// Render a single survey question based on the current marker
-function renderQuestion() {
-  const marker = markers[currentIndex];
-  // Clear existing content
+// Daily log screen: one row per marker to record today's amount with a
+// few taps, and a button that turns the last week of logs into answers
+function renderDailyLog() {
   app.innerHTML = '';
-  // Create container with card and fade-in animation
+  const today = dayKey();
+  const todayEntry = loadDailyLog()[today] || {};
   const container = document.createElement('div');
   container.className = 'ledger card p-6 md:p-8 space-y-4 transition-transform duration-300 fade-in';
-  // Progress bar
+  const title = document.createElement('h2');
+  title.className = 'text-2xl font-mono font-bold text-gray-800';
+  title.textContent = t("Today's log · {date}", { date: formatCheckDate(Date.now()) });
+  container.appendChild(title);
+  const intro = document.createElement('p');
+  intro.className = 'text-sm text-gray-700';
+  intro.textContent = t('Record what you did today. The last {days} days are combined into the daily or weekly figures the check uses, so you no longer have to estimate the week from memory.', { days: DAILY_LOG_WINDOW_DAYS });
+  container.appendChild(intro);
+  const saveNotice = renderSaveNotice();
+  if (saveNotice) container.appendChild(saveNotice);
+  const list = document.createElement('div');
+  list.className = 'space-y-2';
+  function renderCounts() {
+    const { daysLogged } = aggregateDailyLog(loadDailyLog(), markers);
+    markers.forEach((m) => {
+      list.querySelector(`[data-log-count="${m.id}"]`).textContent = t('Logged on {count} of the last {days} days', { count: daysLogged[m.id], days: DAILY_LOG_WINDOW_DAYS });
+    });
+    useBtn.disabled = Object.values(daysLogged).every(n => n === 0);
+  }
+  markers.forEach((m) => {
+    // One tap adds a step in the unit shown, and today's amount is in
+    // that unit without the period
+    const step = m.log?.step ?? 1;
+    const dayUnit = unitFor(m).split('/')[0];
+    const row = document.createElement('div');
+    row.className = 'flex flex-wrap items-center gap-2 border-b border-gray-200 py-2';
+    const label = document.createElement('label');
+    label.className = 'flex-1 text-sm text-gray-800';
+    label.textContent = `${m.icon || ''} ${m.label}`;
+    const count = document.createElement('span');
+    count.className = 'block text-xs text-gray-500';
+    count.dataset.logCount = m.id;
+    label.appendChild(count);
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.step = step;
+    input.className = 'w-24 px-2 py-1 bg-gray-50 border border-gray-300 rounded-md text-sm';
+    input.setAttribute('aria-label', t('{label} today ({unit})', { label: m.label, unit: dayUnit }));
+    if (todayEntry[m.id] != null) input.value = toShown(m, todayEntry[m.id]);
+    function store() {
+      const v = parseFloat(input.value);
+      logDailyValue(today, m.id, Number.isNaN(v) || v < 0 ? null : fromShown(m, v));
+      renderCounts();
+    }
+    input.addEventListener('change', store);
+    function stepButton(text, delta) {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'button-secondary text-sm px-3';
+      b.textContent = text;
+      b.addEventListener('click', () => {
+        const current = parseFloat(input.value) || 0;
+        input.value = Math.max(0, Math.round((current + delta) * 100) / 100);
+        store();
+      });
+      return b;
+    }
+    const unitSpan = document.createElement('span');
+    unitSpan.className = 'text-xs text-gray-500 w-20';
+    unitSpan.textContent = dayUnit;
+    row.appendChild(label);
+    row.appendChild(stepButton('−', -step));
+    row.appendChild(input);
+    row.appendChild(stepButton('+', step));
+    row.appendChild(unitSpan);
+    list.appendChild(row);
+  });
+  container.appendChild(list);
+  const nav = document.createElement('div');
+  nav.className = 'flex justify-between pt-6';
+  const backBtn = document.createElement('button');
+  backBtn.className = 'button-secondary';
+  backBtn.textContent = t('Back');
+  backBtn.addEventListener('click', () => {
+    renderLaunch();
+  });
+  nav.appendChild(backBtn);
+  // Pre-fill the answers from the log.  When every marker has been
+  // logged the answers go straight to the review screen; otherwise the
+  // survey opens at the first question that still needs an answer,
+  // which may be a follow-up the logged amounts brought in.
+  const useBtn = document.createElement('button');
+  useBtn.className = 'button-primary';
+  useBtn.textContent = t('Check this week');
+  useBtn.addEventListener('click', () => {
+    answers = { ...aggregateDailyLog(loadDailyLog(), markers).answers };
+    followUpAnswers = {};
+    reviewing = false;
+    const firstMissing = currentSteps().findIndex(step => (step.followUp ? followUpAnswers[step.followUp.id] : answers[step.marker.id]) == null);
+    if (firstMissing === -1) {
+      renderReview();
+    } else {
+      currentIndex = firstMissing;
+      renderQuestion();
+    }
+  });
+  nav.appendChild(useBtn);
+  container.appendChild(nav);
+  app.appendChild(container);
+  renderCounts();
+}
+
+// The questions to ask for the answers so far: every marker, each
+// followed by the follow-ups its answer calls for
+function currentSteps() {
+  return questionSteps(markers, answers, classifyValue);
+}
+
+// Progress bar and step dots for the question at currentIndex.  Both
+// count the questions for the answers so far, so they grow and shrink
+// as follow-ups come in or drop out.
+function appendProgress(container, steps) {
   const progressOuter = document.createElement('div');
   progressOuter.className = 'progress-outer';
+  progressOuter.setAttribute('role', 'progressbar');
+  progressOuter.setAttribute('aria-label', t('Progress'));
+  progressOuter.setAttribute('aria-valuemin', '0');
+  progressOuter.setAttribute('aria-valuemax', String(steps.length));
+  progressOuter.setAttribute('aria-valuenow', String(currentIndex));
+  progressOuter.setAttribute('aria-valuetext', t('Question {n} of {total}', { n: currentIndex + 1, total: steps.length }));
   const progressInner = document.createElement('div');
   progressInner.className = 'progress-inner';
-  const percent = (currentIndex / markers.length) * 100;
+  const percent = (currentIndex / steps.length) * 100;
   progressInner.style.width = `${percent}%`;
   progressOuter.appendChild(progressInner);
   container.appendChild(progressOuter);
-  // Step indicator with colour coding and clickable dots
-  const stepContainer = document.createElement('div');
-  stepContainer.className = 'flex justify-center space-x-1 mt-2';
-  markers.forEach((m, idx) => {
-    const dot = document.createElement('div');
-    dot.className = 'rounded-full transition-transform';
-    const completed = idx < currentIndex;
-    const current = idx === currentIndex;
-    dot.style.backgroundColor = completed ? '#34d399' : (current ? '#60a5fa' : '#d1d5db');
-    dot.style.width = current ? '14px' : '10px';
-    dot.style.height = current ? '14px' : '10px';
-    dot.style.transform = current ? 'scale(1.1)' : 'scale(1)';
-    dot.style.cursor = 'pointer';
+  // Step indicator: one button per question, coloured by progress.
+  // Follow-ups get smaller dots next to the question they follow.
+  const stepList = document.createElement('ol');
+  stepList.className = 'flex justify-center items-center space-x-1 mt-2';
+  stepList.setAttribute('aria-label', t('Questions'));
+  steps.forEach((step, idx) => {
+    const item = document.createElement('li');
+    const dot = document.createElement('button');
+    dot.type = 'button';
+    dot.className = 'step-dot block';
+    if (step.followUp) dot.classList.add('follow-up');
+    if (idx < currentIndex) dot.classList.add('done');
+    if (idx === currentIndex) dot.setAttribute('aria-current', 'step');
+    const label = step.followUp ? step.followUp.question : step.marker.label;
+    dot.setAttribute('aria-label', t('Question {n} of {total}: {label}', { n: idx + 1, total: steps.length, label }));
     dot.addEventListener('click', () => {
       currentIndex = idx;
       renderQuestion();
     });
-    stepContainer.appendChild(dot);
+    item.appendChild(dot);
+    stepList.appendChild(item);
   });
-  container.appendChild(stepContainer);
-  // Question title with icon
+  container.appendChild(stepList);
+}
+
+// Move on from the question at currentIndex: to the next question, or
+// to the review once there is none.  When an answer was changed from
+// the review, only the follow-ups it brings in are asked on the way
+// back there.
+function goToNextStep() {
+  const steps = currentSteps();
+  const current = steps[currentIndex];
+  const next = steps[currentIndex + 1];
+  if (next && (!reviewing || (next.followUp && next.marker === current.marker))) {
+    currentIndex++;
+    renderQuestion();
+  } else {
+    renderReview();
+  }
+}
+
+// Label for the button that moves on from the question at currentIndex
+function nextStepLabel() {
+  const steps = currentSteps();
+  const next = steps[currentIndex + 1];
+  const leadsOn = next && (!reviewing || (next.followUp && next.marker === steps[currentIndex].marker));
+  return leadsOn ? t('Next') : t('Review answers');
+}
+
+// Render a single survey question based on the current marker
+function renderQuestion() {
+  const steps = currentSteps();
+  currentIndex = Math.min(currentIndex, steps.length - 1);
+  if (steps[currentIndex].followUp) {
+    renderFollowUp(steps);
+    return;
+  }
+  const { marker } = steps[currentIndex];
+  const choices = marker.choices || [];
+  // Clear existing content
+  app.innerHTML = '';
+  // Create container with card and fade-in animation
+  const container = document.createElement('div');
+  container.className = 'ledger card p-6 md:p-8 space-y-4 transition-transform duration-300 fade-in';
+  appendProgress(container, steps);
+  // Question title with icon.  It labels the choices and takes focus
+  // when there is nothing to choose from.
   const title = document.createElement('h2');
-  title.className = 'text-xl font-mono font-semibold text-gray-800 mt-4';
-  const icon = markerIcons[marker.id] || '';
+  title.id = 'question-title';
+  title.tabIndex = -1;
+  title.className = 'question-title text-xl font-mono font-semibold text-gray-800 mt-4';
+  const icon = marker.icon || '';
   title.textContent = `${currentIndex + 1}. ${icon} ${marker.label}`;
   container.appendChild(title);
-  // Description
+  // Description, baseline and example are read out with the choices
+  const describedBy = [];
   if (marker.description) {
     const desc = document.createElement('p');
+    desc.id = 'question-description';
     desc.className = 'text-sm text-gray-600 italic';
     desc.textContent = marker.description;
     container.appendChild(desc);
+    describedBy.push(desc.id);
   }
   // Recommended baseline
   const baselineVal = getBaselineFor(marker.id);
   const baselineEl = document.createElement('p');
+  baselineEl.id = 'question-baseline';
   baselineEl.className = 'text-xs text-gray-500';
-  baselineEl.textContent = `Recommended: ${baselineVal} ${marker.unit}`;
+  baselineEl.textContent = t('Recommended: {value} {unit}', { value: formatValue(marker, baselineVal), unit: unitFor(marker) });
+  // Personal goal, when one is set
+  const goal = loadGoals()[marker.id];
+  if (goal) {
+    const goalSpan = document.createElement('span');
+    goalSpan.className = 'ml-2 font-semibold text-green-700';
+    goalSpan.textContent = `· ${t('Your goal: {goal}', { goal: describeGoal(marker, formatValue(marker, goal.target), unitFor(marker)) })}`;
+    baselineEl.appendChild(goalSpan);
+  }
   container.appendChild(baselineEl);
-  // Example line
-  const example = markerExamples[marker.id];
+  describedBy.push(baselineEl.id);
+  // Example line, in the region's own units when it has them
+  const example = unitOverride(marker)?.example ?? marker.example;
   if (example) {
     const ex = document.createElement('p');
+    ex.id = 'question-example';
     ex.className = 'text-xs text-gray-500 italic';
     ex.textContent = example;
     container.appendChild(ex);
+    describedBy.push(ex.id);
   }
-  // Choice buttons
+  // Choices as a radio group: one tab stop, arrow keys move the selection
   const choicesDiv = document.createElement('div');
   choicesDiv.className = 'mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2';
-  const choices = choiceSets[marker.id] || [];
-  choices.forEach(({ label, value }) => {
+  choicesDiv.setAttribute('role', 'radiogroup');
+  choicesDiv.setAttribute('aria-labelledby', title.id);
+  choicesDiv.setAttribute('aria-describedby', describedBy.join(' '));
+  function addChoice(label, value) {
     const btn = document.createElement('button');
     btn.type = 'button';
-    btn.className = 'w-full text-center border border-gray-300 rounded px-3 py-2 text-sm transition-colors';
+    btn.className = 'choice w-full text-center px-3 py-2 text-sm';
+    btn.setAttribute('role', 'radio');
     btn.textContent = label;
-    // Apply selected styling
-    function updateSelection() {
-      if (answers[marker.id] === value) {
-        btn.classList.add('text-white');
-        btn.style.background = 'linear-gradient(to right, #34d399, #60a5fa)';
-        btn.style.color = '#ffffff';
-        btn.style.borderColor = '#34d399';
-      } else {
-        btn.classList.remove('text-white');
-        btn.style.background = '';
-        btn.style.color = '';
-        btn.style.borderColor = '';
-      }
-    }
-    updateSelection();
     btn.addEventListener('click', () => {
       answers[marker.id] = value;
-      Array.from(choicesDiv.children).forEach((child) => {
-        child.classList.remove('text-white');
-        child.style.background = '';
-        child.style.color = '';
-        child.style.borderColor = '';
-      });
-      btn.classList.add('text-white');
-      btn.style.background = 'linear-gradient(to right, #34d399, #60a5fa)';
-      btn.style.color = '#ffffff';
-      btn.style.borderColor = '#34d399';
+      customInput.value = '';
+      showError('');
+      markChoice(btn);
+      nextBtn.textContent = nextStepLabel();
     });
     choicesDiv.appendChild(btn);
+    return btn;
+  }
+  const choiceButtons = choices.map(({ label, value }, choiceIdx) => addChoice(unitOverride(marker)?.choices?.[choiceIdx] ?? label, value));
+  // "Prefer not to say" records null, which leaves the marker out of
+  // the score instead of guessing a value
+  const skipBtn = addChoice(t('Prefer not to say'), null);
+  skipBtn.classList.add('italic');
+  choiceButtons.push(skipBtn);
+  // Reflect the selected choice (or none) in the radio states
+  function markChoice(selected) {
+    choiceButtons.forEach((btn) => {
+      btn.setAttribute('aria-checked', String(btn === selected));
+      btn.tabIndex = btn === selected ? 0 : -1;
+    });
+    if (!selected && choiceButtons.length > 0) choiceButtons[0].tabIndex = 0;
+  }
+  choicesDiv.addEventListener('keydown', (event) => {
+    const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[event.key];
+    const idx = choiceButtons.indexOf(document.activeElement);
+    if (!step || idx === -1) return;
+    event.preventDefault();
+    const next = choiceButtons[(idx + step + choiceButtons.length) % choiceButtons.length];
+    next.click();
+    next.focus();
   });
   container.appendChild(choicesDiv);
   // Custom numeric input
@@ -437,222 +975,1094 @@ function renderQuestion() {
   customDiv.className = 'mt-4';
   const customLabel = document.createElement('label');
   customLabel.className = 'block text-sm text-gray-700 mb-1';
-  customLabel.textContent = `Or enter custom value (${marker.unit})`;
+  customLabel.textContent = t('Or enter custom value ({unit})', { unit: unitFor(marker) });
   const customInput = document.createElement('input');
+  customInput.id = 'custom-value';
+  customLabel.htmlFor = customInput.id;
   customInput.type = 'number';
   customInput.step = 0.1;
-  customInput.min = 0;
+  customInput.min = toShown(marker, marker.range?.min ?? 0);
+  if (marker.range) customInput.max = toShown(marker, marker.range.max);
   customInput.className = 'w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 text-gray-800';
   const currentValue = answers[marker.id];
-  if (currentValue != null && !choices.some(c => c.value === currentValue)) {
-    customInput.value = currentValue;
+  let selectedBtn = choiceButtons[choices.findIndex(c => c.value === currentValue)];
+  if (currentValue === null) {
+    selectedBtn = skipBtn;
+  } else if (currentValue !== undefined && !selectedBtn) {
+    customInput.value = toShown(marker, currentValue);
+  }
+  markChoice(selectedBtn);
+  // Inline error under the input, for a typed value that is out of
+  // range or for moving on without an answer
+  const errorEl = document.createElement('p');
+  errorEl.id = 'question-error';
+  errorEl.className = 'text-sm text-red-600 mt-1';
+  errorEl.setAttribute('role', 'alert');
+  function showError(message) {
+    errorEl.textContent = message;
+    if (message) {
+      customInput.setAttribute('aria-describedby', errorEl.id);
+    } else {
+      customInput.removeAttribute('aria-describedby');
+    }
   }
+  // Error for what is typed in the custom input, or '' when it is
+  // empty or usable
+  function typedValueError() {
+    if (customInput.validity.badInput) return t('Enter a number.');
+    if (customInput.value.trim() === '') return '';
+    return customValueError(marker, parseFloat(customInput.value));
+  }
+  // A typed value replaces the chosen answer as soon as it is usable.
+  // Errors are shown once the field is left (or on Next) rather than
+  // while the number is still being typed.
   customInput.addEventListener('input', () => {
-    const v = parseFloat(customInput.value);
-    if (!isNaN(v)) {
-      answers[marker.id] = v;
-      Array.from(choicesDiv.children).forEach((child) => {
-        child.classList.remove('text-white');
-        child.style.background = '';
-        child.style.color = '';
-        child.style.borderColor = '';
-      });
+    const error = typedValueError();
+    const empty = customInput.value.trim() === '' && !customInput.validity.badInput;
+    customInput.setAttribute('aria-invalid', String(Boolean(error)));
+    if (!error) showError('');
+    if (empty) {
+      if (!choiceButtons.some(btn => btn.getAttribute('aria-checked') === 'true')) delete answers[marker.id];
+      return;
+    }
+    markChoice(null);
+    if (error) {
+      delete answers[marker.id];
+    } else {
+      answers[marker.id] = fromShown(marker, parseFloat(customInput.value));
     }
+    nextBtn.textContent = nextStepLabel();
+  });
+  customInput.addEventListener('change', () => {
+    showError(typedValueError());
   });
   customDiv.appendChild(customLabel);
   customDiv.appendChild(customInput);
+  customDiv.appendChild(errorEl);
   container.appendChild(customDiv);
+  // Helper that works the value out from everyday quantities and puts
+  // it in the custom input, where it is checked like a typed value
+  const converter = unitOverride(marker)?.converter ?? marker.converter;
+  if (converter) {
+    container.appendChild(renderConverter(marker, converter, (value) => {
+      customInput.value = toShown(marker, value);
+      customInput.dispatchEvent(new Event('input'));
+      showError(typedValueError());
+      customInput.focus();
+    }));
+  }
   // Navigation buttons
+  function goBack() {
+    currentIndex--;
+    renderQuestion();
+  }
+  // Move on only with an answer: a choice, a usable typed value or an
+  // explicit skip
+  function goNext() {
+    const typedError = typedValueError();
+    if (typedError) {
+      showError(typedError);
+      customInput.setAttribute('aria-invalid', 'true');
+      customInput.focus();
+      return;
+    }
+    if (answers[marker.id] === undefined) {
+      showError(t('Choose an answer, enter a value or choose "Prefer not to say".'));
+      (choiceButtons.find(btn => btn.tabIndex === 0) || customInput).focus();
+      return;
+    }
+    goToNextStep();
+  }
   const nav = document.createElement('div');
   nav.className = 'flex justify-between pt-6';
   if (currentIndex > 0) {
     const backBtn = document.createElement('button');
     backBtn.className = 'button-secondary';
-    backBtn.textContent = 'Back';
-    backBtn.addEventListener('click', () => {
-      currentIndex--;
-      renderQuestion();
-    });
+    backBtn.textContent = t('Back');
+    backBtn.addEventListener('click', goBack);
     nav.appendChild(backBtn);
   } else {
     nav.appendChild(document.createElement('div'));
   }
   const nextBtn = document.createElement('button');
   nextBtn.className = 'button-primary';
-  nextBtn.textContent = currentIndex < markers.length - 1 ? 'Next' : 'Finish';
-  nextBtn.addEventListener('click', () => {
-    if (answers[marker.id] == null && choices.length > 0) {
-      answers[marker.id] = choices[0].value;
+  nextBtn.textContent = nextStepLabel();
+  nextBtn.addEventListener('click', goNext);
+  nav.appendChild(nextBtn);
+  container.appendChild(nav);
+  // Keyboard shortcuts: Enter on a choice or in the custom value moves
+  // on, Esc goes back a question
+  container.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.target.getAttribute('role') === 'radio' || event.target === customInput)) {
+      event.preventDefault();
+      if (event.target !== customInput) event.target.click();
+      goNext();
+    } else if (event.key === 'Escape' && currentIndex > 0) {
+      event.preventDefault();
+      goBack();
     }
-    if (currentIndex < markers.length - 1) {
-      currentIndex++;
-      renderQuestion();
+  });
+  app.appendChild(container);
+  // Every question starts with focus on its selected (or first) choice
+  // so the question is announced and the arrow keys work straight away
+  const focusTarget = choiceButtons.find(btn => btn.tabIndex === 0) || title;
+  focusTarget.focus();
+}
+
+// Follow-up question at currentIndex: the choices from the config plus
+// "Prefer not to say", under a reminder of the answer that led to it
+function renderFollowUp(steps) {
+  const { marker, followUp } = steps[currentIndex];
+  app.innerHTML = '';
+  const container = document.createElement('div');
+  container.className = 'ledger card p-6 md:p-8 space-y-4 transition-transform duration-300 fade-in';
+  appendProgress(container, steps);
+  const title = document.createElement('h2');
+  title.id = 'question-title';
+  title.tabIndex = -1;
+  title.className = 'question-title text-xl font-mono font-semibold text-gray-800 mt-4';
+  title.textContent = `${currentIndex + 1}. ${marker.icon || ''} ${followUp.question}`;
+  container.appendChild(title);
+  const context = document.createElement('p');
+  context.id = 'question-description';
+  context.className = 'text-sm text-gray-600 italic';
+  context.textContent = t('Follow-up to your answer for {label}: {answer}', { label: marker.label, answer: describeAnswer(marker, answers[marker.id]) });
+  container.appendChild(context);
+  // Choices as a radio group, as on the marker questions
+  const choicesDiv = document.createElement('div');
+  choicesDiv.className = 'mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2';
+  choicesDiv.setAttribute('role', 'radiogroup');
+  choicesDiv.setAttribute('aria-labelledby', title.id);
+  choicesDiv.setAttribute('aria-describedby', context.id);
+  const options = [...followUp.choices, { label: t('Prefer not to say'), value: null }];
+  const choiceButtons = options.map(({ label, value }) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'choice w-full text-center px-3 py-2 text-sm';
+    btn.setAttribute('role', 'radio');
+    btn.textContent = label;
+    if (value === null) btn.classList.add('italic');
+    btn.addEventListener('click', () => {
+      followUpAnswers[followUp.id] = value;
+      errorEl.textContent = '';
+      markChoice(btn);
+    });
+    choicesDiv.appendChild(btn);
+    return btn;
+  });
+  function markChoice(selected) {
+    choiceButtons.forEach((btn) => {
+      btn.setAttribute('aria-checked', String(btn === selected));
+      btn.tabIndex = btn === selected ? 0 : -1;
+    });
+    if (!selected) choiceButtons[0].tabIndex = 0;
+  }
+  markChoice(choiceButtons[options.findIndex(option => option.value === followUpAnswers[followUp.id])]);
+  choicesDiv.addEventListener('keydown', (event) => {
+    const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[event.key];
+    const idx = choiceButtons.indexOf(document.activeElement);
+    if (!step || idx === -1) return;
+    event.preventDefault();
+    const next = choiceButtons[(idx + step + choiceButtons.length) % choiceButtons.length];
+    next.click();
+    next.focus();
+  });
+  container.appendChild(choicesDiv);
+  const errorEl = document.createElement('p');
+  errorEl.className = 'text-sm text-red-600 mt-1';
+  errorEl.setAttribute('role', 'alert');
+  container.appendChild(errorEl);
+  function goBack() {
+    currentIndex--;
+    renderQuestion();
+  }
+  function goNext() {
+    if (followUpAnswers[followUp.id] === undefined) {
+      errorEl.textContent = t('Choose an answer or "Prefer not to say".');
+      choiceButtons.find(btn => btn.tabIndex === 0).focus();
+      return;
+    }
+    goToNextStep();
+  }
+  const nav = document.createElement('div');
+  nav.className = 'flex justify-between pt-6';
+  const backBtn = document.createElement('button');
+  backBtn.className = 'button-secondary';
+  backBtn.textContent = t('Back');
+  backBtn.addEventListener('click', goBack);
+  nav.appendChild(backBtn);
+  const nextBtn = document.createElement('button');
+  nextBtn.className = 'button-primary';
+  nextBtn.textContent = nextStepLabel();
+  nextBtn.addEventListener('click', goNext);
+  nav.appendChild(nextBtn);
+  container.appendChild(nav);
+  // Same shortcuts as the marker questions: Enter on a choice moves on,
+  // Esc goes back
+  container.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && event.target.getAttribute('role') === 'radio') {
+      event.preventDefault();
+      event.target.click();
+      goNext();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      goBack();
+    }
+  });
+  app.appendChild(container);
+  choiceButtons.find(btn => btn.tabIndex === 0).focus();
+}
+
+// "Work it out" helper for a question, hidden until its button is
+// pressed: counts of everyday items (cups, pints, cigarettes) or a
+// bedtime and wake time, converted with converters.js into the marker's
+// stored unit.  The total is shown in the region's units; `onUse` gets
+// it in the stored unit.
+function renderConverter(marker, converter, onUse) {
+  const wrapper = document.createElement('div');
+  const toggleBtn = document.createElement('button');
+  toggleBtn.type = 'button';
+  toggleBtn.className = 'button-secondary text-sm';
+  toggleBtn.textContent = t('Work it out');
+  toggleBtn.setAttribute('aria-expanded', 'false');
+  toggleBtn.setAttribute('aria-controls', 'converter-section');
+  wrapper.appendChild(toggleBtn);
+  const section = document.createElement('div');
+  section.id = 'converter-section';
+  section.className = 'hidden mt-2 p-3 rounded-md border border-gray-200 space-y-2 text-sm text-gray-700';
+  toggleBtn.addEventListener('click', () => {
+    section.classList.toggle('hidden');
+    toggleBtn.setAttribute('aria-expanded', String(!section.classList.contains('hidden')));
+  });
+  const field = (labelText, input) => {
+    const label = document.createElement('label');
+    label.className = 'block text-xs text-gray-700';
+    label.textContent = labelText;
+    input.className = 'mt-1 w-full px-2 py-1 bg-gray-50 border border-gray-300 rounded-md text-sm';
+    label.appendChild(input);
+    return label;
+  };
+  let compute;
+  if (converter.type === 'bedtime') {
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-2 gap-2';
+    const times = [[t('Bedtime'), converter.bedtime || '23:00'], [t('Wake time'), converter.wake || '07:00']].map(([labelText, value]) => {
+      const input = document.createElement('input');
+      input.type = 'time';
+      input.value = value;
+      grid.appendChild(field(labelText, input));
+      return input;
+    });
+    section.appendChild(grid);
+    compute = () => sleepHours(times[0].value, times[1].value);
+  } else {
+    const intro = document.createElement('p');
+    const period = marker.log?.period;
+    intro.textContent = period === 'week' ? t('How many in a typical week?') : (period === 'day' ? t('How many in a typical day?') : t('How many?'));
+    section.appendChild(intro);
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-1 sm:grid-cols-2 gap-2';
+    const counts = [];
+    const strengths = [];
+    converter.items.forEach((item, idx) => {
+      const row = document.createElement('div');
+      row.className = 'flex gap-2 items-end';
+      const count = document.createElement('input');
+      count.type = 'number';
+      count.min = 0;
+      count.step = 1;
+      count.placeholder = '0';
+      const countLabel = field(item.label, count);
+      countLabel.classList.add('flex-1');
+      row.appendChild(countLabel);
+      counts[idx] = count;
+      if (item.strength) {
+        const strength = document.createElement('input');
+        strength.type = 'number';
+        strength.min = 0;
+        strength.step = 0.1;
+        strength.value = item.strength.value;
+        const strengthLabel = field(item.strength.label, strength);
+        strengthLabel.classList.add('w-24');
+        row.appendChild(strengthLabel);
+        strengths[idx] = strength;
+      }
+      grid.appendChild(row);
+    });
+    section.appendChild(grid);
+    compute = () => itemsTotal(converter.items, counts.map(input => input.value), strengths.map(input => input?.value));
+  }
+  const total = document.createElement('p');
+  total.className = 'font-semibold text-gray-800';
+  total.setAttribute('aria-live', 'polite');
+  section.appendChild(total);
+  const useBtn = document.createElement('button');
+  useBtn.type = 'button';
+  useBtn.className = 'button-primary text-sm';
+  useBtn.textContent = t('Use this value');
+  useBtn.addEventListener('click', () => {
+    const value = compute();
+    if (value != null) onUse(value);
+  });
+  section.appendChild(useBtn);
+  function update() {
+    const value = compute();
+    total.textContent = value == null ? '' : t('Total: {value} {unit}', { value: formatValue(marker, value), unit: unitFor(marker) });
+    useBtn.disabled = value == null;
+  }
+  section.addEventListener('input', update);
+  update();
+  wrapper.appendChild(section);
+  return wrapper;
+}
+
+// Review screen: every answer (or "Skipped") with a button to change
+// it, then Finish to score and save the check.  Follow-ups are listed
+// under the answers that led to them.  Questions left without an
+// answer, e.g. after jumping ahead with the step dots, have to be
+// answered or skipped before the check can finish.
+function renderReview() {
+  reviewing = true;
+  app.innerHTML = '';
+  const container = document.createElement('div');
+  container.className = 'ledger card p-6 md:p-8 space-y-4 fade-in';
+  const title = document.createElement('h2');
+  title.tabIndex = -1;
+  title.className = 'text-2xl font-mono font-bold text-gray-800';
+  title.textContent = t('Review your answers');
+  container.appendChild(title);
+  const intro = document.createElement('p');
+  intro.className = 'text-sm text-gray-700';
+  intro.textContent = t('Check your answers before you finish. Skipped questions are left out of your score.');
+  container.appendChild(intro);
+  const list = document.createElement('ul');
+  list.className = 'space-y-2';
+  const unanswered = [];
+  const steps = currentSteps();
+  steps.forEach(({ marker: m, followUp }, idx) => {
+    const value = followUp ? followUpAnswers[followUp.id] : answers[m.id];
+    const question = followUp ? followUp.question : m.label;
+    if (value === undefined) unanswered.push(question);
+    const li = document.createElement('li');
+    li.className = `flex items-center justify-between gap-2 text-sm text-gray-700 border-b border-gray-100 pb-2${followUp ? ' pl-6' : ''}`;
+    const info = document.createElement('div');
+    const label = document.createElement('span');
+    label.className = 'block font-medium';
+    label.textContent = `${idx + 1}. ${m.icon || ''} ${question}`;
+    const answer = document.createElement('span');
+    if (value === undefined) {
+      answer.className = 'block text-red-600';
+      answer.textContent = t('Not answered');
     } else {
-      renderResults();
+      answer.className = `block${value === null ? ' italic text-gray-500' : ''}`;
+      answer.textContent = followUp ? describeFollowUpAnswer(followUp, value) : describeAnswer(m, value);
     }
+    info.appendChild(label);
+    info.appendChild(answer);
+    li.appendChild(info);
+    const changeBtn = document.createElement('button');
+    changeBtn.className = 'button-secondary text-xs';
+    changeBtn.textContent = t('Change');
+    changeBtn.setAttribute('aria-label', t('Change {label}', { label: question }));
+    changeBtn.addEventListener('click', () => {
+      currentIndex = idx;
+      renderQuestion();
+    });
+    li.appendChild(changeBtn);
+    list.appendChild(li);
   });
-  nav.appendChild(nextBtn);
+  container.appendChild(list);
+  const error = document.createElement('p');
+  error.className = 'text-sm text-red-600';
+  error.setAttribute('role', 'alert');
+  container.appendChild(error);
+  const nav = document.createElement('div');
+  nav.className = 'flex justify-between pt-6';
+  const backBtn = document.createElement('button');
+  backBtn.className = 'button-secondary';
+  backBtn.textContent = t('Back');
+  backBtn.addEventListener('click', () => {
+    currentIndex = steps.length - 1;
+    renderQuestion();
+  });
+  nav.appendChild(backBtn);
+  const finishBtn = document.createElement('button');
+  finishBtn.className = 'button-primary';
+  finishBtn.textContent = t('Finish');
+  finishBtn.addEventListener('click', () => {
+    if (unanswered.length > 0) {
+      error.textContent = t('Answer or skip every question before you finish: {markers}', { markers: unanswered.join(', ') });
+      return;
+    }
+    reviewing = false;
+    viewingSharedResult = false;
+    // Keep only the follow-up answers that still fit the final answers
+    followUpAnswers = applicableFollowUpAnswers(markers, answers, followUpAnswers, classifyValue);
+    currentGoals = loadGoals();
+    recordCheck();
+    renderResults();
+  });
+  nav.appendChild(finishBtn);
   container.appendChild(nav);
   app.appendChild(container);
+  title.focus();
+}
+
+// Overall baseline for a marker: the region's average (the selected
+// region by default), or the marker's default baseline when the region
+// has no figure for it
+function getOverallBaselineFor(markerId, regionKey = selectedRegion) {
+  return config.regions[regionKey]?.baselines[markerId] ?? markers.find(m => m.id === markerId).baseline;
 }
 
 // Calculate scores and prepare report details
-function computeResults() {
+function computeResults(values = answers) {
+  const { score, results } = scoreValues(markers, values);
   const deductions = [];
-  let score = 100;
+  const credits = [];
   const userValues = [];
   const groupAvgValues = [];
   const overallAvgValues = [];
   const labels = [];
 
-  markers.forEach((marker) => {
-    const value = answers[marker.id] ?? 0;
-    const bands = marker.bands;
-    const penalties = marker.penalties;
-    let penalty = 0;
-    let bandName = 'good';
-    if (!marker.invert) {
-      // Consumption markers: lower is better
-      if (value > bands.high * 1.5) {
-        penalty = penalties.high + 2;
-        bandName = 'very bad';
-      } else if (value > bands.high) {
-        penalty = penalties.high;
-        bandName = 'high';
-      } else if (value > bands.moderate) {
-        penalty = penalties.moderate;
-        bandName = 'moderate';
-      } else if (value > bands.mild) {
-        penalty = penalties.mild;
-        bandName = 'mild';
-      } else if (value <= bands.mild * 0.5) {
-        bandName = 'excellent';
-      }
-    } else {
-      // Beneficial markers: higher is better
-      if (value < bands.high * 0.5) {
-        penalty = penalties.high + 2;
-        bandName = 'very bad';
-      } else if (value < bands.high) {
-        penalty = penalties.high;
-        bandName = 'high';
-      } else if (value < bands.moderate) {
-        penalty = penalties.moderate;
-        bandName = 'moderate';
-      } else if (value < bands.mild) {
-        penalty = penalties.mild;
-        bandName = 'mild';
-      } else if (value >= bands.mild * 1.5) {
-        bandName = 'excellent';
-      }
-    }
+  markers.forEach((marker, idx) => {
+    const { value, band, penalty, bonus } = results[idx];
     if (penalty > 0) {
-      score -= penalty;
       deductions.push({
         id: marker.id,
         label: marker.label,
         value,
         penalty,
-        band: bandName,
+        band,
         citation: marker.citation,
         description: marker.description
       });
     }
+    if (bonus > 0) {
+      credits.push({ id: marker.id, label: marker.label, value, bonus, band, citation: marker.citation });
+    }
     // Chart data
     userValues.push(value);
     // Group baseline (age and gender adjusted)
-    const groupBaseline = getBaselineFor(marker.id);
-    groupAvgValues.push(groupBaseline);
+    groupAvgValues.push(getBaselineFor(marker.id));
     // Overall baseline (default region baseline)
-    const overallBaseline = config.regions[selectedRegion]?.baselines[marker.id] ?? marker.baseline;
-    overallAvgValues.push(overallBaseline);
+    overallAvgValues.push(getOverallBaselineFor(marker.id));
     // shorten label for charts (first word or first segment before space/hyphen)
     const shortLabel = marker.label.split(/\s|\u2011|-/)[0];
     labels.push(shortLabel);
   });
-  if (score < 0) score = 0;
   return {
     score,
+    results,
     deductions,
+    credits,
+    categories: scoreCategories(config.categories || [], markers, results),
     chartData: { labels, userValues, groupAvgValues, overallAvgValues }
   };
 }
 
+// Markers grouped by the config's categories, as { id, label, icon,
+// indexes } with indexes into `markers`.  Markers outside every category
+// are collected under "Other"; without categories there is one group
+// with no label.
+function categoryGroups() {
+  const categories = config.categories || [];
+  const groups = categories.map((category) => ({
+    id: category.id,
+    label: category.label,
+    icon: category.icon,
+    indexes: category.markers.map(id => markers.findIndex(m => m.id === id)).filter(idx => idx !== -1)
+  }));
+  const placed = new Set(groups.flatMap(g => g.indexes));
+  const rest = markers.map((m, idx) => idx).filter(idx => !placed.has(idx));
+  if (rest.length > 0) {
+    groups.push({ id: 'other', label: categories.length > 0 ? t('Other') : null, icon: '', indexes: rest });
+  }
+  return groups;
+}
+
 // Compute the expected score for someone with average behaviour in the selected age and gender group.
+// Questions skipped in the answers are left out of the averages too, so
+// the scores compare like with like.
 function computeGroupScore() {
-  let total = 100;
+  const values = {};
   markers.forEach((marker) => {
-    const value = getBaselineFor(marker.id);
-    const bands = marker.bands;
-    const penalties = marker.penalties;
-    let bandName = 'good';
-    let penalty = 0;
-    if (!marker.invert) {
-      if (value > bands.high * 1.5) {
-        penalty = penalties.high + 2;
-        bandName = 'very bad';
-      } else if (value > bands.high) {
-        penalty = penalties.high;
-        bandName = 'high';
-      } else if (value > bands.moderate) {
-        penalty = penalties.moderate;
-        bandName = 'moderate';
-      } else if (value > bands.mild) {
-        penalty = penalties.mild;
-        bandName = 'mild';
-      }
-    } else {
-      if (value < bands.high * 0.5) {
-        penalty = penalties.high + 2;
-        bandName = 'very bad';
-      } else if (value < bands.high) {
-        penalty = penalties.high;
-        bandName = 'high';
-      } else if (value < bands.moderate) {
-        penalty = penalties.moderate;
-        bandName = 'moderate';
-      } else if (value < bands.mild) {
-        penalty = penalties.mild;
-        bandName = 'mild';
-      }
-    }
-    total -= penalty;
+    values[marker.id] = answers[marker.id] === null ? null : getBaselineFor(marker.id);
   });
-  return total < 0 ? 0 : Math.round(total);
+  return Math.round(scoreValues(markers, values).score);
 }
 
-// Compute score for overall baseline (general UK average) regardless of age or gender
+// Compute score for the selected region's overall baseline regardless of age or gender
 function computeOverallScore() {
-  let total = 100;
+  const values = {};
   markers.forEach((marker) => {
-    const overallBaseline = config.regions[selectedRegion]?.baselines[marker.id] ?? marker.baseline;
-    const bands = marker.bands;
-    const penalties = marker.penalties;
-    let penalty = 0;
-    if (!marker.invert) {
-      if (overallBaseline > bands.high * 1.5) {
-        penalty = penalties.high + 2;
-      } else if (overallBaseline > bands.high) {
-        penalty = penalties.high;
-      } else if (overallBaseline > bands.moderate) {
-        penalty = penalties.moderate;
-      } else if (overallBaseline > bands.mild) {
-        penalty = penalties.mild;
-      }
+    values[marker.id] = answers[marker.id] === null ? null : getOverallBaselineFor(marker.id);
+  });
+  return Math.round(scoreValues(markers, values).score);
+}
+
+// Link to the current result.  Answers and demographics travel in the
+// URL fragment, which browsers never send to a server.
+function buildShareUrl() {
+  const fragment = encodeShareFragment({
+    answers,
+    region: selectedRegion,
+    ageRange: selectedAgeRange,
+    gender: selectedGender
+  });
+  return `${location.href.split('#')[0]}#${fragment}`;
+}
+
+// Show the result encoded in the page's URL fragment, if there is one.
+// Returns true when a shared result was opened.
+function openSharedResult() {
+  const shared = decodeShareFragment(location.hash, config);
+  if (!shared) return false;
+  answers = shared.answers;
+  followUpAnswers = {};
+  if (shared.region) selectedRegion = shared.region;
+  if (shared.ageRange) selectedAgeRange = shared.ageRange;
+  if (shared.gender) selectedGender = shared.gender;
+  viewingSharedResult = true;
+  currentCheckTime = null;
+  currentGoals = {};
+  renderResults();
+  return true;
+}
+
+// Leave a shared result, dropping the fragment so a reload starts fresh
+function leaveSharedResult() {
+  if (!viewingSharedResult) return;
+  viewingSharedResult = false;
+  history.replaceState(null, '', location.href.split('#')[0]);
+}
+
+// Save the completed check to the local history store.  Storage can be
+// unavailable (private browsing, full quota), which must not stop the
+// results from showing.
+function recordCheck() {
+  currentCheckTime = new Date().toISOString();
+  try {
+    const { score, groupScore, overallScore } = describeCheck({
+      checkedAt: currentCheckTime,
+      region: selectedRegion,
+      ageRange: selectedAgeRange,
+      gender: selectedGender,
+      answers
+    });
+    addHistoryEntry({
+      timestamp: currentCheckTime,
+      ageRange: selectedAgeRange,
+      gender: selectedGender,
+      region: selectedRegion,
+      answers,
+      followUps: followUpAnswers,
+      goals: currentGoals,
+      score,
+      groupScore,
+      overallScore
+    });
+  } catch (err) {
+    console.error('Could not save check to history', err);
+  }
+}
+
+// Full description of a check for exports: metadata, the three scores
+// and per-marker value, band, penalty and averages.  Works from the
+// check's own demographics rather than the current selections so whole
+// histories can be exported.  Skipped questions are left out of all
+// three scores.
+function describeCheck({ checkedAt, region, ageRange, gender, answers: values }) {
+  const groupValues = {};
+  const overallValues = {};
+  markers.forEach((m) => {
+    groupValues[m.id] = values[m.id] === null ? null : getBaselineFor(m.id, region, ageRange, gender);
+    overallValues[m.id] = values[m.id] === null ? null : getOverallBaselineFor(m.id, region);
+  });
+  const { score, results } = scoreValues(markers, values);
+  return {
+    checkedAt,
+    region,
+    ageRange,
+    gender,
+    score,
+    groupScore: Math.round(scoreValues(markers, groupValues).score),
+    overallScore: Math.round(scoreValues(markers, overallValues).score),
+    markers: markers.map((m, idx) => ({
+      id: m.id,
+      label: m.label,
+      unit: m.unit,
+      value: results[idx].value,
+      band: results[idx].band,
+      penalty: results[idx].penalty,
+      groupAverage: groupValues[m.id],
+      overallAverage: overallValues[m.id]
+    }))
+  };
+}
+
+// Offer text as a file download
+function downloadFile(filename, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Consent step before a result leaves the app as a file or a link:
+// says what the export holds and asks for an explicit yes each time.
+// The team export has its own form (see renderTeamExportForm).
+function confirmExport(contents) {
+  return confirm(`${contents}\n\n${t('Anyone who gets it can read your answers about sensitive habits. Do you agree to export it?')}`);
+}
+
+// Download checks as JSON or CSV
+function exportChecks(checks, format, basename) {
+  if (format === 'csv') {
+    downloadFile(`${basename}.csv`, checksToCsv(checks), 'text/csv');
+  } else {
+    downloadFile(`${basename}.json`, checksToJson(checks), 'application/json');
+  }
+}
+
+// Describe every stored check for a history export
+function describeHistory() {
+  return loadHistory().map((entry) => describeCheck({
+    checkedAt: entry.timestamp,
+    region: entry.region,
+    ageRange: entry.ageRange,
+    gender: entry.gender,
+    answers: entry.answers
+  }));
+}
+
+// Import a JSON or CSV export.  Checks are added to the history
+// (skipping ones already there); a single check is then shown as a
+// result, several as the history screen.
+function importChecksFile() {
+  chooseFile('.json,.csv,application/json,text/csv', async (file) => {
+    let checks;
+    try {
+      checks = parseChecksFile(await file.text(), config);
+    } catch (err) {
+      alert(t('Could not import {file}: {error}', { file: file.name, error: err.message }));
+      return;
+    }
+    // Fall back to the current selections for anything this config lacks
+    checks.forEach((check) => {
+      if (!config.regions[check.region]) check.region = selectedRegion;
+      if (!config.demographics.ageRanges.includes(check.ageRange)) check.ageRange = selectedAgeRange;
+      if (!config.demographics.genders.some(g => g.id === check.gender)) check.gender = selectedGender;
+    });
+    const known = new Set(loadHistory().map(e => e.timestamp));
+    try {
+      checks.filter(check => !known.has(check.checkedAt)).forEach((check) => {
+        const { score, groupScore, overallScore } = describeCheck(check);
+        addHistoryEntry({ ...check, timestamp: check.checkedAt, score, groupScore, overallScore });
+      });
+    } catch (err) {
+      console.error('Could not save imported checks to history', err);
+    }
+    if (checks.length === 1) {
+      const [check] = checks;
+      leaveSharedResult();
+      answers = { ...check.answers };
+      followUpAnswers = {};
+      selectedRegion = check.region;
+      selectedAgeRange = check.ageRange;
+      selectedGender = check.gender;
+      currentCheckTime = check.checkedAt;
+      currentGoals = {};
+      renderResults();
     } else {
-      if (overallBaseline < bands.high * 0.5) {
-        penalty = penalties.high + 2;
-      } else if (overallBaseline < bands.high) {
-        penalty = penalties.high;
-      } else if (overallBaseline < bands.moderate) {
-        penalty = penalties.moderate;
-      } else if (overallBaseline < bands.mild) {
-        penalty = penalties.mild;
+      renderHistory();
+    }
+  });
+}
+
+// Warning note for a marker's band: the mild note for the mild band,
+// the high note for moderate and worse, nothing otherwise
+function noteFor(marker, band) {
+  if (band === 'mild') return marker.notes?.mild || '';
+  if (band === 'moderate' || band === 'high' || band === 'very bad') return marker.notes?.high || '';
+  return '';
+}
+
+// Notes the follow-up answers add to a marker's breakdown, as
+// { text, citation } where the citation may be missing
+function followUpNotes(marker) {
+  return followUpFindings(markers, answers, followUpAnswers, classifyValue)
+    .filter(finding => finding.marker.id === marker.id && finding.choice.note)
+    .map(({ choice }) => ({ text: choice.note, citation: choice.citation }));
+}
+
+// Recommendations from the follow-up answers, listed after the top
+// actions, as { text, citation } where the citation may be missing
+function followUpRecommendations() {
+  return followUpFindings(markers, answers, followUpAnswers, classifyValue)
+    .filter(finding => finding.choice.recommendation)
+    .map(({ choice }) => ({ text: choice.recommendation, citation: choice.citation }));
+}
+
+// Footnote marker for a citation id, linking to its entry in the
+// sources list.  An id missing from config.citations is flagged in red
+// instead of linked.
+function citationLink(id) {
+  if (!config.citations.some(c => c.id === id)) {
+    return `<span class="text-red-600 ml-1" title="${t('Source {id} is missing from the sources list', { id })}">[${id}?]</span>`;
+  }
+  return `<a href="#source-${id}" class="citation-link text-blue-600 hover:underline ml-1" data-citation="${id}" aria-label="${t('Source {id}', { id })}">[${id}]</a>`;
+}
+
+// The three deductions worth the most points, phrased as actions.
+// Markers with a personal goal aim for the goal instead of the mild
+// band, and the gain is what reaching the goal would actually earn.
+// Action text offers the marker label both as is ({label}) and in
+// lower case ({marker}) so each language can pick what reads right.
+function topActions(deductions, goals = currentGoals) {
+  // Sort deductions by penalty descending
+  const sorted = [...deductions].sort((a, b) => b.penalty - a.penalty);
+  return sorted.slice(0, 3).map((d) => {
+    const marker = markers.find(m => m.id === d.id);
+    const goal = goals[marker.id];
+    const params = { label: marker.label, marker: marker.label.toLowerCase(), unit: unitFor(marker) };
+    let text;
+    let gain = d.penalty;
+    if (goal) {
+      params.value = formatValue(marker, goal.target);
+      text = marker.invert ? t('Increase {marker} to your goal of {value} {unit}', params) : t('Reduce {marker} to your goal of {value} {unit}', params);
+      gain = Math.round((d.penalty - scoreMarker(marker, goal.target).penalty) * 10) / 10;
+    } else {
+      params.value = formatValue(marker, marker.bands.mild);
+      text = marker.invert ? t('Increase {marker} to at least {value} {unit}', params) : t('Reduce {marker} to below {value} {unit}', params);
+    }
+    return { id: d.id, text, gain, citation: marker.citation };
+  });
+}
+
+// Goal status for a marker value: { met, text }, or null when no goal
+// was set or the question was skipped
+function goalStatus(marker, value, goals = currentGoals) {
+  const goal = goals[marker.id];
+  if (!goal || value == null) return null;
+  return {
+    met: isGoalMet(marker, goal.target, value),
+    text: describeGoal(marker, formatValue(marker, goal.target), unitFor(marker))
+  };
+}
+
+// Table cell content for a goal status
+function goalCell(status) {
+  if (!status) return '—';
+  return status.met ? `🎯 ${t('Met ({goal})', { goal: status.text })}` : t('Missed ({goal})', { goal: status.text });
+}
+
+// Signed points for display, e.g. "-2", "+1" or "0"
+function formatPoints(points, sign) {
+  return points > 0 ? `${sign}${formatNumber(points)}` : '0';
+}
+
+// Penalty range across markers for one band, e.g. "-2" or "-1 to -3"
+function penaltyRange(markerList, band) {
+  const values = markerList.map(m => penaltyForBand(m, band));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return min === max ? `-${min}` : t('-{min} to -{max}', { min, max });
+}
+
+// "How scoring works", written from the scoring model each marker in
+// the active config uses
+function scoringExplanationHtml() {
+  const stepMarkers = markers.filter(m => (m.scoring || 'step') === 'step');
+  const gradedMarkers = markers.filter(m => m.scoring === 'graded');
+  let html = `<p>${t('The score starts at 100 points. For each marker, points are subtracted when your value falls outside the recommended band.')}</p>`;
+  if (stepMarkers.length > 0) {
+    const which = gradedMarkers.length > 0 ? ` (${stepMarkers.map(m => m.label).join(', ')})` : '';
+    html += `<p class="mt-2"><strong>${t('Step scoring')}${which}:</strong> ${t('each band deducts a fixed number of points.')}</p>
+    <p><strong>${t('Mild')}:</strong> ${t('{points} points. Your habit is slightly off the recommended range.', { points: penaltyRange(stepMarkers, 'mild') })}</p>
+    <p><strong>${t('Moderate')}:</strong> ${t('{points} points. Your habit is moderately unhealthy or insufficient.', { points: penaltyRange(stepMarkers, 'moderate') })}</p>
+    <p><strong>${t('High')}:</strong> ${t('{points} points. Your habit is well outside the healthy range.', { points: penaltyRange(stepMarkers, 'high') })}</p>
+    <p><strong>${t('Very bad')}:</strong> ${t('{points} points. Your habit is far beyond harmful thresholds and merits urgent attention.', { points: penaltyRange(stepMarkers, 'very bad') })}</p>`;
+  }
+  if (gradedMarkers.length > 0) {
+    html += `<p class="mt-2"><strong>${t('Graded scoring')}:</strong> ${t('nothing is deducted up to the start of the mild band. From there the penalty grows in a straight line between the band edges, so a value just past an edge costs only a fraction of a point.')}</p>`;
+    gradedMarkers.forEach((m) => {
+      const points = gradedCurve(m).map(([value, penalty]) => t('{points} at {value}', { points: formatPoints(penalty, '-'), value: formatValue(m, value) }));
+      html += `<p>${m.label}: ${points.join(', ')} ${unitFor(m)}</p>`;
+    });
+  }
+  const bonusMarkers = markers.filter(m => m.bonus > 0);
+  if (bonusMarkers.length > 0) {
+    const bonuses = bonusMarkers.map(m => `${m.label} +${formatNumber(m.bonus)}`).join(', ');
+    html += `<p class="mt-2"><strong>${t('Excellent')}:</strong> ${t('0 points deducted, and some markers earn a bonus: {bonuses}. Bonuses can win back lost points but the score never goes above 100.', { bonuses })}</p>`;
+  } else {
+    html += `<p class="mt-2"><strong>${t('Excellent')}:</strong> ${t('0 points deducted. Your habit is notably better than the guideline.')}</p>`;
+  }
+  return html;
+}
+
+// Side by side comparison of the step and graded models for the
+// answers on screen
+function scoringComparisonHtml() {
+  const step = scoreValues(markers, answers, 'step');
+  const graded = scoreValues(markers, answers, 'graded');
+  const rows = markers.map((m, idx) => {
+    const active = m.scoring || 'step';
+    const cell = (model, result) => `<td class="py-1 pr-2${active === model ? ' font-semibold' : ''}">${formatPoints(result.penalty, '-')}</td>`;
+    return `<tr class="border-b border-gray-100">
+      <td class="py-1 pr-2">${m.label}</td>
+      <td class="py-1 pr-2">${formatValue(m, step.results[idx].value)}</td>
+      ${cell('step', step.results[idx])}
+      ${cell('graded', graded.results[idx])}
+    </tr>`;
+  }).join('');
+  return `<h4 class="font-semibold mt-4">${t('Step and graded scoring for your answers')}</h4>
+    <p class="text-xs text-gray-500">${t('Bold penalties are from the model each marker uses.')}</p>
+    <div class="overflow-x-auto"><table class="min-w-full text-sm mt-2 border-collapse">
+      <thead><tr class="border-b border-gray-200">
+        <th class="text-left py-1 pr-2">${t('Marker')}</th>
+        <th class="text-left py-1 pr-2">${t('You')}</th>
+        <th class="text-left py-1 pr-2">${t('Step')}</th>
+        <th class="text-left py-1 pr-2">${t('Graded')}</th>
+      </tr></thead>
+      <tbody>${rows}
+        <tr class="font-semibold">
+          <td class="py-1 pr-2">${t('Score')}</td>
+          <td class="py-1 pr-2"></td>
+          <td class="py-1 pr-2">${step.score.toFixed(0)}/100</td>
+          <td class="py-1 pr-2">${graded.score.toFixed(0)}/100</td>
+        </tr>
+      </tbody>
+    </table></div>`;
+}
+
+// One deduction as text, e.g. "Alcohol units per week: mild penalty
+// (18 units/week) -2"
+function describeDeduction(d) {
+  const marker = markers.find(m => m.id === d.id);
+  return t('{label}: {band} penalty ({value} {unit}) -{penalty}', {
+    label: d.label,
+    band: t(d.band),
+    value: formatValue(marker, d.value),
+    unit: unitFor(marker),
+    penalty: formatNumber(d.penalty)
+  });
+}
+
+// One bonus as text, e.g. "Sleep hours per night: excellent bonus
+// (9 hours/night) +2"
+function describeCredit(c) {
+  const marker = markers.find(m => m.id === c.id);
+  return t('{label}: excellent bonus ({value} {unit}) +{bonus}', {
+    label: c.label,
+    value: formatValue(marker, c.value),
+    unit: unitFor(marker),
+    bonus: formatNumber(c.bonus)
+  });
+}
+
+// Hidden what-if simulator: a slider per marker, starting at the
+// answer, that recomputes the score, bands, deductions and mini charts
+// live.  The simulated values are kept in a copy, so the stored answers
+// and history are never touched.  Among the sliders that were moved,
+// the one whose change alone gains the most points is highlighted.
+// Closing the panel resets the sliders, which puts the mini charts back
+// to the real answers.  A skipped question stays out of the score until
+// its slider is moved.
+function renderWhatIf(actualScore, toggleBtn) {
+  const section = document.createElement('div');
+  section.id = 'whatif-section';
+  section.className = 'hidden mt-4 text-sm text-gray-700 space-y-3';
+  const intro = document.createElement('p');
+  intro.textContent = t('Move a slider to see how your score would change. Your saved answers stay as they are.');
+  section.appendChild(intro);
+  const summary = document.createElement('p');
+  summary.className = 'text-lg font-semibold text-gray-800';
+  section.appendChild(summary);
+  const bestP = document.createElement('p');
+  bestP.className = 'text-sm font-semibold text-green-700';
+  section.appendChild(bestP);
+  // The answer a slider starts from: null for a skipped question
+  const startValue = m => (answers[m.id] === null ? null : answers[m.id] ?? 0);
+  const simulated = {};
+  markers.forEach((m) => {
+    simulated[m.id] = startValue(m);
+  });
+  // Sliders run in the unit shown for the region, in the daily log's
+  // steps, from zero to well past the marker's worst band
+  const sliderStep = m => m.log?.step ?? 1;
+  const sliderMax = m => Math.ceil(toShown(m, Math.max(startValue(m) ?? 0, (m.invert ? m.bands.mild : m.bands.high) * 2)));
+  const rows = {};
+  const grid = document.createElement('div');
+  grid.className = 'grid grid-cols-1 sm:grid-cols-2 gap-3';
+  markers.forEach((m) => {
+    const row = document.createElement('label');
+    row.className = 'block p-2 rounded-md border border-gray-200';
+    const caption = document.createElement('span');
+    caption.className = 'block text-xs text-gray-700';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = 0;
+    slider.max = sliderMax(m);
+    slider.step = sliderStep(m);
+    slider.value = toShown(m, simulated[m.id]) ?? 0;
+    slider.className = 'w-full mt-1';
+    slider.setAttribute('aria-label', `${m.label} (${unitFor(m)})`);
+    slider.addEventListener('input', () => {
+      simulated[m.id] = fromShown(m, parseFloat(slider.value));
+      update();
+    });
+    row.appendChild(caption);
+    row.appendChild(slider);
+    grid.appendChild(row);
+    rows[m.id] = { row, caption, slider };
+  });
+  section.appendChild(grid);
+  const deductionsList = document.createElement('ul');
+  deductionsList.className = 'space-y-1';
+  section.appendChild(deductionsList);
+  const resetBtn = document.createElement('button');
+  resetBtn.className = 'button-secondary text-sm';
+  resetBtn.textContent = t('Reset sliders');
+  resetBtn.addEventListener('click', reset);
+  section.appendChild(resetBtn);
+  toggleBtn.addEventListener('click', () => {
+    section.classList.toggle('hidden');
+    if (section.classList.contains('hidden')) reset();
+  });
+
+  function reset() {
+    markers.forEach((m) => {
+      simulated[m.id] = startValue(m);
+      rows[m.id].slider.value = toShown(m, simulated[m.id]) ?? 0;
+    });
+    update();
+  }
+
+  function update() {
+    const { score, results, deductions, credits, chartData } = computeResults(simulated);
+    const diff = Math.round(score - actualScore);
+    summary.textContent = t('What-if score: {score}/100 ({change})', { score: score.toFixed(0), change: `${diff >= 0 ? '+' : ''}${diff}` });
+    markers.forEach((m, idx) => {
+      const { value, band, icon, skipped } = results[idx];
+      const shown = skipped ? formatValue(m, value) : `${formatValue(m, value)} ${unitFor(m)} · ${icon} ${t(band)}`;
+      rows[m.id].caption.textContent = `${m.icon || ''} ${m.label}: ${shown}`;
+    });
+    deductionsList.innerHTML = '';
+    deductions.forEach((d) => {
+      const li = document.createElement('li');
+      li.className = 'text-xs text-gray-700';
+      li.textContent = `• ${describeDeduction(d)}`;
+      deductionsList.appendChild(li);
+    });
+    credits.forEach((c) => {
+      const li = document.createElement('li');
+      li.className = 'text-xs text-green-700';
+      li.textContent = `• ${describeCredit(c)}`;
+      deductionsList.appendChild(li);
+    });
+    updateMiniCharts(chartData);
+  }
+
+  // The single change to one answered question, at any slider stop,
+  // that gains the most against the real answers; of equal gains the
+  // one closest to the real answer
+  function bestSingleChange() {
+    let best = null;
+    markers.forEach((m) => {
+      if (answers[m.id] == null) return;
+      const shownAnswer = toShown(m, answers[m.id]);
+      for (let stop = 0; stop * sliderStep(m) <= sliderMax(m); stop++) {
+        const shownValue = Math.round(stop * sliderStep(m) * 100) / 100;
+        const value = fromShown(m, shownValue);
+        const gain = Math.round((computeResults({ ...answers, [m.id]: value }).score - actualScore) * 10) / 10;
+        const distance = Math.abs(shownValue - shownAnswer);
+        if (gain > 0 && (!best || gain > best.gain || (gain === best.gain && distance < best.distance))) {
+          best = { marker: m, value, gain, distance };
+        }
       }
+    });
+    return best;
+  }
+
+  update();
+  const best = bestSingleChange();
+  if (best) {
+    rows[best.marker.id].row.classList.add('border-green-500', 'bg-green-50');
+    bestP.textContent = t('Biggest single gain: {marker} to {value} {unit} (+{gain} points)', {
+      label: best.marker.label,
+      marker: best.marker.label.toLowerCase(),
+      value: formatValue(best.marker, best.value),
+      unit: unitFor(best.marker),
+      gain: formatNumber(best.gain)
+    });
+  }
+  return section;
+}
+
+// Hidden form for setting a personal goal per marker.  An empty field
+// clears that marker's goal.
+function renderGoalsForm() {
+  const section = document.createElement('div');
+  section.id = 'goals-section';
+  section.className = 'hidden mt-4 text-sm text-gray-700 space-y-2';
+  const intro = document.createElement('p');
+  intro.textContent = t('Set your own target per marker. Goals are saved in this browser and your next check reports whether you met them.');
+  section.appendChild(intro);
+  const stored = loadGoals();
+  const inputs = {};
+  const grid = document.createElement('div');
+  grid.className = 'grid grid-cols-1 sm:grid-cols-2 gap-2';
+  markers.forEach((m) => {
+    const label = document.createElement('label');
+    label.className = 'block text-xs text-gray-700';
+    const direction = m.invert ? t('at least') : t('at most');
+    label.textContent = `${m.icon || ''} ${m.label} (${direction}, ${unitFor(m)})`;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.step = 0.1;
+    input.placeholder = t('Recommended: {value} {unit}', { value: formatValue(m, m.bands.mild), unit: unitFor(m) });
+    input.className = 'mt-1 w-full px-2 py-1 bg-gray-50 border border-gray-300 rounded-md text-sm';
+    if (stored[m.id]) input.value = toShown(m, stored[m.id].target);
+    label.appendChild(input);
+    grid.appendChild(label);
+    inputs[m.id] = input;
+  });
+  section.appendChild(grid);
+  const error = document.createElement('p');
+  error.className = 'text-xs text-red-600';
+  section.appendChild(error);
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'button-primary text-sm';
+  saveBtn.textContent = t('Save goals');
+  saveBtn.addEventListener('click', () => {
+    const invalid = markers.filter((m) => {
+      const raw = inputs[m.id].value.trim();
+      return raw !== '' && !(parseFloat(raw) >= 0);
+    });
+    if (invalid.length > 0) {
+      error.textContent = t('Goals must be zero or more: {markers}', { markers: invalid.map(m => m.label).join(', ') });
+      return;
     }
-    total -= penalty;
+    try {
+      markers.forEach((m) => {
+        const raw = inputs[m.id].value.trim();
+        setGoal(m.id, raw === '' ? null : fromShown(m, parseFloat(raw)));
+      });
+    } catch (err) {
+      error.textContent = t('Could not save goals in this browser.');
+      return;
+    }
+    currentGoals = loadGoals();
+    renderResults();
   });
-  return total < 0 ? 0 : Math.round(total);
+  section.appendChild(saveBtn);
+  return section;
 }
 
 // Determine colour for headline score
@@ -664,13 +2074,35 @@ function scoreColor(score) {
 
 // Render results screen
 function renderResults() {
-  const { score, deductions, chartData } = computeResults();
+  const { score, results, deductions, credits, categories, chartData } = computeResults();
   app.innerHTML = '';
   const container = document.createElement('div');
   container.id = 'results-container';
   // Apply card styling and fade-in animation for a smoother reveal
   container.className = 'ledger card p-6 md:p-8 space-y-6 fade-in';
 
+  // Shared results are read-only: explain where they came from and
+  // offer to take the check instead
+  if (viewingSharedResult) {
+    const banner = document.createElement('div');
+    banner.className = 'flex flex-wrap items-center justify-between gap-2 p-3 rounded-md bg-blue-50 text-sm text-gray-700';
+    const bannerText = document.createElement('span');
+    bannerText.textContent = t('You are viewing a shared result. It is not saved to your history.');
+    const retakeBtn = document.createElement('button');
+    retakeBtn.className = 'button-primary text-sm';
+    retakeBtn.textContent = t('Take the check yourself');
+    retakeBtn.addEventListener('click', () => {
+      leaveSharedResult();
+      renderLaunch();
+    });
+    banner.appendChild(bannerText);
+    banner.appendChild(retakeBtn);
+    container.appendChild(banner);
+  } else {
+    const saveNotice = renderSaveNotice();
+    if (saveNotice) container.appendChild(saveNotice);
+  }
+
   // Headline score with colored circle
   const colorName = scoreColor(score);
   let bgColor = 'bg-green-500';
@@ -682,14 +2114,44 @@ function renderResults() {
   container.appendChild(scoreCircle);
   const scoreLabel = document.createElement('p');
   scoreLabel.className = 'text-center text-sm text-gray-700 mt-2';
-  scoreLabel.textContent = 'Overall habit score';
+  scoreLabel.textContent = t('Overall habit score');
   container.appendChild(scoreLabel);
 
+  // Category sub-scores as a row of smaller rating circles
+  if (categories.length > 0) {
+    const categoryRow = document.createElement('div');
+    categoryRow.className = 'flex flex-wrap justify-center gap-4 mt-2';
+    categories.forEach((category) => {
+      const color = scoreColor(category.score);
+      let categoryBg = 'bg-green-500';
+      if (color === 'amber') categoryBg = 'bg-yellow-500';
+      if (color === 'red') categoryBg = 'bg-red-500';
+      const wrapper = document.createElement('div');
+      wrapper.className = 'flex flex-col items-center w-20';
+      const circle = document.createElement('div');
+      circle.className = `rating-circle flex items-center justify-center w-14 h-14 rounded-full text-white text-base font-bold ${categoryBg}`;
+      circle.textContent = `${category.score}`;
+      const lbl = document.createElement('span');
+      lbl.className = 'mt-1 text-xs text-gray-600 text-center';
+      lbl.textContent = `${category.icon || ''} ${category.label}`;
+      wrapper.appendChild(circle);
+      wrapper.appendChild(lbl);
+      categoryRow.appendChild(wrapper);
+    });
+    container.appendChild(categoryRow);
+  }
+
   // Show average group score
   const avgScoreValue = computeGroupScore();
   const groupP = document.createElement('p');
   groupP.className = 'text-center text-sm text-gray-500';
-  groupP.textContent = `Average ${selectedGender} aged ${selectedAgeRange} would score about ${avgScoreValue}/100`;
+  const genderLabel = config.demographics.genders.find(g => g.id === selectedGender)?.label || selectedGender;
+  groupP.textContent = t('Average {gender} aged {age} in {region} would score about {score}/100', {
+    gender: genderLabel.toLowerCase(),
+    age: selectedAgeRange,
+    region: config.regions[selectedRegion].label,
+    score: avgScoreValue
+  });
   container.appendChild(groupP);
 
   // Overall average score circle and group average score circle
@@ -709,8 +2171,8 @@ function renderResults() {
     wrapper.appendChild(lbl);
     return wrapper;
   }
-  circlesWrapper.appendChild(createSmallCircle(avgScoreValue, 'Group avg'));
-  circlesWrapper.appendChild(createSmallCircle(overallScoreValue, 'Overall avg'));
+  circlesWrapper.appendChild(createSmallCircle(avgScoreValue, t('Group avg')));
+  circlesWrapper.appendChild(createSmallCircle(overallScoreValue, t('Overall avg')));
   container.appendChild(circlesWrapper);
 
   // Trigger confetti for high scores
@@ -720,29 +2182,53 @@ function renderResults() {
     }, 300);
   }
 
-  // Deduction breakdown
-  if (deductions.length > 0) {
+  // Deduction breakdown, followed by any bonuses earned
+  if (deductions.length > 0 || credits.length > 0) {
     const list = document.createElement('ul');
     list.className = 'space-y-2';
     deductions.forEach((d) => {
       const li = document.createElement('li');
       li.className = 'text-sm text-gray-700 flex items-start';
-      const citation = `[${d.citation}]`;
-      li.innerHTML = `<span class="font-medium mr-1">•</span>${d.label}: ${d.band} penalty (${d.value} ${markers.find(m => m.id === d.id).unit}) -${d.penalty} <span class="text-blue-600 ml-1">${citation}</span>`;
+      li.innerHTML = `<span class="font-medium mr-1">•</span><span>${describeDeduction(d)}${citationLink(d.citation)}</span>`;
+      list.appendChild(li);
+    });
+    credits.forEach((c) => {
+      const li = document.createElement('li');
+      li.className = 'text-sm text-green-700 flex items-start';
+      li.innerHTML = `<span class="font-medium mr-1">•</span><span>${describeCredit(c)}${citationLink(c.citation)}</span>`;
       list.appendChild(li);
     });
     container.appendChild(list);
-  } else {
+  }
+  if (deductions.length === 0) {
     const p = document.createElement('p');
     p.className = 'text-sm text-gray-700';
-    p.textContent = 'Great work! You incurred no penalties this week.';
+    p.textContent = t('Great work! You incurred no penalties this week.');
     container.appendChild(p);
   }
 
+  // Questions answered with "Prefer not to say"
+  const skipped = markers.filter((m, idx) => results[idx].skipped);
+  if (skipped.length > 0) {
+    const skippedP = document.createElement('p');
+    skippedP.className = 'text-sm text-gray-500 italic';
+    skippedP.textContent = t('Skipped and left out of the score: {markers}', { markers: skipped.map(m => m.label).join(', ') });
+    container.appendChild(skippedP);
+  }
+
+  // Goal summary, when any goals were set for this check
+  const goalStatuses = results.map((r, idx) => goalStatus(markers[idx], r.value)).filter(Boolean);
+  if (goalStatuses.length > 0) {
+    const goalsP = document.createElement('p');
+    goalsP.className = 'text-sm font-semibold text-green-700';
+    goalsP.textContent = `🎯 ${t('Goals met: {met} of {total}', { met: goalStatuses.filter(g => g.met).length, total: goalStatuses.length })}`;
+    container.appendChild(goalsP);
+  }
+
   // Remove large chart and instead prepare container for mini charts
   const vizHeader = document.createElement('h3');
   vizHeader.className = 'text-xl font-mono font-semibold mt-6';
-  vizHeader.textContent = 'Visualisations';
+  vizHeader.textContent = t('Visualisations');
   container.appendChild(vizHeader);
   const miniContainer = document.createElement('div');
   miniContainer.id = 'miniChartsContainer';
@@ -752,7 +2238,7 @@ function renderResults() {
   // Detailed breakdown section
   const detailsHeader = document.createElement('h3');
   detailsHeader.className = 'text-xl font-mono font-semibold mt-6';
-  detailsHeader.textContent = 'Detailed breakdown';
+  detailsHeader.textContent = t('Detailed breakdown');
   container.appendChild(detailsHeader);
   const tableWrapper = document.createElement('div');
   tableWrapper.className = 'overflow-x-auto';
@@ -760,83 +2246,77 @@ function renderResults() {
   table.className = 'min-w-full text-sm mt-2 border-collapse';
   const thead = document.createElement('thead');
   thead.innerHTML = `<tr class="border-b border-gray-200">
-      <th class="text-left py-1 pr-2">Marker</th>
-      <th class="text-left py-1 pr-2">You</th>
-      <th class="text-left py-1 pr-2">Average</th>
-      <th class="text-left py-1 pr-2">Band</th>
-      <th class="text-left py-1 pr-2">Penalty</th>
-      <th class="text-left py-1 pr-2">Status</th>
+      <th class="text-left py-1 pr-2">${t('Marker')}</th>
+      <th class="text-left py-1 pr-2">${t('You')}</th>
+      <th class="text-left py-1 pr-2">${t('Average')}</th>
+      <th class="text-left py-1 pr-2">${t('Band')}</th>
+      <th class="text-left py-1 pr-2">${t('Penalty')}</th>
+      <th class="text-left py-1 pr-2">${t('Status')}</th>
+      <th class="text-left py-1 pr-2">${t('Goal')}</th>
     </tr>`;
   table.appendChild(thead);
   const tbody = document.createElement('tbody');
-  markers.forEach((m) => {
-    const val = answers[m.id] ?? 0;
-    const avg = config.regions[selectedRegion]?.baselines[m.id] ?? m.baseline;
-    let bandName = 'good';
-    let pen = 0;
-    if (!m.invert) {
-      if (val > m.bands.high) { bandName = 'high'; pen = m.penalties.high; }
-      else if (val > m.bands.moderate) { bandName = 'moderate'; pen = m.penalties.moderate; }
-      else if (val > m.bands.mild) { bandName = 'mild'; pen = m.penalties.mild; }
-    } else {
-      if (val < m.bands.high) { bandName = 'high'; pen = m.penalties.high; }
-      else if (val < m.bands.moderate) { bandName = 'moderate'; pen = m.penalties.moderate; }
-      else if (val < m.bands.mild) { bandName = 'mild'; pen = m.penalties.mild; }
+  categoryGroups().forEach((group) => {
+    if (group.label) {
+      const sub = categories.find(c => c.id === group.id);
+      const groupTr = document.createElement('tr');
+      groupTr.className = 'border-b border-gray-200';
+      groupTr.innerHTML = `<td class="pt-3 pb-1 pr-2 font-semibold" colspan="7">${group.icon || ''} ${group.label}${sub ? ` · ${sub.score}/100` : ''}</td>`;
+      tbody.appendChild(groupTr);
     }
+    group.indexes.forEach((idx) => appendBreakdownRows(markers[idx], results[idx]));
+  });
+  function appendBreakdownRows(m, result) {
+    const { value: val, band: bandName, penalty: pen, bonus, icon } = result;
+    const avg = getOverallBaselineFor(m.id);
     const tr = document.createElement('tr');
     tr.className = 'border-b border-gray-100';
-    // Determine icon based on band
-    let icon = '';
-    if (bandName === 'excellent') icon = '🌟';
-    else if (bandName === 'good') icon = '✅';
-    else if (bandName === 'mild' || bandName === 'moderate') icon = '⚠️';
-    else if (bandName === 'high') icon = '❌';
-    else if (bandName === 'very bad') icon = '💀';
     tr.innerHTML = `<td class="py-1 pr-2">${m.label}</td>
-      <td class="py-1 pr-2">${val}</td>
-      <td class="py-1 pr-2">${avg}</td>
-      <td class="py-1 pr-2 capitalize">${bandName}</td>
-      <td class="py-1 pr-2">${pen > 0 ? '-' + pen : '0'}</td>
-      <td class="py-1 pr-2 text-lg">${icon}</td>`;
+      <td class="py-1 pr-2">${formatValue(m, val)}</td>
+      <td class="py-1 pr-2">${formatValue(m, avg)}</td>
+      <td class="py-1 pr-2 capitalize">${bandName ? t(bandName) : '—'}</td>
+      <td class="py-1 pr-2">${pen > 0 ? formatPoints(pen, '-') : (bonus > 0 ? formatPoints(bonus, '+') : '0')}</td>
+      <td class="py-1 pr-2 text-lg">${icon}</td>
+      <td class="py-1 pr-2 text-xs">${goalCell(goalStatus(m, val))}</td>`;
     tbody.appendChild(tr);
     // Add note row if there is a warning note
-    let noteText = '';
-    if (bandName === 'mild' && notes[m.id] && notes[m.id].mild) {
-      noteText = notes[m.id].mild;
-    } else if ((bandName === 'moderate' || bandName === 'high') && notes[m.id] && notes[m.id].high) {
-      noteText = notes[m.id].high;
-    }
+    const noteText = noteFor(m, bandName);
     if (noteText) {
       const noteTr = document.createElement('tr');
       noteTr.className = 'border-b border-gray-100';
-      noteTr.innerHTML = `<td class="py-1 pr-2 text-xs italic text-gray-500" colspan="6">${noteText}</td>`;
+      noteTr.innerHTML = `<td class="py-1 pr-2 text-xs italic text-gray-500" colspan="7">${noteText}${citationLink(m.citation)}</td>`;
       tbody.appendChild(noteTr);
     }
-  });
+    // Notes from the follow-up answers about this marker
+    followUpNotes(m).forEach((note) => {
+      const noteTr = document.createElement('tr');
+      noteTr.className = 'border-b border-gray-100';
+      noteTr.innerHTML = `<td class="py-1 pr-2 text-xs italic text-gray-500" colspan="7">${note.text}${note.citation ? citationLink(note.citation) : ''}</td>`;
+      tbody.appendChild(noteTr);
+    });
+  }
   table.appendChild(tbody);
   tableWrapper.appendChild(table);
   container.appendChild(tableWrapper);
 
-  // Recommendations (top three actions)
-  if (deductions.length > 0) {
+  // Recommendations: the top three actions, then advice from the
+  // follow-up answers
+  const recommendations = followUpRecommendations();
+  if (deductions.length > 0 || recommendations.length > 0) {
     const actionsHeader = document.createElement('h3');
     actionsHeader.className = 'text-xl font-mono font-semibold mt-4';
-    actionsHeader.textContent = 'Top actions for next week';
+    actionsHeader.textContent = t('Top actions for next week');
     container.appendChild(actionsHeader);
     const actionsList = document.createElement('ol');
     actionsList.className = 'list-decimal list-inside space-y-1 text-sm text-gray-700';
-    // Sort deductions by penalty descending
-    const sorted = [...deductions].sort((a, b) => b.penalty - a.penalty);
-    sorted.slice(0, 3).forEach((d) => {
-      const marker = markers.find(m => m.id === d.id);
-      let recommendation;
-      if (marker.invert) {
-        recommendation = `Increase ${marker.label.toLowerCase()} to at least ${marker.bands.mild} ${marker.unit}`;
-      } else {
-        recommendation = `Reduce ${marker.label.toLowerCase()} to below ${marker.bands.mild} ${marker.unit}`;
-      }
+    topActions(deductions).forEach((action) => {
+      const li = document.createElement('li');
+      li.innerHTML = `${t('{action} for a potential gain of {gain} points', { action: action.text, gain: formatNumber(action.gain) })}${citationLink(action.citation)}`;
+      actionsList.appendChild(li);
+    });
+    recommendations.forEach((recommendation) => {
       const li = document.createElement('li');
-      li.innerHTML = `${recommendation} for a potential gain of ${d.penalty} points <span class="text-blue-600 ml-1">[${marker.citation}]</span>`;
+      li.innerHTML = `${recommendation.text}${recommendation.citation ? citationLink(recommendation.citation) : ''}`;
       actionsList.appendChild(li);
     });
     container.appendChild(actionsList);
@@ -866,84 +2346,166 @@ function renderResults() {
   // Download PDF button
   const downloadBtn = document.createElement('button');
   downloadBtn.className = 'button-primary text-sm';
-  downloadBtn.textContent = 'Download PDF';
-  downloadBtn.addEventListener('click', async () => {
-    await downloadPDF(container);
+  downloadBtn.textContent = t('Download PDF');
+  downloadBtn.addEventListener('click', () => {
+    if (!confirmExport(t('The PDF report holds your score, every answer, your region, age range and gender.'))) return;
+    downloadPDF(results, deductions, credits);
   });
   controls.appendChild(downloadBtn);
 
+  // Structured export buttons
+  ['json', 'csv'].forEach((format) => {
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'button-secondary text-sm';
+    exportBtn.textContent = t('Export {format}', { format: format.toUpperCase() });
+    exportBtn.addEventListener('click', () => {
+      if (!confirmExport(t('The file holds your score, every answer, your region, age range and gender and the date of this check.'))) return;
+      const check = describeCheck({
+        checkedAt: currentCheckTime || new Date().toISOString(),
+        region: selectedRegion,
+        ageRange: selectedAgeRange,
+        gender: selectedGender,
+        answers
+      });
+      exportChecks([check], format, 'habit-health-check-result');
+    });
+    controls.appendChild(exportBtn);
+  });
+
+  // Anonymised export for a team dashboard (not for someone else's
+  // shared result)
+  const teamBtn = document.createElement('button');
+  teamBtn.className = 'button-secondary text-sm';
+  teamBtn.textContent = t('Export for team');
+  if (!viewingSharedResult) controls.appendChild(teamBtn);
+
   // Restart button
   const restartBtn = document.createElement('button');
   restartBtn.className = 'button-secondary text-sm';
-  restartBtn.textContent = 'Restart';
+  restartBtn.textContent = t('Restart');
   restartBtn.addEventListener('click', () => {
+    leaveSharedResult();
     renderLaunch();
   });
-  controls.appendChild(restartBtn);
+  controls.appendChild(restartBtn);
+
+  // Share link button
+  const shareBtn = document.createElement('button');
+  shareBtn.className = 'button-secondary text-sm';
+  shareBtn.textContent = t('Copy share link');
+  shareBtn.addEventListener('click', async () => {
+    if (!confirmExport(t('The link holds your score, every answer, your region, age range and gender.'))) return;
+    const url = buildShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      shareBtn.textContent = t('Link copied');
+      setTimeout(() => {
+        shareBtn.textContent = t('Copy share link');
+      }, 2000);
+    } catch (err) {
+      // Clipboard access can be blocked (e.g. on file:// pages)
+      prompt(t('Copy this link to share your result:'), url);
+    }
+  });
+  controls.appendChild(shareBtn);
+
+  // History button
+  const historyBtn = document.createElement('button');
+  historyBtn.className = 'button-secondary text-sm';
+  historyBtn.textContent = t('View history');
+  historyBtn.addEventListener('click', () => {
+    renderHistory();
+  });
+  controls.appendChild(historyBtn);
 
   // Sources button
   const sourcesBtn = document.createElement('button');
   sourcesBtn.className = 'button-secondary text-sm';
-  sourcesBtn.textContent = 'View sources';
+  sourcesBtn.textContent = t('View sources');
   controls.appendChild(sourcesBtn);
 
-  // Dark mode toggle button
-  const darkBtn = document.createElement('button');
-  darkBtn.className = 'button-secondary text-sm';
-  darkBtn.textContent = 'Toggle dark mode';
-  darkBtn.addEventListener('click', () => {
-    document.body.classList.toggle('dark');
-  });
-  controls.appendChild(darkBtn);
+  // What-if simulator button
+  const whatIfBtn = document.createElement('button');
+  whatIfBtn.className = 'button-secondary text-sm';
+  whatIfBtn.textContent = t('What if?');
+  controls.appendChild(whatIfBtn);
+
+  // Goals button (not offered on someone else's shared result)
+  const goalsBtn = document.createElement('button');
+  goalsBtn.className = 'button-secondary text-sm';
+  goalsBtn.textContent = t('Set goals');
+  if (!viewingSharedResult) controls.appendChild(goalsBtn);
 
   // Scoring details button
   const scoringBtn = document.createElement('button');
   scoringBtn.className = 'button-secondary text-sm';
-  scoringBtn.textContent = 'How scoring works';
+  scoringBtn.textContent = t('How scoring works');
   controls.appendChild(scoringBtn);
 
   container.appendChild(controls);
 
-  // Sources section hidden by default
+  // Sources section hidden by default: title linked to the source,
+  // publisher and year, and the claim each marker relies on
   const sourcesSection = document.createElement('div');
   sourcesSection.id = 'sources-section';
-  sourcesSection.className = 'hidden mt-4 text-sm text-gray-700 space-y-1';
-  sourcesSection.innerHTML = `
-    <p>[1] NHS alcohol 14-unit guideline</p>
-    <p>[2] CDC/AHA nicotine review 2024</p>
-    <p>[3] FDA caffeine 400-mg note</p>
-    <p>[4] NHS 7–9-hour sleep guidance</p>
-    <p>[5] WHO physical activity standard</p>
-    <p>[6] US Surgeon General social-media advisory</p>
-    <p>[7] Addictive Behaviours porn study 2025</p>
-    <p>[8] Public Health England fast-food briefing</p>
-    <p>[9] NHS dental brushing advice</p>
-    <p>[10] NHS five-a-day fruit and veg guidance</p>
-    <p>[11] CDC facts on sugar-sweetened beverages</p>
-    <p>[12] Harvard social connection and longevity article</p>
-  `;
+  sourcesSection.className = 'hidden mt-4 text-sm text-gray-700 space-y-2';
+  config.citations.forEach((citation) => {
+    const p = document.createElement('p');
+    p.id = `source-${citation.id}`;
+    p.tabIndex = -1;
+    const link = document.createElement('a');
+    link.href = citation.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.className = 'text-blue-600 hover:underline';
+    link.textContent = citation.title;
+    p.append(`[${citation.id}] `, link, ` · ${citation.publisher}, ${citation.year}`);
+    const claim = document.createElement('span');
+    claim.className = 'block text-xs italic text-gray-500';
+    claim.textContent = citation.claim;
+    p.appendChild(claim);
+    sourcesSection.appendChild(p);
+  });
   container.appendChild(sourcesSection);
   // Toggle sources display
   sourcesBtn.addEventListener('click', () => {
     sourcesSection.classList.toggle('hidden');
   });
+  // Footnotes open the sources list at the cited entry
+  container.addEventListener('click', (event) => {
+    const footnote = event.target.closest('.citation-link');
+    if (!footnote) return;
+    event.preventDefault();
+    sourcesSection.classList.remove('hidden');
+    document.getElementById(`source-${footnote.dataset.citation}`)?.focus();
+  });
 
   // Scoring details section
   const scoringSection = document.createElement('div');
   scoringSection.id = 'scoring-section';
   scoringSection.className = 'hidden mt-4 text-sm text-gray-700 space-y-1';
-  scoringSection.innerHTML = `
-    <p>The score starts at 100 points. For each marker, points are subtracted when your value falls outside the recommended band.</p>
-    <p><strong>Mild:</strong> -2 points. Your habit is slightly off the recommended range.</p>
-    <p><strong>Moderate:</strong> -5 points. Your habit is moderately unhealthy or insufficient.</p>
-    <p><strong>High:</strong> -8 points. Your habit is well outside the healthy range.</p>
-    <p><strong>Very bad:</strong> -10 points. Your habit is far beyond harmful thresholds and merits urgent attention.</p>
-    <p><strong>Excellent:</strong> 0 points deducted. Your habit is notably better than the guideline.</p>
-  `;
+  scoringSection.innerHTML = scoringExplanationHtml() + scoringComparisonHtml();
   container.appendChild(scoringSection);
   scoringBtn.addEventListener('click', () => {
     scoringSection.classList.toggle('hidden');
   });
+
+  // What-if section hidden by default
+  container.appendChild(renderWhatIf(score, whatIfBtn));
+
+  // Goals section hidden by default
+  const goalsSection = renderGoalsForm();
+  container.appendChild(goalsSection);
+  goalsBtn.addEventListener('click', () => {
+    goalsSection.classList.toggle('hidden');
+  });
+
+  // Team export consent hidden by default
+  const teamSection = renderTeamExportForm();
+  container.appendChild(teamSection);
+  teamBtn.addEventListener('click', () => {
+    teamSection.classList.toggle('hidden');
+  });
   app.appendChild(container);
 
   // Render mini charts after DOM is ready
@@ -955,7 +2517,7 @@ function renderResults() {
   summarySection.className = 'mt-8 space-y-6';
   const summaryTitle = document.createElement('h3');
   summaryTitle.className = 'text-xl font-mono font-semibold';
-  summaryTitle.textContent = 'Group vs overall averages';
+  summaryTitle.textContent = t('Group vs overall averages');
   summarySection.appendChild(summaryTitle);
   const barCanvas = document.createElement('canvas');
   barCanvas.id = 'summaryChart';
@@ -963,7 +2525,7 @@ function renderResults() {
   summarySection.appendChild(barCanvas);
   const radarTitle = document.createElement('h3');
   radarTitle.className = 'text-xl font-mono font-semibold mt-4';
-  radarTitle.textContent = 'Your pattern vs averages';
+  radarTitle.textContent = t('Your pattern vs averages');
   summarySection.appendChild(radarTitle);
   const radarCanvas = document.createElement('canvas');
   radarCanvas.id = 'radarChart';
@@ -973,8 +2535,8 @@ function renderResults() {
   // Draw the summary charts after insertion into DOM
   setTimeout(() => {
     try {
-      drawSummaryBarChart(chartData);
-      drawRadarChart(chartData);
+      drawSummaryBarChart(shownChartData(chartData));
+      drawRadarChart(shownChartData(chartData));
     } catch (err) {
       console.error('Error drawing summary charts', err);
     }
@@ -1051,10 +2613,23 @@ function drawChart({ labels, userValues, avgValues, mildValues, highValues }) {
   };
 }
 
-// Draw separate mini bar charts for each marker.  Each chart
-// visualises your value, the regional average and the mild/high
-// thresholds to make differences obvious.  This function clears
-// existing mini charts before creating new ones.
+// RGB triplets used to colour a value by its band in charts.  Good and
+// excellent values are green, mild deviations yellow, moderate
+// deviations orange and high or very bad values red.
+const bandChartColors = {
+  excellent: '16, 185, 129',
+  good: '16, 185, 129',
+  mild: '234, 179, 8',
+  moderate: '249, 115, 22',
+  high: '239, 68, 68',
+  'very bad': '239, 68, 68'
+};
+
+// Draw separate mini bar charts for each marker, grouped under their
+// category headings.  Each chart visualises your value, the regional
+// average and the mild/high thresholds to make differences obvious.
+// miniCharts is indexed like `markers`.  This function clears existing
+// mini charts before creating new ones.
 function drawMiniCharts({ labels, userValues, groupAvgValues, overallAvgValues }) {
   // Destroy previous mini charts
   if (miniCharts.length > 0) {
@@ -1064,49 +2639,31 @@ function drawMiniCharts({ labels, userValues, groupAvgValues, overallAvgValues }
   const container = document.getElementById('miniChartsContainer');
   if (!container) return;
   container.innerHTML = '';
-  markers.forEach((marker, idx) => {
+  categoryGroups().forEach((group) => {
+    if (group.label) {
+      const heading = document.createElement('h4');
+      heading.className = 'text-base font-semibold text-gray-800 pt-2';
+      heading.textContent = `${group.icon || ''} ${group.label}`;
+      container.appendChild(heading);
+    }
+    group.indexes.forEach(idx => drawMiniChart(markers[idx], idx));
+  });
+  function drawMiniChart(marker, idx) {
     const wrapper = document.createElement('div');
     wrapper.className = 'h-32 p-2 rounded-lg shadow-sm';
     const canvas = document.createElement('canvas');
     canvas.id = 'mini_' + marker.id;
     wrapper.appendChild(canvas);
     container.appendChild(wrapper);
-    // Determine colour for the user's bar based on how their value compares to the bands.
-    // Good values are green, mild deviations yellow, moderate deviations orange and high values red.
-    const val = userValues[idx] ?? 0;
-    const bands = marker.bands;
-    let youBg = 'rgba(16, 185, 129, 0.6)';
-    let youBorder = 'rgba(16, 185, 129, 1)';
-    if (!marker.invert) {
-      if (val > bands.high) {
-        youBg = 'rgba(239, 68, 68, 0.6)';
-        youBorder = 'rgba(239, 68, 68, 1)';
-      } else if (val > bands.moderate) {
-        youBg = 'rgba(249, 115, 22, 0.6)';
-        youBorder = 'rgba(249, 115, 22, 1)';
-      } else if (val > bands.mild) {
-        youBg = 'rgba(234, 179, 8, 0.6)';
-        youBorder = 'rgba(234, 179, 8, 1)';
-      }
-    } else {
-      // Inverted markers: lower values are worse
-      if (val < bands.high) {
-        youBg = 'rgba(239, 68, 68, 0.6)';
-        youBorder = 'rgba(239, 68, 68, 1)';
-      } else if (val < bands.moderate) {
-        youBg = 'rgba(249, 115, 22, 0.6)';
-        youBorder = 'rgba(249, 115, 22, 1)';
-      } else if (val < bands.mild) {
-        youBg = 'rgba(234, 179, 8, 0.6)';
-        youBorder = 'rgba(234, 179, 8, 1)';
-      }
-    }
+    const [youBg, youBorder] = youBarColors(marker, userValues[idx]);
+    const shown = [userValues[idx], groupAvgValues[idx], overallAvgValues[idx]].map(v => toShown(marker, v));
+    describeMiniChart(canvas, marker, shown);
     const data = {
-      labels: ['You', 'Your group', 'Overall avg'],
+      labels: [t('You'), t('Your group'), t('Overall avg')],
       datasets: [
         {
           label: marker.label,
-          data: [userValues[idx], groupAvgValues[idx], overallAvgValues[idx]],
+          data: shown,
           backgroundColor: [youBg, 'rgba(96, 165, 250, 0.6)', 'rgba(156, 163, 175, 0.6)'],
           borderColor: [youBorder, 'rgba(96, 165, 250, 1)', 'rgba(156, 163, 175, 1)'],
           borderWidth: 1,
@@ -1127,11 +2684,88 @@ function drawMiniCharts({ labels, userValues, groupAvgValues, overallAvgValues }
         y: { ticks: { autoSkip: false } }
       }
     };
-    const miniChart = new Chart(canvas, { type: 'bar', data, options });
-    miniCharts.push(miniChart);
+    miniCharts[idx] = new Chart(canvas, { type: 'bar', data, options });
+  }
+}
+
+// Text alternative for a chart: a visually hidden table with the
+// numbers it shows, placed right after the canvas (replacing the one
+// from an earlier draw).  The canvas itself is hidden from screen
+// readers so they get the table instead.
+function describeChart(canvas, caption, columns, rows) {
+  canvas.setAttribute('aria-hidden', 'true');
+  const table = document.createElement('table');
+  table.id = `${canvas.id}-data`;
+  table.className = 'sr-only';
+  const cell = (tag, text, scope) => {
+    const el = document.createElement(tag);
+    if (scope) el.scope = scope;
+    el.textContent = text;
+    return el;
+  };
+  table.createCaption().textContent = caption;
+  const headRow = table.createTHead().insertRow();
+  columns.forEach(column => headRow.appendChild(cell('th', column, 'col')));
+  const tbody = table.createTBody();
+  rows.forEach(([label, ...values]) => {
+    const tr = tbody.insertRow();
+    tr.appendChild(cell('th', label, 'row'));
+    values.forEach(value => tr.appendChild(cell('td', value == null ? '—' : formatNumber(value))));
+  });
+  const previous = document.getElementById(table.id);
+  if (previous) {
+    previous.replaceWith(table);
+  } else {
+    canvas.after(table);
+  }
+}
+
+// Data table behind a marker's mini chart; values are already in the
+// units shown
+function describeMiniChart(canvas, marker, values) {
+  const labels = [t('You'), t('Your group'), t('Overall avg')];
+  describeChart(canvas, marker.label, ['', t('Value ({unit})', { unit: unitFor(marker) })],
+    labels.map((label, idx) => [label, values[idx]]));
+}
+
+// Fill and border for the user's bar, coloured by the band the value
+// falls in
+function youBarColors(marker, value) {
+  const { band } = scoreMarker(marker, value ?? 0);
+  const youColor = bandChartColors[band];
+  return [`rgba(${youColor}, 0.6)`, `rgba(${youColor}, 1)`];
+}
+
+// Move the user's bar in the existing mini charts (and their data
+// tables) to new values without rebuilding them, so the what-if sliders
+// can update them live
+function updateMiniCharts({ userValues }) {
+  if (miniCharts.length !== markers.length) return;
+  markers.forEach((marker, idx) => {
+    const chart = miniCharts[idx];
+    const dataset = chart.data.datasets[0];
+    const [youBg, youBorder] = youBarColors(marker, userValues[idx]);
+    dataset.data[0] = toShown(marker, userValues[idx]);
+    dataset.backgroundColor[0] = youBg;
+    dataset.borderColor[0] = youBorder;
+    chart.update('none');
+    const canvas = document.getElementById('mini_' + marker.id);
+    if (canvas) describeMiniChart(canvas, marker, dataset.data);
   });
 }
 
+// Chart data with every value converted to the units shown for the
+// selected region
+function shownChartData(chartData) {
+  const convert = values => values.map((value, idx) => toShown(markers[idx], value));
+  return {
+    ...chartData,
+    userValues: convert(chartData.userValues),
+    groupAvgValues: convert(chartData.groupAvgValues),
+    overallAvgValues: convert(chartData.overallAvgValues)
+  };
+}
+
 // Draw a bar chart comparing group and overall averages across all markers
 function drawSummaryBarChart({ labels, groupAvgValues, overallAvgValues }) {
   const canvas = document.getElementById('summaryChart');
@@ -1144,7 +2778,7 @@ function drawSummaryBarChart({ labels, groupAvgValues, overallAvgValues }) {
     labels,
     datasets: [
       {
-        label: 'Group average',
+        label: t('Group average'),
         data: groupAvgValues,
         backgroundColor: 'rgba(96, 165, 250, 0.6)',
         borderColor: 'rgba(96, 165, 250, 1)',
@@ -1152,7 +2786,7 @@ function drawSummaryBarChart({ labels, groupAvgValues, overallAvgValues }) {
         borderRadius: 4
       },
       {
-        label: 'Overall average',
+        label: t('Overall average'),
         data: overallAvgValues,
         backgroundColor: 'rgba(156, 163, 175, 0.6)',
         borderColor: 'rgba(156, 163, 175, 1)',
@@ -1169,10 +2803,12 @@ function drawSummaryBarChart({ labels, groupAvgValues, overallAvgValues }) {
       title: { display: false }
     },
     scales: {
-      x: { title: { display: true, text: 'Markers' }, ticks: { autoSkip: false } },
-      y: { beginAtZero: true, title: { display: true, text: 'Value' } }
+      x: { title: { display: true, text: t('Markers') }, ticks: { autoSkip: false } },
+      y: { beginAtZero: true, title: { display: true, text: t('Value') } }
     }
   };
+  describeChart(canvas, t('Group vs overall averages'), [t('Marker'), t('Group average'), t('Overall average')],
+    labels.map((label, idx) => [label, groupAvgValues[idx], overallAvgValues[idx]]));
   const summaryChart = new Chart(ctx, { type: 'bar', data, options });
   ctx._chartInstance = summaryChart;
 }
@@ -1189,7 +2825,7 @@ function drawRadarChart({ labels, userValues, groupAvgValues, overallAvgValues }
     labels,
     datasets: [
       {
-        label: 'You',
+        label: t('You'),
         data: userValues,
         backgroundColor: 'rgba(16, 185, 129, 0.2)',
         borderColor: 'rgba(16, 185, 129, 1)',
@@ -1197,7 +2833,7 @@ function drawRadarChart({ labels, userValues, groupAvgValues, overallAvgValues }
         pointBackgroundColor: 'rgba(16, 185, 129, 1)'
       },
       {
-        label: 'Group avg',
+        label: t('Group avg'),
         data: groupAvgValues,
         backgroundColor: 'rgba(96, 165, 250, 0.2)',
         borderColor: 'rgba(96, 165, 250, 1)',
@@ -1205,7 +2841,7 @@ function drawRadarChart({ labels, userValues, groupAvgValues, overallAvgValues }
         pointBackgroundColor: 'rgba(96, 165, 250, 1)'
       },
       {
-        label: 'Overall avg',
+        label: t('Overall avg'),
         data: overallAvgValues,
         backgroundColor: 'rgba(156, 163, 175, 0.2)',
         borderColor: 'rgba(156, 163, 175, 1)',
@@ -1228,10 +2864,578 @@ function drawRadarChart({ labels, userValues, groupAvgValues, overallAvgValues }
       title: { display: false }
     }
   };
+  describeChart(canvas, t('Your pattern vs averages'), [t('Marker'), t('You'), t('Group avg'), t('Overall avg')],
+    labels.map((label, idx) => [label, userValues[idx], groupAvgValues[idx], overallAvgValues[idx]]));
   const radarChart = new Chart(ctx, { type: 'radar', data, options });
   ctx._chartInstance = radarChart;
 }
 
+// Format a stored timestamp as a short date for lists and chart axes
+function formatCheckDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(currentLocale, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// History screen: trend charts for the score and each marker plus a
+// list of past checks that can be reopened or deleted
+function renderHistory() {
+  const entries = loadHistory();
+  app.innerHTML = '';
+  const container = document.createElement('div');
+  container.className = 'ledger card p-6 md:p-8 space-y-6 fade-in';
+  const title = document.createElement('h2');
+  title.className = 'text-2xl font-mono font-bold text-gray-800';
+  title.textContent = t('Your check-in history');
+  container.appendChild(title);
+  const saveNotice = entries.length > 0 ? renderSaveNotice() : null;
+  if (saveNotice) container.appendChild(saveNotice);
+
+  let markerSelect = null;
+  if (entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-sm text-gray-700';
+    empty.textContent = t('No saved checks yet. Complete a check and it will appear here.');
+    container.appendChild(empty);
+  } else {
+    // Overall score trend
+    const scoreHeader = document.createElement('h3');
+    scoreHeader.className = 'text-xl font-mono font-semibold';
+    scoreHeader.textContent = t('Overall score over time');
+    container.appendChild(scoreHeader);
+    const scoreWrapper = document.createElement('div');
+    scoreWrapper.className = 'h-64';
+    const scoreCanvas = document.createElement('canvas');
+    scoreCanvas.id = 'historyScoreChart';
+    scoreWrapper.appendChild(scoreCanvas);
+    container.appendChild(scoreWrapper);
+
+    // Per-marker trend with a marker picker
+    const markerHeader = document.createElement('h3');
+    markerHeader.className = 'text-xl font-mono font-semibold';
+    markerHeader.textContent = t('Markers over time');
+    container.appendChild(markerHeader);
+    markerSelect = document.createElement('select');
+    markerSelect.className = 'w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm';
+    markers.forEach((m) => {
+      const opt = document.createElement('option');
+      opt.value = m.id;
+      opt.textContent = `${m.icon || ''} ${m.label}`;
+      markerSelect.appendChild(opt);
+    });
+    markerSelect.addEventListener('change', () => {
+      drawHistoryMarkerChart(entries, markerSelect.value);
+    });
+    container.appendChild(markerSelect);
+    const markerWrapper = document.createElement('div');
+    markerWrapper.className = 'h-64';
+    const markerCanvas = document.createElement('canvas');
+    markerCanvas.id = 'historyMarkerChart';
+    markerWrapper.appendChild(markerCanvas);
+    container.appendChild(markerWrapper);
+
+    // List of past checks, newest first
+    const listHeader = document.createElement('h3');
+    listHeader.className = 'text-xl font-mono font-semibold';
+    listHeader.textContent = t('Past checks');
+    container.appendChild(listHeader);
+    const list = document.createElement('ul');
+    list.className = 'space-y-2';
+    [...entries].reverse().forEach((entry) => {
+      const li = document.createElement('li');
+      li.className = 'flex items-center justify-between gap-2 text-sm text-gray-700 border-b border-gray-100 pb-2';
+      const info = document.createElement('div');
+      const regionLabel = config.regions[entry.region]?.label || entry.region;
+      const genderLabel = config.demographics.genders.find(g => g.id === entry.gender)?.label || entry.gender;
+      info.innerHTML = `<span class="font-medium">${formatCheckDate(entry.timestamp)}</span> · ${Math.round(entry.score)}/100
+        <span class="block text-xs text-gray-500">${genderLabel}, ${entry.ageRange}, ${regionLabel}</span>`;
+      li.appendChild(info);
+      const actions = document.createElement('div');
+      actions.className = 'flex gap-2';
+      const viewBtn = document.createElement('button');
+      viewBtn.className = 'button-secondary text-xs';
+      viewBtn.textContent = t('View');
+      viewBtn.addEventListener('click', () => {
+        leaveSharedResult();
+        answers = { ...entry.answers };
+        followUpAnswers = { ...entry.followUps };
+        currentCheckTime = entry.timestamp;
+        currentGoals = entry.goals || {};
+        selectedAgeRange = entry.ageRange;
+        selectedGender = entry.gender;
+        if (config.regions[entry.region]) selectedRegion = entry.region;
+        renderResults();
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'button-secondary text-xs';
+      deleteBtn.textContent = t('Delete');
+      deleteBtn.addEventListener('click', () => {
+        if (!confirm(t('Delete the check from {date}?', { date: formatCheckDate(entry.timestamp) }))) return;
+        deleteHistoryEntry(entry.id);
+        renderHistory();
+      });
+      actions.appendChild(viewBtn);
+      actions.appendChild(deleteBtn);
+      li.appendChild(actions);
+      list.appendChild(li);
+    });
+    container.appendChild(list);
+  }
+
+  // Controls: back to launch, clear history
+  const controls = document.createElement('div');
+  controls.className = 'flex flex-wrap gap-4 mt-6';
+  const backBtn = document.createElement('button');
+  backBtn.className = 'button-primary text-sm';
+  backBtn.textContent = t('Back');
+  backBtn.addEventListener('click', () => {
+    renderLaunch();
+  });
+  controls.appendChild(backBtn);
+  if (entries.length > 0) {
+    ['json', 'csv'].forEach((format) => {
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'button-secondary text-sm';
+      exportBtn.textContent = t('Export all ({format})', { format: format.toUpperCase() });
+      exportBtn.addEventListener('click', () => {
+        if (!confirmExport(t('The file holds every saved check: the scores, answers, region, age range, gender and date of each.'))) return;
+        exportChecks(describeHistory(), format, 'habit-health-check-history');
+      });
+      controls.appendChild(exportBtn);
+    });
+  }
+  const importBtn = document.createElement('button');
+  importBtn.className = 'button-secondary text-sm';
+  importBtn.textContent = t('Import');
+  importBtn.addEventListener('click', importChecksFile);
+  controls.appendChild(importBtn);
+  if (entries.length > 0) {
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'button-secondary text-sm';
+    clearBtn.textContent = t('Clear history');
+    clearBtn.addEventListener('click', () => {
+      if (!confirm(t('Delete all saved checks? This cannot be undone.'))) return;
+      clearHistory();
+      renderHistory();
+    });
+    controls.appendChild(clearBtn);
+  }
+  container.appendChild(controls);
+  app.appendChild(container);
+
+  if (entries.length > 0) {
+    setTimeout(() => {
+      try {
+        drawHistoryScoreChart(entries);
+        drawHistoryMarkerChart(entries, markerSelect.value);
+      } catch (err) {
+        console.error('Error drawing history charts', err);
+      }
+    }, 0);
+  }
+}
+
+// Draw a line chart of your score against the group and overall
+// averages for every saved check
+function drawHistoryScoreChart(entries) {
+  const canvas = document.getElementById('historyScoreChart');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  if (ctx && ctx._chartInstance) {
+    ctx._chartInstance.destroy();
+  }
+  const data = {
+    labels: entries.map((e) => formatCheckDate(e.timestamp)),
+    datasets: [
+      {
+        label: t('You'),
+        data: entries.map((e) => e.score),
+        borderColor: 'rgba(16, 185, 129, 1)',
+        backgroundColor: 'rgba(16, 185, 129, 0.2)',
+        fill: true,
+        tension: 0.3
+      },
+      {
+        label: t('Group avg'),
+        data: entries.map((e) => e.groupScore),
+        borderColor: 'rgba(96, 165, 250, 1)',
+        backgroundColor: 'rgba(96, 165, 250, 0.2)',
+        borderDash: [4, 4],
+        tension: 0.3
+      },
+      {
+        label: t('Overall avg'),
+        data: entries.map((e) => e.overallScore),
+        borderColor: 'rgba(156, 163, 175, 1)',
+        backgroundColor: 'rgba(156, 163, 175, 0.2)',
+        borderDash: [4, 4],
+        tension: 0.3
+      }
+    ]
+  };
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top' },
+      title: { display: false }
+    },
+    scales: {
+      y: { min: 0, max: 100, title: { display: true, text: t('Score') } }
+    }
+  };
+  describeChart(canvas, t('Overall score over time'), [t('Date'), ...data.datasets.map(d => d.label)],
+    data.labels.map((label, idx) => [label, ...data.datasets.map(d => d.data[idx])]));
+  const historyChart = new Chart(ctx, { type: 'line', data, options });
+  ctx._chartInstance = historyChart;
+}
+
+// Draw a line chart of one marker across saved checks, with the mild
+// band threshold as a reference line.  Checks taken before a marker
+// existed leave a gap.
+function drawHistoryMarkerChart(entries, markerId) {
+  const canvas = document.getElementById('historyMarkerChart');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  if (ctx && ctx._chartInstance) {
+    ctx._chartInstance.destroy();
+  }
+  const marker = markers.find(m => m.id === markerId);
+  const data = {
+    labels: entries.map((e) => formatCheckDate(e.timestamp)),
+    datasets: [
+      {
+        label: t('You'),
+        data: entries.map((e) => (e.answers[markerId] == null ? null : toShown(marker, e.answers[markerId]))),
+        borderColor: 'rgba(16, 185, 129, 1)',
+        backgroundColor: 'rgba(16, 185, 129, 0.2)',
+        pointBackgroundColor: entries.map((e) => {
+          const value = e.answers[markerId];
+          return value == null ? 'rgba(156, 163, 175, 1)' : `rgba(${bandChartColors[scoreMarker(marker, value).band]}, 1)`;
+        }),
+        fill: true,
+        spanGaps: true,
+        tension: 0.3
+      },
+      {
+        label: t('Mild band'),
+        data: entries.map(() => toShown(marker, marker.bands.mild)),
+        borderColor: 'rgba(234, 179, 8, 1)',
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: false
+      }
+    ]
+  };
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top' },
+      title: { display: true, text: marker.label }
+    },
+    scales: {
+      y: { beginAtZero: true, title: { display: true, text: unitFor(marker) } }
+    }
+  };
+  describeChart(canvas, `${marker.label} (${unitFor(marker)})`, [t('Date'), ...data.datasets.map(d => d.label)],
+    data.labels.map((label, idx) => [label, ...data.datasets.map(d => d.data[idx])]));
+  const historyChart = new Chart(ctx, { type: 'line', data, options });
+  ctx._chartInstance = historyChart;
+}
+
+// Label for a coarse age band from cohort.js
+function ageBandLabel(id) {
+  if (id === 'under-35') return t('Under 35');
+  if (id === '55+') return t('55 and over');
+  return id.replace('-', '–');
+}
+
+// Download the result on screen as an anonymised file for a team
+// dashboard.  `share` says whether the age band and gender go in.
+function exportCohortResult(share) {
+  const check = describeCheck({
+    checkedAt: currentCheckTime || new Date().toISOString(),
+    region: selectedRegion,
+    ageRange: selectedAgeRange,
+    gender: selectedGender,
+    answers
+  });
+  const result = cohortResult(check, share);
+  downloadFile(`habit-health-check-team-${result.month}.json`, JSON.stringify(result, null, 2), 'application/json');
+}
+
+// Consent step before a team export: what the file holds, whether to
+// include the age band and gender, and an explicit agreement that has
+// to be ticked again for every download
+function renderTeamExportForm() {
+  const section = document.createElement('div');
+  section.id = 'team-export-section';
+  section.className = 'hidden mt-4 text-sm text-gray-700 space-y-2';
+  const intro = document.createElement('p');
+  intro.textContent = t("The team file holds your score and the overall average score; for each question your answer, its band and the overall average; your region; the month of this check; and a random id so the same file is not counted twice. It has no name, no free text and no exact date. Share it only with your team's facilitator.");
+  section.appendChild(intro);
+  const checkbox = (labelText) => {
+    const label = document.createElement('label');
+    label.className = 'flex items-start gap-2';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'mt-1';
+    label.appendChild(input);
+    label.append(labelText);
+    section.appendChild(label);
+    return input;
+  };
+  const genderLabel = config.demographics.genders.find(g => g.id === selectedGender)?.label || selectedGender;
+  const ageInput = checkbox(t('Include my age band ({band})', { band: ageBandLabel(coarseAgeBand(selectedAgeRange)) }));
+  const genderInput = checkbox(t('Include my gender ({gender})', { gender: genderLabel }));
+  const groupNote = document.createElement('p');
+  groupNote.className = 'text-xs text-gray-500';
+  groupNote.textContent = t('If you include both your age band and gender, the file also holds your group score and group averages. These are worked out for your exact age range and gender, so they reveal both.');
+  section.appendChild(groupNote);
+  const consentInput = checkbox(t('I agree to share the details listed above with my team'));
+  consentInput.parentElement.classList.add('font-semibold');
+  const downloadBtn = document.createElement('button');
+  downloadBtn.type = 'button';
+  downloadBtn.className = 'button-primary text-sm';
+  downloadBtn.textContent = t('Download team file');
+  downloadBtn.disabled = true;
+  consentInput.addEventListener('change', () => {
+    downloadBtn.disabled = !consentInput.checked;
+  });
+  downloadBtn.addEventListener('click', () => {
+    if (!consentInput.checked) return;
+    exportCohortResult({ ageBand: ageInput.checked, gender: genderInput.checked });
+    consentInput.checked = false;
+    downloadBtn.disabled = true;
+  });
+  section.appendChild(downloadBtn);
+  return section;
+}
+
+// Ask for one or more team result files and add them to the dashboard.
+// Files that cannot be used are listed in one message; the rest load.
+function loadCohortFiles() {
+  chooseFiles('.json,application/json', async (files) => {
+    const problems = [];
+    for (const file of files) {
+      try {
+        const result = parseCohortFile(await file.text());
+        // The same file picked twice still counts once
+        if (!cohortResults.some(r => r.id === result.id)) cohortResults.push(result);
+      } catch (err) {
+        problems.push(t('{file}: {error}', { file: file.name, error: err.message }));
+      }
+    }
+    if (problems.length > 0) alert(`${t('Some files could not be loaded:')}\n${problems.join('\n')}`);
+    renderCohortDashboard();
+  });
+}
+
+// Facilitator's dashboard for a team: score distribution, how the team
+// compares with the group and overall averages, per-marker band counts
+// and scores by age band and gender, behind the config's privacy guard
+function renderCohortDashboard() {
+  app.innerHTML = '';
+  const container = document.createElement('div');
+  container.className = 'ledger card p-6 md:p-8 space-y-6 fade-in';
+  const title = document.createElement('h2');
+  title.className = 'text-2xl font-mono font-bold text-gray-800';
+  title.textContent = t('Team dashboard');
+  container.appendChild(title);
+  const intro = document.createElement('p');
+  intro.className = 'text-sm text-gray-700';
+  intro.textContent = t('Load the anonymised result files your team exported with "Export for team". They are read in this browser only and are not saved.');
+  container.appendChild(intro);
+
+  const summary = summarizeCohort(cohortResults, markers.map(m => m.id), config.privacy || {});
+  const privacyNote = document.createElement('p');
+  privacyNote.className = 'text-xs text-gray-500';
+  privacyNote.textContent = `🔒 ${t('Figures covering fewer than {size} people are hidden.', { size: summary.minGroupSize })}`;
+  if (summary.noise) privacyNote.textContent += ` ${t('Counts include a little random noise.')}`;
+  container.appendChild(privacyNote);
+  // A count hidden by the privacy guard
+  const hiddenCell = `<span title="${t('Hidden to protect privacy')}" aria-label="${t('Hidden to protect privacy')}">🔒</span>`;
+  if (summary.count === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-sm text-gray-700';
+    empty.textContent = t('No team results loaded yet.');
+    container.appendChild(empty);
+  } else if (!summary.enough) {
+    const waiting = document.createElement('p');
+    waiting.className = 'text-sm text-gray-700';
+    waiting.textContent = t('Team figures appear once at least {size} results are loaded ({count} so far).', { size: summary.minGroupSize, count: summary.count });
+    container.appendChild(waiting);
+  } else {
+    // Headline figures against the averages the members were compared with
+    const scores = document.createElement('div');
+    scores.className = 'text-sm text-gray-700 space-y-1';
+    scores.innerHTML = `<p class="font-semibold text-gray-800">${t('{count} results loaded', { count: summary.count })}</p>
+      <p>${t('Team average score: {mean}/100', { mean: formatNumber(summary.scores.mean) })}</p>
+      <p>${t('Group average: {group}/100 · Overall average: {overall}/100', { group: summary.scores.group == null ? '—' : formatNumber(summary.scores.group), overall: formatNumber(summary.scores.overall) })}</p>`;
+    container.appendChild(scores);
+
+    // Score distribution
+    const chartHeader = document.createElement('h3');
+    chartHeader.className = 'text-xl font-mono font-semibold';
+    chartHeader.textContent = t('Score distribution');
+    container.appendChild(chartHeader);
+    const chartWrapper = document.createElement('div');
+    chartWrapper.className = 'h-64';
+    const canvas = document.createElement('canvas');
+    canvas.id = 'cohortScoreChart';
+    chartWrapper.appendChild(canvas);
+    container.appendChild(chartWrapper);
+
+    // Per-marker averages and band counts
+    const markersHeader = document.createElement('h3');
+    markersHeader.className = 'text-xl font-mono font-semibold';
+    markersHeader.textContent = t('Markers across the team');
+    container.appendChild(markersHeader);
+    const tableWrapper = document.createElement('div');
+    tableWrapper.className = 'overflow-x-auto';
+    const table = document.createElement('table');
+    table.className = 'min-w-full text-sm border-collapse';
+    const bandHeaders = COHORT_BANDS.map(band => `<th class="text-center py-1 px-1" title="${t(band)}">${BAND_ICONS[band]}<span class="block text-xs font-normal capitalize">${t(band)}</span></th>`).join('');
+    table.innerHTML = `<thead><tr class="border-b border-gray-200">
+        <th class="text-left py-1 pr-2">${t('Marker')}</th>
+        <th class="text-left py-1 pr-2">${t('Team average')}</th>
+        <th class="text-left py-1 pr-2">${t('Group average')}</th>
+        <th class="text-left py-1 pr-2">${t('Overall average')}</th>
+        ${bandHeaders}
+        <th class="text-center py-1 px-1">${t('Skipped')}</th>
+      </tr></thead>`;
+    const tbody = document.createElement('tbody');
+    markers.forEach((m) => {
+      const figures = summary.markers[m.id];
+      const tr = document.createElement('tr');
+      tr.className = 'border-b border-gray-100';
+      const shown = value => (value == null ? '—' : formatValue(m, value));
+      tr.innerHTML = `<td class="py-1 pr-2">${m.icon || ''} ${m.label} <span class="block text-xs text-gray-500">${unitFor(m)}</span></td>
+        <td class="py-1 pr-2 font-semibold">${shown(figures.value)}</td>
+        <td class="py-1 pr-2">${shown(figures.groupAverage)}</td>
+        <td class="py-1 pr-2">${shown(figures.overallAverage)}</td>
+        ${COHORT_BANDS.map(band => `<td class="py-1 px-1 text-center">${figures.bands[band] === null ? hiddenCell : figures.bands[band] || ''}</td>`).join('')}
+        <td class="py-1 px-1 text-center text-gray-500">${figures.skipped === null ? hiddenCell : figures.skipped || ''}</td>`;
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    tableWrapper.appendChild(table);
+    container.appendChild(tableWrapper);
+
+    // Scores by age band and gender, for members who shared them
+    const breakdown = (heading, { groups, hidden }, order, labelFor) => {
+      const header = document.createElement('h3');
+      header.className = 'text-xl font-mono font-semibold';
+      header.textContent = heading;
+      container.appendChild(header);
+      const ids = [...order, ''].filter(id => groups[id]);
+      if (ids.length > 0) {
+        const groupTable = document.createElement('table');
+        groupTable.className = 'min-w-full text-sm border-collapse';
+        groupTable.innerHTML = `<thead><tr class="border-b border-gray-200">
+            <th class="text-left py-1 pr-2">${heading}</th>
+            <th class="text-left py-1 pr-2">${t('Team members')}</th>
+            <th class="text-left py-1 pr-2">${t('Team average')}</th>
+          </tr></thead>
+          <tbody>${ids.map(id => `<tr class="border-b border-gray-100">
+            <td class="py-1 pr-2">${id ? labelFor(id) : t('Not shared')}</td>
+            <td class="py-1 pr-2">${groups[id].count}</td>
+            <td class="py-1 pr-2">${formatNumber(groups[id].score)}/100</td>
+          </tr>`).join('')}</tbody>`;
+        container.appendChild(groupTable);
+      }
+      if (hidden > 0) {
+        const note = document.createElement('p');
+        note.className = 'text-xs text-gray-500';
+        note.textContent = `🔒 ${t('{count} smaller groups hidden to protect privacy', { count: hidden })}`;
+        container.appendChild(note);
+      }
+    };
+    breakdown(t('Age band'), summary.breakdowns.ageBand, COHORT_AGE_BANDS.map(band => band.id), ageBandLabel);
+    breakdown(t('Gender'), summary.breakdowns.gender, config.demographics.genders.map(g => g.id),
+      id => config.demographics.genders.find(g => g.id === id)?.label || id);
+  }
+
+  // Controls: load more files, start over, back to launch
+  const controls = document.createElement('div');
+  controls.className = 'flex flex-wrap gap-4 mt-6';
+  const backBtn = document.createElement('button');
+  backBtn.className = 'button-primary text-sm';
+  backBtn.textContent = t('Back');
+  backBtn.addEventListener('click', () => {
+    renderLaunch();
+  });
+  controls.appendChild(backBtn);
+  const loadBtn = document.createElement('button');
+  loadBtn.className = 'button-secondary text-sm';
+  loadBtn.textContent = t('Load team results');
+  loadBtn.addEventListener('click', loadCohortFiles);
+  controls.appendChild(loadBtn);
+  if (summary.count > 0) {
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'button-secondary text-sm';
+    clearBtn.textContent = t('Clear team results');
+    clearBtn.addEventListener('click', () => {
+      cohortResults = [];
+      renderCohortDashboard();
+    });
+    controls.appendChild(clearBtn);
+  }
+  container.appendChild(controls);
+  app.appendChild(container);
+
+  if (summary.enough) {
+    setTimeout(() => {
+      try {
+        drawCohortScoreChart(summary.distribution);
+      } catch (err) {
+        console.error('Error drawing team chart', err);
+      }
+    }, 0);
+  }
+}
+
+// Bar chart of how many team members scored in each 10-point range
+function drawCohortScoreChart(distribution) {
+  const canvas = document.getElementById('cohortScoreChart');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  if (ctx && ctx._chartInstance) {
+    ctx._chartInstance.destroy();
+  }
+  // Coloured like the score circle a score in the range would get
+  const colors = { green: '16, 185, 129', amber: '234, 179, 8', red: '239, 68, 68' };
+  const labels = distribution.map(bucket => `${bucket.from}–${bucket.to}`);
+  const counts = distribution.map(bucket => bucket.count);
+  const data = {
+    labels,
+    datasets: [
+      {
+        label: t('Team members'),
+        data: counts,
+        backgroundColor: distribution.map(bucket => `rgba(${colors[scoreColor(bucket.from)]}, 0.6)`),
+        borderWidth: 1,
+        borderRadius: 4
+      }
+    ]
+  };
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      title: { display: false }
+    },
+    scales: {
+      x: { title: { display: true, text: t('Score') } },
+      y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: t('Team members') } }
+    }
+  };
+  describeChart(canvas, t('Score distribution'), [t('Score'), t('Team members')],
+    labels.map((label, idx) => [label, counts[idx]]));
+  const cohortChart = new Chart(ctx, { type: 'bar', data, options });
+  ctx._chartInstance = cohortChart;
+}
+
 // Confetti animation for celebratory scores
 function triggerConfetti() {
   const container = document.createElement('div');
@@ -1263,29 +3467,220 @@ function triggerConfetti() {
   }, 6000);
 }
 
-// Export results section as PDF
-async function downloadPDF(container) {
-  // Use html2canvas to capture the container
-  const canvas = await html2canvas(container, { scale: 2 });
-  const imgData = canvas.toDataURL('image/png');
-  const pdf = new jspdf.jsPDF('p', 'pt', 'a4');
-  const pageWidth = pdf.internal.pageSize.getWidth();
-  const pageHeight = pdf.internal.pageSize.getHeight();
-  // Calculate dimensions to fit PDF
-  const ratio = canvas.width / canvas.height;
-  let pdfWidth = pageWidth - 40;
-  let pdfHeight = pdfWidth / ratio;
-  if (pdfHeight > pageHeight - 40) {
-    pdfHeight = pageHeight - 40;
-    pdfWidth = pdfHeight * ratio;
+// Snapshot the charts on the results screen as images for the PDF.
+// Mini charts carry their own title; the summary charts get one.  The
+// charts are drawn in light colours for the snapshot since the PDF is
+// printed on white.
+function captureResultCharts() {
+  const theme = resolveTheme();
+  if (theme === 'dark') themeCharts('light');
+  const charts = [];
+  const add = (canvas, title) => {
+    if (!canvas || !canvas.width || !canvas.height) return;
+    charts.push({ title, image: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height });
+  };
+  document.querySelectorAll('#miniChartsContainer canvas').forEach((canvas) => add(canvas, ''));
+  add(document.getElementById('summaryChart'), t('Group vs overall averages'));
+  add(document.getElementById('radarChart'), t('Your pattern vs averages'));
+  if (theme === 'dark') themeCharts('dark');
+  return charts;
+}
+
+// Everything the PDF report shows, taken from the same helpers as the
+// results screen so the two always agree
+function buildReportData(results, deductions, credits) {
+  const checkedAt = currentCheckTime || new Date().toISOString();
+  const { score, categories } = computeResults();
+  return {
+    dateLabel: formatCheckDate(checkedAt),
+    regionLabel: config.regions[selectedRegion].label,
+    genderLabel: config.demographics.genders.find(g => g.id === selectedGender)?.label || selectedGender,
+    ageRange: selectedAgeRange,
+    score,
+    scoreColor: scoreColor(score),
+    categories,
+    groupScore: computeGroupScore(),
+    overallScore: computeOverallScore(),
+    deductions: deductions.map((d) => ({ text: describeDeduction(d), citation: d.citation })),
+    credits: credits.map((c) => ({ text: describeCredit(c), citation: c.citation })),
+    rows: markers.map((m, idx) => ({
+      label: m.label,
+      unit: results[idx].skipped ? '' : unitFor(m),
+      value: formatValue(m, results[idx].value),
+      average: formatValue(m, getOverallBaselineFor(m.id)),
+      band: results[idx].skipped ? '-' : t(results[idx].band),
+      penalty: results[idx].penalty,
+      bonus: results[idx].bonus,
+      goal: goalStatus(m, results[idx].value),
+      note: noteFor(m, results[idx].band),
+      citation: m.citation,
+      followUpNotes: followUpNotes(m)
+    })),
+    actions: topActions(deductions),
+    recommendations: followUpRecommendations(),
+    charts: captureResultCharts(),
+    citations: config.citations
+  };
+}
+
+// Export the results as a text-based, multi-page PDF report
+function downloadPDF(results, deductions, credits) {
+  const report = buildReportData(results, deductions, credits);
+  const pdf = generatePdfReport(report);
+  const date = (currentCheckTime || new Date().toISOString()).slice(0, 10);
+  pdf.save(`habit-health-check-${date}.pdf`);
+}
+
+// Colour Chart.js text, grid lines and the radar scale for a theme and
+// redraw every chart on the page with them
+function themeCharts(theme) {
+  if (typeof Chart === 'undefined') return;
+  const colors = CHART_THEMES[theme];
+  Chart.defaults.color = colors.text;
+  Chart.defaults.borderColor = colors.grid;
+  const radial = Chart.defaults.scales?.radialLinear;
+  if (radial) {
+    radial.grid.color = colors.grid;
+    radial.angleLines.color = colors.grid;
+    radial.pointLabels.color = colors.text;
+    radial.ticks.backdropColor = colors.tickBackdrop;
+  }
+  Object.values(Chart.instances || {}).forEach(chart => chart.update('none'));
+}
+
+// Apply a theme preference ('system', 'light' or 'dark') to the page
+// and the charts, remembering it unless told otherwise
+function applyTheme(preference, remember = true) {
+  if (remember) {
+    try {
+      saveThemePreference(preference);
+    } catch (err) {
+      console.error('Could not save theme', err);
+    }
   }
-  pdf.addImage(imgData, 'PNG', 20, 20, pdfWidth, pdfHeight);
-  pdf.save('lifestyle-audit-report.pdf');
+  const theme = resolveTheme(preference);
+  document.documentElement.classList.toggle('dark', theme === 'dark');
+  themeCharts(theme);
+}
+
+// Theme switch in the corner of every screen.  'System' follows the
+// operating system, including when it changes while the app is open.
+function renderThemeSwitch() {
+  document.getElementById('theme-switch')?.remove();
+  const select = document.createElement('select');
+  select.id = 'theme-switch';
+  select.className = 'fixed top-2 right-2 z-10 px-2 py-1 text-xs bg-gray-50 border border-gray-300 rounded-md text-gray-700';
+  select.setAttribute('aria-label', t('Theme'));
+  [['system', t('System theme')], ['light', t('Light')], ['dark', t('Dark')]].forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    if (value === loadThemePreference()) opt.selected = true;
+    select.appendChild(opt);
+  });
+  select.addEventListener('change', () => {
+    applyTheme(select.value);
+  });
+  document.body.appendChild(select);
+}
+
+// Register the service worker (sw.js) that caches the app for offline
+// use.  When a new version has installed in the background, offer to
+// reload into it; the page only reloads once the user agrees.
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  let reloadRequested = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloadRequested) location.reload();
+  });
+  const offerUpdate = (worker) => {
+    showUpdatePrompt(() => {
+      reloadRequested = true;
+      worker.postMessage('skipWaiting');
+    });
+  };
+  // The worker serves config.json from its cache and says when a newer
+  // one arrived behind it, which takes a reload to use
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data === 'configChanged') showUpdatePrompt(() => location.reload());
+  });
+  navigator.serviceWorker.register('sw.js').then((registration) => {
+    if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        // With no controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+      });
+    });
+    // Long-lived tabs look for a new deploy whenever they come back
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+  }).catch((err) => {
+    console.error('Could not register the service worker', err);
+  });
+}
+
+// Banner announcing a new version, with a button to reload into it
+function showUpdatePrompt(onReload) {
+  if (document.getElementById('update-prompt')) return;
+  const banner = document.createElement('div');
+  banner.id = 'update-prompt';
+  banner.setAttribute('role', 'status');
+  banner.className = 'ledger card fixed bottom-4 left-4 right-4 max-w-2xl mx-auto p-4 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-800';
+  const text = document.createElement('span');
+  text.textContent = t('A new version of Habit Health Check is available.');
+  const actions = document.createElement('div');
+  actions.className = 'flex gap-2';
+  const reloadBtn = document.createElement('button');
+  reloadBtn.className = 'button-primary text-sm';
+  reloadBtn.textContent = t('Reload');
+  reloadBtn.addEventListener('click', () => {
+    reloadBtn.disabled = true;
+    onReload();
+  });
+  const laterBtn = document.createElement('button');
+  laterBtn.className = 'button-secondary text-sm';
+  laterBtn.textContent = t('Later');
+  laterBtn.addEventListener('click', () => {
+    banner.remove();
+  });
+  actions.appendChild(reloadBtn);
+  actions.appendChild(laterBtn);
+  banner.appendChild(text);
+  banner.appendChild(actions);
+  document.body.appendChild(banner);
 }
 
 // Initialise app on load
 document.addEventListener('DOMContentLoaded', () => {
-  // Load configuration from embedded script tag
-  readEmbeddedConfig();
-  renderLaunch();
+  // Cache the app for offline use and offer new versions as they arrive
+  registerServiceWorker();
+  applyTheme(loadThemePreference(), false);
+  if (typeof matchMedia === 'function') {
+    matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+      if (loadThemePreference() === 'system') applyTheme('system', false);
+    });
+  }
+  // Start in the saved language or the browser's, without saving the
+  // browser's as a choice
+  applyLocale(preferredLocale(), false);
+  // Use an external config when one is named in the query string
+  // (?config=path/to/config.json), otherwise config.json
+  const configUrl = new URLSearchParams(location.search).get('config') || DEFAULT_CONFIG_URL;
+  startWithConfig(configUrl, () => fetchConfig(configUrl));
+  // A share link pasted into an already open tab only changes the hash
+  window.addEventListener('hashchange', () => {
+    if (config && !isVaultLocked()) openSharedResult();
+  });
+  // Checks still waiting for the user to choose how to save them are
+  // lost with the page, so ask before it goes
+  window.addEventListener('beforeunload', (event) => {
+    if (hasUnsavedData()) event.preventDefault();
+  });
+  // Any activity keeps unlocked data open
+  ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach((type) => {
+    document.addEventListener(type, resetAutoLock, { passive: true });
+  });
 });
\ No newline at end of file
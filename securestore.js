@@ -0,0 +1,325 @@
+/*
+ * Habit Health Check secure store
+ *
+ * Keeps everything personal the app saves (the check history, goals
+ * and daily log) encrypted once the user chooses a passphrase, so the
+ * next person on a shared laptop cannot read answers about drinking,
+ * smoking or porn use.  history.js, goals.js and dailylog.js read and
+ * write their items through readStored, writeStored and removeStored.
+ * Once there is a vault these work on a decrypted copy held in memory,
+ * and every change is encrypted again and written to localStorage as
+ * a single vault:
+ *
+ *   { format, version, salt, iv, data }
+ *
+ * with the salt, iv and ciphertext in base64.  The key is derived from
+ * the passphrase with PBKDF2 (SHA-256) and the items are sealed with
+ * AES-GCM, both from WebCrypto, so a wrong passphrase fails to decrypt
+ * instead of returning garbage.  Neither the passphrase nor the key is
+ * ever stored.
+ *
+ * The store is in one of three states:
+ *
+ *   - no vault: no passphrase has been chosen yet.  Items are held in
+ *     memory until the user either chooses one with createVault() or
+ *     agrees to plain storage with allowPlainStorage(); after that they
+ *     are saved in plain localStorage until createVault() encrypts them
+ *   - locked: a vault exists but has not been opened.  Reads come back
+ *     empty and writes throw until unlockVault() succeeds.
+ *   - unlocked: reads and writes go to memory and every write is saved
+ *     to the vault
+ *
+ * Plain items are removed once they are in a vault.  The language and
+ * theme preferences stay in plain localStorage, since the lock screen
+ * needs them before anything is unlocked.  DOM‑free; under Node it
+ * needs a global localStorage to keep anything.
+ */
+
+const VAULT_STORAGE_KEY = 'habitHealthCheck.vault';
+const VAULT_FORMAT = 'habit-health-check-vault';
+const VAULT_VERSION = 1;
+const VAULT_KDF_ITERATIONS = 310000;
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+
+// Items kept in the vault: the keys history.js, goals.js and
+// dailylog.js store under
+const SECURE_STORAGE_KEYS = ['habitHealthCheck.history', 'habitHealthCheck.goals', 'habitHealthCheck.dailyLog'];
+
+// Prefix of every localStorage item the app writes, for wiping
+const APP_STORAGE_PREFIX = 'habitHealthCheck.';
+
+// Set once the user agrees to save items without a passphrase
+const PLAIN_STORAGE_KEY = 'habitHealthCheck.plainStorage';
+
+// Decrypted items by storage key while the vault is open, else null
+let secureItems = null;
+// Items written before the user chose how to save them, by storage key
+let heldItems = {};
+// Key and salt of the open vault, or null when none is open
+let vaultKey = null;
+let vaultSalt = null;
+// Saves run one after another so the last write always wins
+let vaultSaving = Promise.resolve();
+// Bumped by wipeAllData so a save still in progress is dropped instead
+// of bringing the vault back
+let vaultGeneration = 0;
+
+function hasStorage() {
+  return typeof localStorage !== 'undefined';
+}
+
+// True when this browser can encrypt.  WebCrypto is only offered on
+// secure pages (https, localhost or a local file).
+function canEncrypt() {
+  return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+// True when data has been saved with a passphrase
+function hasVault() {
+  return hasStorage() && localStorage.getItem(VAULT_STORAGE_KEY) !== null;
+}
+
+// True when there is a vault that has not been unlocked
+function isVaultLocked() {
+  return hasVault() && vaultKey === null;
+}
+
+// True when the user has agreed to save items without a passphrase
+function isPlainStorageAllowed() {
+  return hasStorage() && localStorage.getItem(PLAIN_STORAGE_KEY) !== null;
+}
+
+// True when items are held in memory only, waiting for the user to
+// choose between a passphrase and plain storage
+function hasUnsavedData() {
+  return Object.keys(heldItems).length > 0;
+}
+
+// Items saved in plain localStorage, with the held ones over them, by
+// storage key
+function plainItems() {
+  const items = {};
+  if (hasStorage()) {
+    SECURE_STORAGE_KEYS.forEach((key) => {
+      const value = localStorage.getItem(key);
+      if (value !== null) items[key] = value;
+    });
+  }
+  return { ...items, ...heldItems };
+}
+
+// Stored text for a key, or null when there is none or the vault is
+// locked
+function readStored(key) {
+  if (!hasVault()) return plainItems()[key] ?? null;
+  return secureItems && Object.prototype.hasOwnProperty.call(secureItems, key) ? secureItems[key] : null;
+}
+
+// Store text under a key: in memory until the user chooses how to
+// save, then in plain localStorage until there is a vault.  Throws
+// while the vault is locked.
+function writeStored(key, value) {
+  if (!hasVault()) {
+    if (isPlainStorageAllowed()) {
+      localStorage.setItem(key, String(value));
+    } else {
+      heldItems[key] = String(value);
+    }
+    return;
+  }
+  if (!secureItems) throw new Error('Saved data is locked');
+  secureItems[key] = String(value);
+  saveVault();
+}
+
+// Remove a key.  Throws while the vault is locked.
+function removeStored(key) {
+  if (!hasVault()) {
+    delete heldItems[key];
+    if (hasStorage()) localStorage.removeItem(key);
+    return;
+  }
+  if (!secureItems) throw new Error('Saved data is locked');
+  delete secureItems[key];
+  saveVault();
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return bytes;
+}
+
+// AES-GCM key for a passphrase and salt
+async function deriveVaultKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: VAULT_KDF_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Encrypt the items (as JSON text) with a fresh iv and write the vault,
+// unless the data was wiped since the save was asked for
+async function sealVault(text, key, salt, generation) {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  if (generation !== vaultGeneration) return;
+  localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+    format: VAULT_FORMAT,
+    version: VAULT_VERSION,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data))
+  }));
+}
+
+// Save the items to the open vault.  Does nothing when no vault is
+// open.  Returns a promise that settles once every save asked for so
+// far has been written; failures are logged rather than thrown, as the
+// app carries on from memory either way.
+function saveVault() {
+  if (vaultKey === null) return vaultSaving;
+  const text = JSON.stringify(secureItems);
+  const key = vaultKey;
+  const salt = vaultSalt;
+  const generation = vaultGeneration;
+  vaultSaving = vaultSaving
+    .then(() => sealVault(text, key, salt, generation))
+    .catch((err) => {
+      console.error('Could not save encrypted data', err);
+    });
+  return vaultSaving;
+}
+
+// Save items without a passphrase from now on, starting with the held
+// ones
+function allowPlainStorage() {
+  if (!hasStorage()) return;
+  localStorage.setItem(PLAIN_STORAGE_KEY, 'true');
+  Object.entries(heldItems).forEach(([key, value]) => {
+    localStorage.setItem(key, value);
+  });
+  heldItems = {};
+}
+
+// Encrypt the plain and held items with a new passphrase and keep the
+// vault open.  The plain items are removed once the vault is written.
+// Throws an Error with a readable message when the passphrase is too
+// short or the vault cannot be written.
+async function createVault(passphrase) {
+  if (!canEncrypt()) throw new Error('This browser cannot encrypt data');
+  if (hasVault()) throw new Error('Data is already protected with a passphrase');
+  if (passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters long`);
+  }
+  const salt = randomBytes(16);
+  const key = await deriveVaultKey(passphrase, salt);
+  await sealVault(JSON.stringify(plainItems()), key, salt, vaultGeneration);
+  // Wiped while the key was being derived
+  if (!hasVault()) return;
+  // Catch anything written while the vault was being sealed
+  secureItems = plainItems();
+  heldItems = {};
+  vaultKey = key;
+  vaultSalt = salt;
+  saveVault();
+  SECURE_STORAGE_KEYS.forEach((storageKey) => {
+    localStorage.removeItem(storageKey);
+  });
+}
+
+// Open the vault with a passphrase.  Returns false when the passphrase
+// is wrong and throws an Error when the vault cannot be read at all.
+async function unlockVault(passphrase) {
+  let vault;
+  try {
+    vault = JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+  } catch (err) {
+    throw new Error('The saved data is damaged');
+  }
+  if (!vault || vault.format !== VAULT_FORMAT || typeof vault.salt !== 'string' || typeof vault.iv !== 'string' || typeof vault.data !== 'string') {
+    throw new Error('The saved data is damaged');
+  }
+  if (vault.version > VAULT_VERSION) {
+    throw new Error('The saved data was written by a newer version of the app');
+  }
+  const salt = fromBase64(vault.salt);
+  const key = await deriveVaultKey(passphrase, salt);
+  let text;
+  try {
+    text = new TextDecoder().decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data)));
+  } catch (err) {
+    return false;
+  }
+  const items = JSON.parse(text);
+  secureItems = items && typeof items === 'object' ? items : {};
+  vaultKey = key;
+  vaultSalt = salt;
+  return true;
+}
+
+// Forget the decrypted items and the key.  Saves already asked for
+// still finish.
+function lockVault() {
+  if (!hasVault()) return;
+  secureItems = null;
+  vaultKey = null;
+  vaultSalt = null;
+}
+
+// Delete everything the app has saved in this browser: the vault, any
+// plain or held items and the language and theme preferences
+function wipeAllData() {
+  vaultGeneration++;
+  secureItems = null;
+  heldItems = {};
+  vaultKey = null;
+  vaultSalt = null;
+  if (!hasStorage()) return;
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(APP_STORAGE_PREFIX)) keys.push(key);
+  }
+  keys.forEach((key) => {
+    localStorage.removeItem(key);
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VAULT_STORAGE_KEY,
+    VAULT_MIN_PASSPHRASE_LENGTH,
+    SECURE_STORAGE_KEYS,
+    canEncrypt,
+    hasVault,
+    isVaultLocked,
+    isPlainStorageAllowed,
+    hasUnsavedData,
+    readStored,
+    writeStored,
+    removeStored,
+    saveVault,
+    createVault,
+    allowPlainStorage,
+    unlockVault,
+    lockVault,
+    wipeAllData
+  };
+}
@@ -0,0 +1,86 @@
+/*
+ * Habit Health Check share links
+ *
+ * Encodes a set of answers plus the demographics used for the
+ * comparison into a compact URL fragment, and decodes it again.  The
+ * fragment (everything after #) is never sent to a server, so a shared
+ * result stays between the people who pass the link around.  A link
+ * looks like:
+ *
+ *   index.html#share=1&region=uk&age=25-34&gender=male&a.alcohol=5&a.sleep=6.5
+ *
+ * Answers are keyed by marker id so links keep working when markers
+ * are added or reordered in the config.  A skipped question is sent as
+ * `a.<id>=skip` so it stays out of the score on the other end, and a
+ * marker the link leaves out is read as skipped too.  DOM‑free and
+ * requireable under Node.
+ */
+
+const SHARE_VERSION = '1';
+const SHARE_ANSWER_PREFIX = 'a.';
+const SHARE_SKIPPED = 'skip';
+
+// Build the fragment (without the leading #) for a result
+function encodeShareFragment({ answers, region, ageRange, gender }) {
+  const params = new URLSearchParams();
+  params.set('share', SHARE_VERSION);
+  params.set('region', region);
+  params.set('age', ageRange);
+  params.set('gender', gender);
+  Object.entries(answers).forEach(([markerId, value]) => {
+    if (value === undefined) return;
+    if (value === null) {
+      params.set(SHARE_ANSWER_PREFIX + markerId, SHARE_SKIPPED);
+      return;
+    }
+    // Round to avoid long floating point tails in the URL
+    params.set(SHARE_ANSWER_PREFIX + markerId, String(Math.round(value * 100) / 100));
+  });
+  return params.toString();
+}
+
+// True when a value lies inside the marker's plausible range (config
+// `range`), or is at least zero when the marker has none
+function inShareRange(marker, value) {
+  const { min = 0, max = Infinity } = marker.range || {};
+  return value >= min && value <= max;
+}
+
+// Read a result back from a fragment (with or without the leading #).
+// Returns null when the fragment is not a share link.  Anything that
+// does not fit the given config (unknown markers, regions or
+// demographics, values that are not numbers or fall outside the
+// marker's range) is dropped rather than trusted, and every marker
+// without a usable value counts as skipped.
+function decodeShareFragment(fragment, cfg) {
+  const params = new URLSearchParams(fragment.replace(/^#/, ''));
+  if (params.get('share') !== SHARE_VERSION) return null;
+  const markersById = new Map(cfg.markers.map((m) => [m.id, m]));
+  const answers = {};
+  params.forEach((raw, key) => {
+    if (!key.startsWith(SHARE_ANSWER_PREFIX)) return;
+    const markerId = key.slice(SHARE_ANSWER_PREFIX.length);
+    const marker = markersById.get(markerId);
+    const value = Number(raw);
+    if (!marker || raw === SHARE_SKIPPED) return;
+    if (raw !== '' && Number.isFinite(value) && inShareRange(marker, value)) {
+      answers[markerId] = value;
+    }
+  });
+  cfg.markers.forEach((m) => {
+    if (!(m.id in answers)) answers[m.id] = null;
+  });
+  const region = params.get('region');
+  const ageRange = params.get('age');
+  const gender = params.get('gender');
+  return {
+    answers,
+    region: cfg.regions[region] ? region : null,
+    ageRange: cfg.demographics.ageRanges.includes(ageRange) ? ageRange : null,
+    gender: cfg.demographics.genders.some((g) => g.id === gender) ? gender : null
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { encodeShareFragment, decodeShareFragment };
+}
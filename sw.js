@@ -0,0 +1,125 @@
+/*
+ * Habit Health Check service worker
+ *
+ * Makes the app work offline and installable.  On install it caches
+ * everything the app needs (the page, every script, the locale
+ * bundles, config.json and the vendored Tailwind, Chart.js and jsPDF
+ * copies) under a cache named after APP_VERSION, and serves those
+ * files from the cache from then on.  config.json is the exception:
+ * the cached copy is served at once and a fresh one fetched behind it,
+ * and when that differs it replaces the cached copy and open pages are
+ * sent 'configChanged' so they can offer a reload.  Other same-origin
+ * files, such as a custom config opened with ?config=, go to the
+ * network first and fall back to the last copy seen.
+ *
+ * A new version installs next to the old one and waits; the page
+ * offers a reload and sends 'skipWaiting' when the user accepts, so a
+ * check in progress is never swapped out underneath them.
+ */
+
+importScripts('version.js');
+
+const CACHE_PREFIX = 'habit-health-check-';
+const CACHE_NAME = CACHE_PREFIX + APP_VERSION;
+const CONFIG_URL = new URL('config.json', self.location).href;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'version.js',
+  'theme.js',
+  'config.json',
+  'config.schema.json',
+  'default-config.js',
+  'i18n.js',
+  'locales/de.js',
+  'locales/es.js',
+  'config-validator.js',
+  'scoring.js',
+  'securestore.js',
+  'history.js',
+  'goals.js',
+  'dailylog.js',
+  'converters.js',
+  'followups.js',
+  'share.js',
+  'export.js',
+  'cohort.js',
+  'report.js',
+  'script.js',
+  'vendor/tailwind.min.css',
+  'vendor/chart.umd.min.js',
+  'vendor/jspdf.umd.min.js',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+// Cache the whole app, bypassing the HTTP cache so a new version never
+// picks up stale files
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+// Drop the caches of earlier versions and take over open pages
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Network first for files outside the app, keeping a copy for offline
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Fetch config.json and keep it when it differs from the cached copy,
+// telling open pages so they can reload into it
+async function refreshConfig(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const [cached, response] = await Promise.all([cache.match(request), fetch(request)]);
+  if (!response.ok) return response;
+  if (!cached || (await cached.text()) !== (await response.clone().text())) {
+    await cache.put(request, response.clone());
+    if (cached) {
+      const pages = await self.clients.matchAll({ type: 'window' });
+      pages.forEach((page) => page.postMessage('configChanged'));
+    }
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  if (request.url === CONFIG_URL) {
+    const refreshed = refreshConfig(request);
+    event.waitUntil(refreshed.catch(() => {}));
+    event.respondWith(caches.match(request).then((cached) => cached || refreshed));
+    return;
+  }
+  // Pages are the app shell whatever their query (?config=) says
+  const lookup = request.mode === 'navigate'
+    ? caches.match(request, { ignoreSearch: true }).then((cached) => cached || caches.match('index.html'))
+    : caches.match(request);
+  event.respondWith(lookup.then((cached) => cached || networkFirst(request)));
+});
@@ -0,0 +1,63 @@
+/*
+ * Habit Health Check theme
+ *
+ * Light or dark colours for every screen.  The preference is one of
+ * 'system' (the default: follow the operating system's
+ * prefers-color-scheme), 'light' or 'dark', kept in localStorage.  The
+ * page is themed by a `dark` class on the <html> element; this file is
+ * loaded without `defer` so the class is in place before the first
+ * paint.  CHART_THEMES holds the matching Chart.js colours for text,
+ * grid lines and the radar scale.  Requireable under Node.
+ */
+
+const THEME_STORAGE_KEY = 'habitHealthCheck.theme';
+const THEME_PREFERENCES = ['system', 'light', 'dark'];
+
+const CHART_THEMES = {
+  light: { text: '#374151', grid: 'rgba(0, 0, 0, 0.1)', tickBackdrop: 'rgba(255, 255, 255, 0.75)' },
+  dark: { text: '#e5e7eb', grid: 'rgba(255, 255, 255, 0.15)', tickBackdrop: 'rgba(17, 24, 39, 0.75)' }
+};
+
+// The saved preference, or 'system' when there is none
+function loadThemePreference() {
+  try {
+    const saved = typeof localStorage !== 'undefined' && localStorage.getItem(THEME_STORAGE_KEY);
+    return THEME_PREFERENCES.includes(saved) ? saved : 'system';
+  } catch (err) {
+    // Blocked storage just means no saved choice
+    return 'system';
+  }
+}
+
+// Remember a preference; 'system' clears the saved choice
+function saveThemePreference(preference) {
+  if (typeof localStorage === 'undefined') return;
+  if (preference === 'system') {
+    localStorage.removeItem(THEME_STORAGE_KEY);
+  } else {
+    localStorage.setItem(THEME_STORAGE_KEY, preference);
+  }
+}
+
+// Whether the operating system asks for dark colours
+function systemPrefersDark() {
+  return typeof matchMedia === 'function' && matchMedia('(prefers-color-scheme: dark)').matches;
+}
+
+// 'light' or 'dark' for a preference
+function resolveTheme(preference = loadThemePreference(), prefersDark = systemPrefersDark()) {
+  if (preference === 'light' || preference === 'dark') return preference;
+  return prefersDark ? 'dark' : 'light';
+}
+
+// Set the theme class before the page first paints so dark mode never
+// flashes light
+if (typeof document !== 'undefined') {
+  document.documentElement.classList.toggle('dark', resolveTheme() === 'dark');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    THEME_STORAGE_KEY, THEME_PREFERENCES, CHART_THEMES, loadThemePreference, saveThemePreference, resolveTheme
+  };
+}
@@ -0,0 +1,46 @@
+/*
+ * Habit Health Check config bundler
+ *
+ * Writes default-config.js from config.json.  A page opened straight
+ * from disk cannot fetch config.json, so the app falls back to the
+ * copy in default-config.js, which is only ever written by this script.
+ * Run it from the repository root after every change to config.json:
+ *
+ *   node tools/bundle-config.js
+ *
+ * With --check it writes nothing and exits with status 1 when
+ * default-config.js does not match config.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE = path.join(ROOT, 'config.json');
+const TARGET = path.join(ROOT, 'default-config.js');
+
+const HEADER = `/*
+ * Habit Health Check default config
+ *
+ * Generated from config.json by tools/bundle-config.js; do not edit.
+ * Used when config.json cannot be fetched, as on a page opened
+ * straight from disk.
+ */
+`;
+
+// The contents default-config.js should have for the current config.json
+function bundle() {
+  const config = JSON.parse(fs.readFileSync(SOURCE, 'utf8'));
+  return `${HEADER}\nconst BUNDLED_CONFIG = ${JSON.stringify(config, null, 2)};\n`;
+}
+
+const contents = bundle();
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, 'utf8') : '';
+  if (current !== contents) {
+    console.error('default-config.js is out of date; run node tools/bundle-config.js');
+    process.exit(1);
+  }
+} else {
+  fs.writeFileSync(TARGET, contents);
+}
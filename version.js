@@ -0,0 +1,11 @@
+/*
+ * Habit Health Check version
+ *
+ * Loaded by the page and imported by the service worker (sw.js), whose
+ * cache is named after it.  Bump APP_VERSION whenever the app files or
+ * the config change: installed copies then download the new files in
+ * the background and offer to reload into them.  A config change also
+ * needs `node tools/bundle-config.js` to rewrite default-config.js.
+ */
+
+const APP_VERSION = '1.9.2';